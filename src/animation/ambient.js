@@ -5,6 +5,10 @@
 
 const EventEmitter = require('events');
 const mdp = require('../mdp');
+const { compileTimeline, renderFrame } = require('./timeline');
+const FrameBuffer = require('./frame-buffer');
+const effects = require('./effects');
+const StateDisplay = require('./state-display');
 
 class AnimationEngine extends EventEmitter {
   constructor(serialConnection, database) {
@@ -15,6 +19,47 @@ class AnimationEngine extends EventEmitter {
     this.currentSequence = null;
     this.sequenceTimer = null;
     this.stepIndex = 0;
+    this.frameBuffer = null;
+    this.priority = 'ambient';
+    this.generation = 0;
+    this.clock = null;
+    this.compositor = null;
+    this.transition = null;
+    this.outgoing = null;
+    this.stateDisplay = null;
+    this.onStateChange = ({ addresses, state }) => this.showState(addresses, state);
+  }
+
+  /**
+   * Paint through a layer compositor instead of sending packets directly,
+   * so animations run on the effect layer under held and highlighted states
+   * @param {Object|null} compositor - Compositor
+   */
+  setCompositor(compositor) {
+    if (this.compositor) {
+      this.compositor.removeListener('state', this.onStateChange);
+    }
+    this.compositor = compositor;
+    if (compositor) {
+      compositor.on('state', this.onStateChange);
+    }
+  }
+
+  /**
+   * Show an apartment state change in a running state display at once, on
+   * the effect layer the state's own flush composites
+   * @param {number[]} addresses - Light addresses
+   * @param {string} state - New state
+   */
+  showState(addresses, state) {
+    if (!this.stateDisplay || !this.running || !this.frameBuffer) return;
+
+    const covered = this.stateDisplay.setState(addresses, state);
+    if (covered.length === 0) return;
+
+    const position = this.getPosition();
+    const colors = new Map(covered.map(address => [address, this.stateDisplay.colorAt(address, position)]));
+    this.compositor.set('effect', this.frameBuffer.diff(colors));
   }
 
   /**
@@ -54,7 +99,17 @@ class AnimationEngine extends EventEmitter {
    * Stop ambient animation
    */
   async stopAmbient() {
+    const positionMs = this.getPosition();
+    if (this.running && this.serial.lightState) {
+      // Remember where the lights were so a following sequence can crossfade from here
+      this.outgoing = { colors: this.serial.lightState.clone(), at: Date.now() };
+    }
+
     this.running = false;
+    this.generation++;
+    this.clock = null;
+    this.transition = null;
+    this.stateDisplay = null;
     
     if (this.sequenceTimer) {
       clearTimeout(this.sequenceTimer);
@@ -64,7 +119,13 @@ class AnimationEngine extends EventEmitter {
     this.currentSequence = null;
     this.stepIndex = 0;
 
-    this.emit('stopped');
+    if (this.compositor) {
+      // Lights under the animation fade back to their state colors
+      this.compositor.clear('effect');
+      await this.compositor.flush({ fadeTimeMs: this.getCrossfadeMs() });
+    }
+
+    this.emit('stopped', { positionMs });
   }
 
   /**
@@ -79,22 +140,30 @@ class AnimationEngine extends EventEmitter {
    */
   async runDefaultAmbient() {
     this.running = true;
+    this.beginTransition();
     this.emit('started', { type: 'default' });
 
     const defaultIntensity = parseInt(this.database.settings.get('default_intensity') || '100', 10);
-    const packet = mdp.packetBroadcast('level', defaultIntensity);
-    await this.serial.send(packet);
+    await this.sendBroadcastLevel(defaultIntensity);
 
     this.emit('step', { type: 'static', intensity: defaultIntensity });
   }
 
   /**
    * Run a programmed sequence
+   * @param {Object} sequenceData - Sequence definition
+   * @param {Object} options - {priority: queue class for its packets (default 'ambient')}
    */
-  async runSequence(sequenceData) {
+  async runSequence(sequenceData, options = {}) {
     this.running = true;
+    this.generation++;
     this.currentSequence = sequenceData;
     this.stepIndex = 0;
+    this.frameBuffer = null;
+    this.stateDisplay = null;
+    this.priority = options.priority || 'ambient';
+    this.clock = { positionMs: 0, since: Date.now(), speed: sequenceData.speed > 0 ? sequenceData.speed : 1, paused: false };
+    this.beginTransition();
 
     this.emit('started', { type: sequenceData.type });
 
@@ -114,6 +183,15 @@ class AnimationEngine extends EventEmitter {
       case 'breathe':
         await this.runBreatheSequence(sequenceData);
         break;
+      case 'timeline':
+        await this.runTimelineSequence(sequenceData);
+        break;
+      case 'sparkle':
+      case 'ripple':
+      case 'spotlight':
+      case 'state_display':
+        await this.runEffectSequence(sequenceData);
+        break;
       default:
         console.warn('Unknown sequence type:', sequenceData.type);
         await this.runDefaultAmbient();
@@ -134,8 +212,9 @@ class AnimationEngine extends EventEmitter {
    * Loop sequence - cycle through steps
    */
   async runLoopSequence(sequenceData) {
+    const generation = this.generation;
     const runStep = async () => {
-      if (!this.running) return;
+      if (!this.isCurrent(generation)) return;
 
       const step = sequenceData.steps[this.stepIndex];
       await this.executeStep(step);
@@ -143,7 +222,9 @@ class AnimationEngine extends EventEmitter {
       this.stepIndex = (this.stepIndex + 1) % sequenceData.steps.length;
       
       const delay = step.duration || sequenceData.stepDuration || 1000;
-      this.sequenceTimer = setTimeout(runStep, delay);
+      if (this.isCurrent(generation)) {
+        this.sequenceTimer = setTimeout(runStep, delay);
+      }
     };
 
     await runStep();
@@ -156,13 +237,16 @@ class AnimationEngine extends EventEmitter {
     const { direction = 'up', color = { r: 255, g: 255, b: 255 }, intensity = 150, floorDelay = 200, fadeTime = 300 } = sequenceData;
     
     const { min_floor, max_floor } = this.database.apartments.getFloorRange();
+    const generation = this.generation;
     
     const runWave = async () => {
-      if (!this.running) return;
+      if (!this.isCurrent(generation)) return;
 
       const floors = [];
       for (let f = min_floor; f <= max_floor; f++) {
-        floors.push(f);
+        if (!sequenceData.floors || sequenceData.floors.includes(f)) {
+          floors.push(f);
+        }
       }
       
       if (direction === 'down') {
@@ -170,17 +254,12 @@ class AnimationEngine extends EventEmitter {
       }
 
       for (const floor of floors) {
-        if (!this.running) return;
+        if (!this.isCurrent(generation)) return;
 
         const apartments = this.database.apartments.getByFloor(null, floor);
         
         for (const apt of apartments) {
-          const scaledR = Math.round((color.r * intensity) / 255);
-          const scaledG = Math.round((color.g * intensity) / 255);
-          const scaledB = Math.round((color.b * intensity) / 255);
-          
-          const packet = mdp.packetRgbFadeToColor(apt.lightswarm_address, scaledR, scaledG, scaledB, fadeTime);
-          await this.serial.send(packet);
+          await this.sendColor(apt.lightswarm_address, this.scaleColor(color, intensity), fadeTime);
         }
 
         await this.delay(floorDelay);
@@ -189,13 +268,12 @@ class AnimationEngine extends EventEmitter {
       await this.delay(sequenceData.holdTime || 1000);
 
       for (const floor of floors.reverse()) {
-        if (!this.running) return;
+        if (!this.isCurrent(generation)) return;
 
         const apartments = this.database.apartments.getByFloor(null, floor);
         
         for (const apt of apartments) {
-          const packet = mdp.packetRgbFadeToColor(apt.lightswarm_address, 0, 0, 0, fadeTime);
-          await this.serial.send(packet);
+          await this.sendColor(apt.lightswarm_address, { r: 0, g: 0, b: 0 }, fadeTime);
         }
 
         await this.delay(floorDelay);
@@ -203,7 +281,7 @@ class AnimationEngine extends EventEmitter {
 
       await this.delay(sequenceData.pauseBetween || 500);
 
-      if (this.running && sequenceData.loop !== false) {
+      if (this.isCurrent(generation) && sequenceData.loop !== false) {
         runWave();
       }
     };
@@ -215,87 +293,377 @@ class AnimationEngine extends EventEmitter {
    * Chase sequence - lights follow each other
    */
   async runChaseSequence(sequenceData) {
-    const { color = { r: 255, g: 255, b: 255 }, intensity = 200, chaseDelay = 50, tailLength = 3 } = sequenceData;
-    
-    const apartments = this.database.apartments.getAll();
-    let position = 0;
+    const { render, frameMs } = this.frameRenderer(sequenceData);
+    await this.playFrames(render, frameMs);
+  }
 
-    const runChase = async () => {
-      if (!this.running) return;
+  /**
+   * Breathe sequence - fade all lights up and down
+   */
+  async runBreatheSequence(sequenceData) {
+    const { render, frameMs } = this.frameRenderer(sequenceData);
+    await this.playFrames(render, frameMs);
+  }
 
-      for (let i = 0; i < apartments.length; i++) {
-        const apt = apartments[i];
-        const distance = (i - position + apartments.length) % apartments.length;
-        
-        let brightness = 0;
-        if (distance < tailLength) {
-          brightness = intensity * (1 - distance / tailLength);
-        }
+  /**
+   * Timeline sequence - render keyframe tracks frame by frame
+   */
+  async runTimelineSequence(sequenceData) {
+    const { render, frameMs } = this.frameRenderer(sequenceData);
+    await this.playFrames(render, frameMs);
+  }
+
+  /**
+   * Spatial effect sequence - sparkle, ripple or spotlight across the facade,
+   * or the live sales state display
+   */
+  async runEffectSequence(sequenceData) {
+    const { render, frameMs } = this.frameRenderer(sequenceData);
+    await this.playFrames(render, frameMs);
+  }
+
+  /**
+   * Build the frame renderer of a chase, breathe, timeline, spatial effect or state display sequence
+   * @param {Object} sequenceData - Sequence definition
+   * @returns {Object|null} {render: (elapsedMs) => {colors, done}, frameMs}, or null for step-based types
+   */
+  frameRenderer(sequenceData) {
+    switch (sequenceData.type) {
+      case 'chase': {
+        const { color = { r: 255, g: 255, b: 255 }, intensity = 200, chaseDelay = 50, tailLength = 3 } = sequenceData;
+        const apartments = this.getApartments(sequenceData);
+
+        const render = (elapsed) => {
+          const position = Math.floor(elapsed / chaseDelay) % apartments.length;
+          const colors = new Map();
+
+          apartments.forEach((apt, i) => {
+            const distance = (i - position + apartments.length) % apartments.length;
+            const brightness = distance < tailLength ? intensity * (1 - distance / tailLength) : 0;
+            colors.set(apt.lightswarm_address, this.scaleColor(color, brightness));
+          });
+
+          return { colors, done: apartments.length === 0 };
+        };
+        return { render, frameMs: chaseDelay };
+      }
 
-        const scaledR = Math.round((color.r * brightness) / 255);
-        const scaledG = Math.round((color.g * brightness) / 255);
-        const scaledB = Math.round((color.b * brightness) / 255);
+      case 'breathe': {
+        const { color = { r: 255, g: 255, b: 255 }, minIntensity = 50, maxIntensity = 200, breatheDuration = 3000 } = sequenceData;
+        const apartments = this.getApartments(sequenceData);
 
-        const packet = mdp.packetRgbLevel(apt.lightswarm_address, scaledR, scaledG, scaledB);
-        await this.serial.send(packet);
+        const render = (elapsed) => {
+          const phase = (elapsed % breatheDuration) / breatheDuration;
+          const rise = phase < 0.5 ? phase * 2 : 2 - phase * 2;
+          const scaled = this.scaleColor(color, minIntensity + (maxIntensity - minIntensity) * rise);
+
+          const colors = new Map();
+          apartments.forEach(apt => colors.set(apt.lightswarm_address, scaled));
+          return { colors, done: false };
+        };
+        return { render, frameMs: 50 };
       }
 
-      position = (position + 1) % apartments.length;
-      
-      if (this.running) {
-        this.sequenceTimer = setTimeout(runChase, chaseDelay);
+      case 'timeline': {
+        const timeline = compileTimeline(sequenceData, this.database);
+        return { render: (elapsed) => renderFrame(timeline, elapsed), frameMs: timeline.frameMs };
+      }
+
+      case 'sparkle':
+        return { render: effects.sparkle(effects.facadeLayout(this.getApartments(sequenceData)), sequenceData), frameMs: effects.FRAME_MS };
+
+      case 'ripple': {
+        const layout = effects.facadeLayout(this.getApartments(sequenceData));
+        return { render: effects.ripple(layout, this.rippleOrigin(sequenceData, layout), sequenceData), frameMs: effects.FRAME_MS };
+      }
+
+      case 'spotlight':
+        return { render: effects.spotlight(effects.facadeLayout(this.getApartments(sequenceData)), sequenceData), frameMs: effects.FRAME_MS };
+
+      case 'state_display': {
+        const display = new StateDisplay(this.database, sequenceData, this.getApartments(sequenceData));
+        this.stateDisplay = display;
+        return { render: (elapsed) => display.render(elapsed), frameMs: effects.FRAME_MS };
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Play a rendered animation through a frame buffer: each frame only the
+   * lights that changed are sent, and the frame rate drops while the changes
+   * exceed the bus bandwidth budget. Frames follow the playback clock, so they
+   * can be paused, resumed and seeked.
+   * @param {Function} render - (elapsedMs) => {colors: Map<address, {r, g, b}>, done}
+   * @param {number} frameMs - Target frame interval
+   */
+  async playFrames(render, frameMs) {
+    const bytesPerSecond = parseInt(this.database.settings.get('animation_bandwidth_bytes_per_sec') || '2400', 10);
+    const buffer = new FrameBuffer({ bytesPerSecond });
+    const generation = this.generation;
+    this.frameBuffer = buffer;
+    let throttled = false;
+
+    const runFrame = async () => {
+      if (!this.isCurrent(generation)) return;
+
+      const frameStart = Date.now();
+      const frame = render(this.getPosition());
+      const colors = this.crossfadeFrame(frame.colors);
+      const done = frame.done;
+      if (this.compositor) {
+        this.compositor.set('effect', buffer.diff(colors));
+        buffer.record(await this.compositor.flush({ priority: this.priority }));
+      } else {
+        const packets = buffer.render(colors);
+        await Promise.all(packets.map(packet => this.serial.send(packet, { priority: this.priority })));
+      }
+
+      if (done && !this.clock.paused) {
+        this.emit('completed', { type: this.currentSequence && this.currentSequence.type });
+        return;
+      }
+
+      const intervalMs = buffer.nextInterval(frameMs);
+      if ((intervalMs > frameMs) !== throttled) {
+        throttled = intervalMs > frameMs;
+        this.emit('throttled', { throttled, targetMs: frameMs, intervalMs, bytesPerSecond });
+      }
+
+      if (this.isCurrent(generation)) {
+        this.sequenceTimer = setTimeout(runFrame, Math.max(0, intervalMs - (Date.now() - frameStart)));
       }
     };
 
-    await runChase();
+    await runFrame();
   }
 
   /**
-   * Breathe sequence - fade all lights up and down
+   * Get the crossfade time between sequences (ms, 0 = hard cut)
    */
-  async runBreatheSequence(sequenceData) {
-    const { color = { r: 255, g: 255, b: 255 }, minIntensity = 50, maxIntensity = 200, breatheDuration = 3000 } = sequenceData;
-    
-    let increasing = true;
-    let currentIntensity = minIntensity;
+  getCrossfadeMs() {
+    const value = parseInt(this.database.settings.get('animation_crossfade_ms') || '1000', 10);
+    return value > 0 ? value : 0;
+  }
 
-    const stepInterval = 50;
-    const steps = breatheDuration / stepInterval / 2;
-    const intensityStep = (maxIntensity - minIntensity) / steps;
+  /**
+   * Start crossfading into the sequence that is starting, from the colors
+   * the lights had when the previous one stopped (or now, if none just did)
+   */
+  beginTransition() {
+    const durationMs = this.getCrossfadeMs();
+    const outgoing = this.outgoing;
+    this.outgoing = null;
+    this.transition = null;
+
+    if (durationMs === 0 || !this.serial.lightState) return;
+
+    const recent = outgoing && Date.now() - outgoing.at <= durationMs;
+    this.transition = {
+      since: Date.now(),
+      durationMs,
+      from: recent ? outgoing.colors : this.serial.lightState.clone()
+    };
+  }
 
-    const runBreathe = async () => {
-      if (!this.running) return;
+  /**
+   * Get the time left of the crossfade into the running sequence
+   * @returns {number} Remaining ms (0 once the crossfade is over)
+   */
+  transitionRemaining() {
+    if (!this.transition) return 0;
+    const remaining = this.transition.durationMs - (Date.now() - this.transition.since);
+    if (remaining <= 0) {
+      this.transition = null;
+      return 0;
+    }
+    return remaining;
+  }
 
-      const scaledR = Math.round((color.r * currentIntensity) / 255);
-      const scaledG = Math.round((color.g * currentIntensity) / 255);
-      const scaledB = Math.round((color.b * currentIntensity) / 255);
+  /**
+   * Blend a rendered frame with the colors the crossfade started from
+   * @param {Map<number, Object>} colors - Address to {r, g, b}
+   * @returns {Map<number, Object>} Colors to show
+   */
+  crossfadeFrame(colors) {
+    const remaining = this.transitionRemaining();
+    if (remaining === 0) return colors;
+
+    const t = 1 - remaining / this.transition.durationMs;
+    const blended = new Map();
+    for (const [address, color] of colors) {
+      const from = this.transition.from.get(address);
+      const mix = (channel) => Math.round(from[channel] + (color[channel] - from[channel]) * t);
+      blended.set(address, { r: mix('r'), g: mix('g'), b: mix('b') });
+    }
+    return blended;
+  }
 
-      const apartments = this.database.apartments.getAll();
-      for (const apt of apartments) {
-        const packet = mdp.packetRgbLevel(apt.lightswarm_address, scaledR, scaledG, scaledB);
-        await this.serial.send(packet);
-      }
+  /**
+   * Check that a sequence run has not been stopped or replaced
+   */
+  isCurrent(generation) {
+    return this.running && this.generation === generation;
+  }
 
-      if (increasing) {
-        currentIntensity += intensityStep;
-        if (currentIntensity >= maxIntensity) {
-          currentIntensity = maxIntensity;
-          increasing = false;
-        }
-      } else {
-        currentIntensity -= intensityStep;
-        if (currentIntensity <= minIntensity) {
-          currentIntensity = minIntensity;
-          increasing = true;
-        }
-      }
+  /**
+   * Check if the running sequence is frame-rendered and so can be paused and seeked
+   */
+  isSeekable() {
+    return this.running && this.frameBuffer !== null;
+  }
 
-      if (this.running) {
-        this.sequenceTimer = setTimeout(runBreathe, stepInterval);
+  /**
+   * Get the playback position of the running sequence (ms, scaled by its speed)
+   */
+  getPosition() {
+    if (!this.clock) return 0;
+    const { positionMs, since, speed, paused } = this.clock;
+    return paused ? positionMs : positionMs + (Date.now() - since) * speed;
+  }
+
+  /**
+   * Freeze a frame-rendered sequence at its current position
+   */
+  pause() {
+    if (!this.isSeekable() || this.clock.paused) return false;
+    this.clock = { ...this.clock, positionMs: this.getPosition(), since: Date.now(), paused: true };
+    this.emit('paused', { positionMs: this.clock.positionMs });
+    return true;
+  }
+
+  /**
+   * Continue a paused sequence from where it was frozen
+   */
+  resume() {
+    if (!this.isSeekable() || !this.clock.paused) return false;
+    this.clock = { ...this.clock, since: Date.now(), paused: false };
+    this.emit('resumed', { positionMs: this.clock.positionMs });
+    return true;
+  }
+
+  /**
+   * Jump a frame-rendered sequence to a position
+   * @param {number} positionMs - Position in sequence time
+   */
+  seek(positionMs) {
+    if (!this.isSeekable()) return false;
+    this.clock = { ...this.clock, positionMs: Math.max(0, positionMs), since: Date.now() };
+    this.emit('seeked', { positionMs: this.clock.positionMs });
+    return true;
+  }
+
+  /**
+   * Get the apartments a sequence covers (all, or those on its `floors`)
+   */
+  getApartments(sequenceData) {
+    const apartments = this.database.apartments.getAll();
+    if (!sequenceData.floors) {
+      return apartments;
+    }
+    const floors = new Set(sequenceData.floors);
+    return apartments.filter(apt => floors.has(apt.floor));
+  }
+
+  /**
+   * Get where a ripple starts: its origin apartment, or the middle of the facade
+   * @param {Object} sequenceData - Ripple sequence
+   * @param {Object[]} layout - Facade layout of the lights it covers
+   * @returns {Object} {floor, position}
+   */
+  rippleOrigin(sequenceData, layout) {
+    if (sequenceData.originApartmentId) {
+      const apartment = this.database.apartments.get(sequenceData.originApartmentId);
+      if (!apartment) {
+        throw new Error(`Ripple origin apartment not found: ${sequenceData.originApartmentId}`);
       }
+      return { floor: apartment.floor || 0, position: apartment.unit_position ?? 1 };
+    }
+
+    const middle = (values) => (values.length > 0 ? (Math.min(...values) + Math.max(...values)) / 2 : 0);
+    return { floor: middle(layout.map(light => light.floor)), position: middle(layout.map(light => light.position)) };
+  }
+
+  /**
+   * Scale a color by an intensity (0-255)
+   */
+  scaleColor(color, intensity) {
+    return {
+      r: Math.round((color.r * intensity) / 255),
+      g: Math.round((color.g * intensity) / 255),
+      b: Math.round((color.b * intensity) / 255)
     };
+  }
+
+  /**
+   * Send a light's color, on the effect layer when compositing
+   * @param {number} address - Light address
+   * @param {Object} color - {r, g, b}
+   * @param {number} fadeTimeMs - Fade time (0 = snap)
+   */
+  async sendColor(address, color, fadeTimeMs = 0) {
+    // Steps sent during a crossfade fade in over the rest of it
+    fadeTimeMs = Math.max(fadeTimeMs, this.transitionRemaining());
+
+    if (this.compositor) {
+      this.compositor.set('effect', [{ address, color }]);
+      await this.compositor.flush({ fadeTimeMs, priority: this.priority });
+      return;
+    }
+
+    const packet = fadeTimeMs > 0
+      ? mdp.packetRgbFadeToColor(address, color.r, color.g, color.b, fadeTimeMs, this.serial.lightState.get(address))
+      : mdp.packetRgbLevel(address, color.r, color.g, color.b);
+    await this.serial.send(packet, { priority: this.priority });
+  }
+
+  /**
+   * Send a light's brightness, as a white color on the effect layer when compositing
+   * @param {number} address - Light address
+   * @param {number} level - Brightness (0-255)
+   */
+  async sendLevel(address, level) {
+    if (this.compositor) {
+      await this.sendColor(address, { r: level, g: level, b: level });
+      return;
+    }
 
-    await runBreathe();
+    const fadeTimeMs = this.transitionRemaining();
+    let packet = mdp.packetLevel(address, level);
+    if (fadeTimeMs > 0) {
+      const fadeParams = mdp.calculateFadeParams(this.serial.lightState.getLevel(address), level, fadeTimeMs);
+      packet = mdp.packetFade(address, level, fadeParams.interval, fadeParams.step);
+    }
+    await this.serial.send(packet, { priority: this.priority });
+  }
+
+  /**
+   * Send every light a brightness, fading during a crossfade
+   * @param {number} level - Brightness (0-255)
+   */
+  async sendBroadcastLevel(level) {
+    const fadeTimeMs = this.transitionRemaining();
+    let packet = mdp.packetBroadcast('level', level);
+    if (fadeTimeMs > 0) {
+      // Lights fade at one rate, timed for the one furthest from the target
+      // (the broadcast address reads back the level of unrecorded lights)
+      const levels = this.serial.lightState.getAll().map(({ r, g, b }) => Math.max(r, g, b));
+      const current = [this.serial.lightState.getLevel(mdp.BROADCAST_ADDRESS), ...levels]
+        .reduce((a, b) => (Math.abs(b - level) > Math.abs(a - level) ? b : a));
+      const fadeParams = mdp.calculateFadeParams(current, level, fadeTimeMs);
+      packet = mdp.packetFade(mdp.BROADCAST_ADDRESS, level, fadeParams.interval, fadeParams.step);
+    }
+    await this.serial.send(packet, { priority: this.priority });
+  }
+
+  /**
+   * Get frame buffer statistics of the running animation
+   * @returns {Object|null} Stats, or null if no frame-rendered animation has run
+   */
+  getFrameStats() {
+    return this.frameBuffer ? this.frameBuffer.getStats() : null;
   }
 
   /**
@@ -307,24 +675,41 @@ class AnimationEngine extends EventEmitter {
     switch (step.command) {
       case 'all_on':
         const onIntensity = step.intensity || 200;
-        if (step.color) {
-          const apartments = this.database.apartments.getAll();
+        const limitedFloors = Boolean(this.currentSequence && this.currentSequence.floors);
+        if (step.color || limitedFloors || this.compositor) {
+          const apartments = this.getApartments(this.currentSequence || {});
+          const scaled = step.color ? this.scaleColor(step.color, onIntensity) : null;
           for (const apt of apartments) {
-            const scaledR = Math.round((step.color.r * onIntensity) / 255);
-            const scaledG = Math.round((step.color.g * onIntensity) / 255);
-            const scaledB = Math.round((step.color.b * onIntensity) / 255);
-            const packet = mdp.packetRgbLevel(apt.lightswarm_address, scaledR, scaledG, scaledB);
-            await this.serial.send(packet);
+            if (scaled) {
+              await this.sendColor(apt.lightswarm_address, scaled);
+            } else {
+              await this.sendLevel(apt.lightswarm_address, onIntensity);
+            }
           }
         } else {
-          const packet = mdp.packetBroadcast('level', onIntensity);
-          await this.serial.send(packet);
+          await this.sendBroadcastLevel(onIntensity);
         }
         break;
 
       case 'all_off':
-        const packet = mdp.packetBroadcast('off');
-        await this.serial.send(packet);
+        if (this.compositor) {
+          for (const apt of this.getApartments(this.currentSequence || {})) {
+            await this.sendColor(apt.lightswarm_address, { r: 0, g: 0, b: 0 });
+          }
+        } else if (this.currentSequence && this.currentSequence.floors) {
+          for (const apt of this.getApartments(this.currentSequence)) {
+            if (this.transitionRemaining() > 0) {
+              await this.sendLevel(apt.lightswarm_address, 0);
+            } else {
+              await this.serial.send(mdp.packetOff(apt.lightswarm_address), { priority: this.priority });
+            }
+          }
+        } else if (this.transitionRemaining() > 0) {
+          await this.sendBroadcastLevel(0);
+        } else {
+          const packet = mdp.packetBroadcast('off');
+          await this.serial.send(packet, { priority: this.priority });
+        }
         break;
 
       case 'floor':
@@ -332,14 +717,9 @@ class AnimationEngine extends EventEmitter {
         for (const apt of apartments) {
           const intensity = step.intensity || 200;
           if (step.color) {
-            const scaledR = Math.round((step.color.r * intensity) / 255);
-            const scaledG = Math.round((step.color.g * intensity) / 255);
-            const scaledB = Math.round((step.color.b * intensity) / 255);
-            const pkt = mdp.packetRgbLevel(apt.lightswarm_address, scaledR, scaledG, scaledB);
-            await this.serial.send(pkt);
+            await this.sendColor(apt.lightswarm_address, this.scaleColor(step.color, intensity));
           } else {
-            const pkt = mdp.packetLevel(apt.lightswarm_address, intensity);
-            await this.serial.send(pkt);
+            await this.sendLevel(apt.lightswarm_address, intensity);
           }
         }
         break;
@@ -349,29 +729,18 @@ class AnimationEngine extends EventEmitter {
         if (apt) {
           const intensity = step.intensity || 200;
           if (step.color) {
-            const scaledR = Math.round((step.color.r * intensity) / 255);
-            const scaledG = Math.round((step.color.g * intensity) / 255);
-            const scaledB = Math.round((step.color.b * intensity) / 255);
-            const pkt = mdp.packetRgbLevel(apt.lightswarm_address, scaledR, scaledG, scaledB);
-            await this.serial.send(pkt);
+            await this.sendColor(apt.lightswarm_address, this.scaleColor(step.color, intensity));
           } else {
-            const pkt = mdp.packetLevel(apt.lightswarm_address, intensity);
-            await this.serial.send(pkt);
+            await this.sendLevel(apt.lightswarm_address, intensity);
           }
         }
         break;
 
       case 'address':
         if (step.color) {
-          const intensity = step.intensity || 200;
-          const scaledR = Math.round((step.color.r * intensity) / 255);
-          const scaledG = Math.round((step.color.g * intensity) / 255);
-          const scaledB = Math.round((step.color.b * intensity) / 255);
-          const pkt = mdp.packetRgbLevel(step.address, scaledR, scaledG, scaledB);
-          await this.serial.send(pkt);
+          await this.sendColor(step.address, this.scaleColor(step.color, step.intensity || 200));
         } else {
-          const pkt = mdp.packetLevel(step.address, step.intensity || 200);
-          await this.serial.send(pkt);
+          await this.sendLevel(step.address, step.intensity || 200);
         }
         break;
 
@@ -400,9 +769,16 @@ class AnimationEngine extends EventEmitter {
       const apartments = this.database.apartments.getByFloor(null, floor);
 
       for (const apt of apartments) {
-        const fadeParams = mdp.calculateFadeParams(255, 0, fadeTimeMs);
+        const fadeParams = mdp.calculateFadeParams(this.serial.lightState.getLevel(apt.lightswarm_address), 0, fadeTimeMs);
         const packet = mdp.packetFade(apt.lightswarm_address, 0, fadeParams.interval, fadeParams.step);
-        await this.serial.send(packet);
+        await this.serial.send(packet, { priority: 'session' });
+      }
+
+      const amenities = this.database.amenities.getByFloor(null, floor);
+      for (const amenity of amenities) {
+        const fadeParams = mdp.calculateFadeParams(this.serial.lightState.getLevel(amenity.lightswarm_address), 0, fadeTimeMs);
+        const packet = mdp.packetFade(amenity.lightswarm_address, 0, fadeParams.interval, fadeParams.step);
+        await this.serial.send(packet, { priority: 'session' });
       }
 
       if (floor > min_floor) {
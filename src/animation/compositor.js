@@ -0,0 +1,314 @@
+/**
+ * Layer Compositor
+ * Keeps the color each layer wants for every light and blends the layers in
+ * priority order, so animations can run over apartment states without
+ * overwriting them:
+ *
+ *   base      (0)  sales state colors; held states (e.g. SOLD) block effects
+ *   effect    (10) ambient animations and shows
+ *   highlight (20) selected units, always on top
+ *
+ * Only lights whose composite differs from their last commanded color are
+ * sent. Lights no layer covers are left alone. A master level scales every
+ * composite, for dimming after hours.
+ */
+
+const EventEmitter = require('events');
+const mdp = require('../mdp');
+
+/**
+ * Blend functions combining the color below (b) with a layer's color (t),
+ * per channel (0-255)
+ */
+const BLEND_MODES = {
+  normal: (b, t) => t,
+  add: (b, t) => Math.min(255, b + t),
+  multiply: (b, t) => (b * t) / 255,
+  screen: (b, t) => 255 - ((255 - b) * (255 - t)) / 255,
+  max: (b, t) => Math.max(b, t)
+};
+
+const DEFAULT_LAYERS = [
+  { name: 'base', priority: 0, blend: 'normal', respectHold: false },
+  { name: 'effect', priority: 10, blend: 'normal', respectHold: true },
+  { name: 'highlight', priority: 20, blend: 'normal', respectHold: false }
+];
+
+class Compositor extends EventEmitter {
+  /**
+   * @param {Object} serialConnection - Serial connection or controller router
+   * @param {Object} options
+   * @param {string[]} options.holdStates - Apartment states effects may not paint over
+   * @param {string[]} options.highlightStates - Apartment states placed on the highlight layer
+   */
+  constructor(serialConnection, options = {}) {
+    super();
+    this.serial = serialConnection;
+    this.holdStates = new Set(options.holdStates || ['SOLD', 'RESERVED', 'UNAVAILABLE']);
+    this.highlightStates = new Set(options.highlightStates || ['SELECTED']);
+    this.layers = new Map();
+    this.dirty = new Set();
+    this.masterLevel = 255;
+
+    for (const layer of DEFAULT_LAYERS) {
+      this.layers.set(layer.name, { ...layer, opacity: 1, enabled: true, lights: new Map() });
+    }
+  }
+
+  /**
+   * Get a layer or throw if it does not exist
+   */
+  getLayer(name) {
+    const layer = this.layers.get(name);
+    if (!layer) {
+      const err = new Error(`Unknown layer: ${name}`);
+      err.code = 'NOT_FOUND';
+      throw err;
+    }
+    return layer;
+  }
+
+  /**
+   * Change how a layer is blended
+   * @param {string} name - Layer name
+   * @param {Object} options - {blend, opacity (0-1), priority, enabled}
+   */
+  configure(name, options = {}) {
+    const layer = this.getLayer(name);
+    const { blend, opacity, priority, enabled } = options;
+
+    if (blend !== undefined && !BLEND_MODES[blend]) {
+      throw new Error(`Unknown blend mode: ${blend}`);
+    }
+    if (opacity !== undefined && !(opacity >= 0 && opacity <= 1)) {
+      throw new Error('Layer opacity must be between 0 and 1');
+    }
+    if (priority !== undefined && !Number.isFinite(priority)) {
+      throw new Error('Layer priority must be a number');
+    }
+
+    if (blend !== undefined) layer.blend = blend;
+    if (opacity !== undefined) layer.opacity = opacity;
+    if (priority !== undefined) layer.priority = priority;
+    if (enabled !== undefined) layer.enabled = Boolean(enabled);
+
+    this.markAll();
+    return this.describe(layer);
+  }
+
+  /**
+   * Scale every composited light
+   * @param {number} level - 0 (dark) to 255 (full)
+   */
+  setMasterLevel(level) {
+    if (!(Number.isInteger(level) && level >= 0 && level <= 255)) {
+      throw new Error('Master level must be 0-255');
+    }
+    this.masterLevel = level;
+    this.markAll();
+  }
+
+  /**
+   * Set lights on a layer
+   * @param {string} name - Layer name
+   * @param {Map<number, Object>|Object[]} colors - Address to {r, g, b}, or [{address, color}]
+   * @param {Object} options - {hold: block respectHold layers above}
+   */
+  set(name, colors, options = {}) {
+    const layer = this.getLayer(name);
+    const entries = colors instanceof Map ? colors : colors.map(({ address, color }) => [address, color]);
+
+    for (const [address, color] of entries) {
+      layer.lights.set(address, { color: { r: color.r, g: color.g, b: color.b }, hold: Boolean(options.hold) });
+      this.dirty.add(address);
+    }
+  }
+
+  /**
+   * Remove lights from a layer, or every light if no addresses are given
+   * @param {string} name - Layer name
+   * @param {number[]} addresses - Addresses to remove
+   */
+  clear(name, addresses = null) {
+    const layer = this.getLayer(name);
+    const targets = addresses || [...layer.lights.keys()];
+
+    for (const address of targets) {
+      if (layer.lights.delete(address)) {
+        this.dirty.add(address);
+      }
+    }
+  }
+
+  /**
+   * Clear every layer
+   */
+  clearAll() {
+    for (const name of this.layers.keys()) {
+      this.clear(name);
+    }
+  }
+
+  /**
+   * Place an apartment state on its layer: highlight states on the highlight
+   * layer (over the base state), other states on the base layer, held if
+   * effects should not paint over them
+   * @param {number[]} addresses - Light addresses
+   * @param {string} state - Apartment state
+   * @param {Object} color - {r, g, b} already scaled by intensity
+   */
+  setState(addresses, state, color) {
+    const colors = addresses.map(address => ({ address, color }));
+    this.emit('state', { addresses, state });
+
+    if (this.highlightStates.has(state)) {
+      this.set('highlight', colors);
+      return 'highlight';
+    }
+
+    this.clear('highlight', addresses);
+    this.set('base', colors, { hold: this.holdStates.has(state) });
+    return 'base';
+  }
+
+  /**
+   * Record apartment states that were sent directly (pseudo-addressed or
+   * flash packets) at the lights' commanded colors, then send any lights a
+   * layer above them still overrides
+   * @param {number[]} addresses - Light addresses
+   * @param {string} state - Apartment state
+   * @param {Object} options - Flush options
+   * @returns {Promise<Buffer[]>} Packets sent
+   */
+  async track(addresses, state, options = {}) {
+    for (const address of addresses) {
+      if (address === null || address === undefined) continue;
+      this.setState([address], state, this.serial.lightState.get(address));
+    }
+    return this.flush(options);
+  }
+
+  /**
+   * Mark every light covered by any layer for recompositing
+   */
+  markAll() {
+    for (const layer of this.layers.values()) {
+      for (const address of layer.lights.keys()) {
+        this.dirty.add(address);
+      }
+    }
+  }
+
+  /**
+   * Blend the layers for a light
+   * @param {number} address - Light address
+   * @returns {Object|null} {r, g, b}, or null if no enabled layer covers the light
+   */
+  composite(address) {
+    const layers = [...this.layers.values()]
+      .filter(layer => layer.enabled)
+      .sort((a, b) => a.priority - b.priority);
+
+    let color = null;
+    let held = false;
+
+    for (const layer of layers) {
+      const entry = layer.lights.get(address);
+      if (!entry || (held && layer.respectHold)) continue;
+
+      const below = color || { r: 0, g: 0, b: 0 };
+      const blend = BLEND_MODES[layer.blend];
+      const mix = (channel) => {
+        const blended = blend(below[channel], entry.color[channel]);
+        return Math.round(below[channel] + (blended - below[channel]) * layer.opacity);
+      };
+
+      color = { r: mix('r'), g: mix('g'), b: mix('b') };
+      held = held || entry.hold;
+    }
+
+    if (color && this.masterLevel < 255) {
+      const scale = (v) => Math.round((v * this.masterLevel) / 255);
+      color = { r: scale(color.r), g: scale(color.g), b: scale(color.b) };
+    }
+    return color;
+  }
+
+  /**
+   * Send the lights whose composite changed since their last commanded color
+   * @param {Object} options
+   * @param {number} options.fadeTimeMs - Fade to the new colors over this time (0 = snap)
+   * @param {string} options.priority - Queue class for the packets
+   * @returns {Promise<Buffer[]>} Packets sent
+   */
+  async flush(options = {}) {
+    const { fadeTimeMs = 0, priority } = options;
+    const packets = [];
+
+    for (const address of this.dirty) {
+      const color = this.composite(address);
+      if (!color) continue;
+
+      const current = this.serial.lightState.get(address);
+      if (current.r === color.r && current.g === color.g && current.b === color.b) continue;
+
+      packets.push(fadeTimeMs > 0
+        ? mdp.packetRgbFadeToColor(address, color.r, color.g, color.b, fadeTimeMs, current)
+        : mdp.packetRgbLevel(address, color.r, color.g, color.b));
+    }
+    this.dirty.clear();
+
+    await Promise.all(packets.map(packet => this.serial.send(packet, { priority })));
+    if (packets.length > 0) {
+      this.emit('flushed', { packets: packets.length });
+    }
+    return packets;
+  }
+
+  /**
+   * Describe a layer for the API
+   */
+  describe(layer) {
+    let held = 0;
+    for (const entry of layer.lights.values()) {
+      if (entry.hold) held++;
+    }
+    return {
+      name: layer.name,
+      priority: layer.priority,
+      blend: layer.blend,
+      opacity: layer.opacity,
+      enabled: layer.enabled,
+      respectHold: layer.respectHold,
+      lights: layer.lights.size,
+      held
+    };
+  }
+
+  /**
+   * Get every layer in compositing order
+   */
+  getLayers() {
+    return [...this.layers.values()]
+      .sort((a, b) => a.priority - b.priority)
+      .map(layer => this.describe(layer));
+  }
+
+  /**
+   * Get what each layer holds for a light and the resulting composite
+   * @param {number} address - Light address
+   */
+  inspect(address) {
+    const layers = {};
+    for (const layer of this.layers.values()) {
+      const entry = layer.lights.get(address);
+      if (entry) {
+        layers[layer.name] = { ...entry.color, hold: entry.hold };
+      }
+    }
+    return { address, layers, composite: this.composite(address) };
+  }
+}
+
+module.exports = Compositor;
+module.exports.BLEND_MODES = BLEND_MODES;
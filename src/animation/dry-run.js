@@ -0,0 +1,143 @@
+/**
+ * Sequence Dry Run
+ * Expands a sequence into the packets it would send, when, and the bus load
+ * they add up to, by running the engine against a recording connection on a
+ * virtual clock. Nothing is sent to the lights.
+ */
+
+const mdp = require('../mdp');
+const AnimationEngine = require('./ambient');
+const FrameBuffer = require('./frame-buffer');
+
+const DEFAULT_DURATION_MS = 10000;
+const MAX_DURATION_MS = 60000;
+const MAX_LISTED_PACKETS = 1000;
+
+/**
+ * Find the most bytes sent in any one-second window
+ * @param {Object[]} packets - [{atMs, bytes}] in time order
+ */
+function peakBytesPerSecond(packets) {
+  let peak = 0;
+  let total = 0;
+  let start = 0;
+
+  for (const packet of packets) {
+    total += packet.bytes;
+    while (packet.atMs - packets[start].atMs >= 1000) {
+      total -= packets[start].bytes;
+      start++;
+    }
+    peak = Math.max(peak, total);
+  }
+
+  return peak;
+}
+
+/**
+ * Expand a sequence into its timed packets without sending anything
+ * @param {Object} sequenceData - Sequence definition (validated)
+ * @param {Object} database - Database module
+ * @param {Object} options - {durationMs: how long to simulate looping sequences (default 10 s, max 60 s)}
+ * @returns {Promise<Object>} {type, durationMs, packets: [{atMs, address, command, bytes, hex}], truncated, load}
+ */
+async function dryRun(sequenceData, database, options = {}) {
+  const durationMs = Math.min(options.durationMs || DEFAULT_DURATION_MS, MAX_DURATION_MS);
+  const bytesPerSecond = parseInt(database.settings.get('animation_bandwidth_bytes_per_sec') || '2400', 10);
+  const busBytesPerSecond = parseInt(database.settings.get('baud_rate') || '38400', 10) / 10;
+
+  let now = 0;
+  const sent = [];
+  const recorder = {
+    lightState: new mdp.LightStateStore(),
+    send: async (packet) => {
+      recorder.lightState.applyPacket(packet);
+      sent.push({ atMs: now, packet });
+    }
+  };
+
+  // Start from dark with no crossfade, and let delays advance the virtual clock
+  const view = {
+    ...database,
+    settings: { ...database.settings, get: (key) => (key === 'animation_crossfade_ms' ? '0' : database.settings.get(key)) }
+  };
+  const engine = new AnimationEngine(recorder, view);
+  engine.delay = async (ms) => {
+    now += ms;
+    if (now >= durationMs) {
+      engine.stopAmbient();
+    }
+  };
+
+  const frames = engine.frameRenderer(sequenceData);
+  let buffer = null;
+  let throttled = false;
+
+  if (frames) {
+    // Same frame pacing as playFrames, including the bandwidth throttle
+    buffer = new FrameBuffer({ bytesPerSecond });
+    const speed = sequenceData.speed > 0 ? sequenceData.speed : 1;
+    while (now < durationMs) {
+      const { colors, done } = frames.render(now * speed);
+      for (const packet of buffer.render(colors)) {
+        await recorder.send(packet);
+      }
+      if (done) break;
+      const intervalMs = buffer.nextInterval(frames.frameMs);
+      throttled = throttled || intervalMs > frames.frameMs;
+      now += intervalMs;
+    }
+  } else if (sequenceData.type === 'loop') {
+    engine.currentSequence = sequenceData;
+    for (let i = 0; now < durationMs; i = (i + 1) % sequenceData.steps.length) {
+      const step = sequenceData.steps[i];
+      await engine.executeStep(step);
+      now += step.duration || sequenceData.stepDuration || 1000;
+    }
+  } else {
+    await engine.runSequence(sequenceData);
+    // A looping wave carries on in the background until the clock runs out
+    while (engine.isRunning() && sequenceData.type === 'wave' && sequenceData.loop !== false) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    engine.stopAmbient();
+  }
+
+  const packets = sent.map(({ atMs, packet }) => {
+    const frame = mdp.decodeFrame(mdp.slip.decode(packet));
+    return {
+      atMs: Math.round(atMs),
+      address: frame.address,
+      command: frame.commandName,
+      bytes: packet.length,
+      hex: packet.toString('hex')
+    };
+  });
+
+  const spanMs = Math.min(Math.max(now, packets.length > 0 ? packets[packets.length - 1].atMs : 0), durationMs);
+  const bytes = packets.reduce((sum, packet) => sum + packet.bytes, 0);
+  const peak = peakBytesPerSecond(packets);
+
+  return {
+    type: sequenceData.type,
+    durationMs: Math.round(spanMs),
+    packets: packets.slice(0, MAX_LISTED_PACKETS),
+    truncated: packets.length > MAX_LISTED_PACKETS,
+    load: {
+      packets: packets.length,
+      bytes,
+      averageBytesPerSecond: Math.round((bytes * 1000) / Math.max(spanMs, 1000)),
+      peakBytesPerSecond: peak,
+      budgetBytesPerSecond: bytesPerSecond,
+      busBytesPerSecond,
+      peakBusLoad: Math.round((peak / busBytesPerSecond) * 1000) / 1000,
+      frames: buffer ? buffer.getStats().frames : null,
+      throttled
+    }
+  };
+}
+
+module.exports = {
+  dryRun,
+  peakBytesPerSecond
+};
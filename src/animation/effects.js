@@ -0,0 +1,179 @@
+/**
+ * Spatial Effects
+ * Frame renderers that place every unit on the facade by floor (row) and
+ * unit_position (column):
+ *
+ *   sparkle    random units twinkle over a background level
+ *   ripple     rings spread out from an apartment across floors and positions
+ *   spotlight  a band sweeps across the facade, sideways or up and down
+ *
+ * Randomness is derived from the unit and the time slot, so a frame depends
+ * only on its time and effects can be paused, seeked and dry-run.
+ */
+
+const FRAME_MS = 50;
+
+const WHITE = { r: 255, g: 255, b: 255 };
+
+/**
+ * Place apartments on the facade grid; units without a position take their
+ * order on the floor
+ * @param {Object[]} apartments - Apartments with lightswarm_address, floor, unit_position
+ * @returns {Object[]} [{address, floor, position}]
+ */
+function facadeLayout(apartments) {
+  const perFloor = new Map();
+
+  return apartments
+    .filter(apt => apt.lightswarm_address !== null && apt.lightswarm_address !== undefined)
+    .map(apt => {
+      const index = perFloor.get(apt.floor) || 0;
+      perFloor.set(apt.floor, index + 1);
+      return {
+        address: apt.lightswarm_address,
+        floor: apt.floor || 0,
+        position: apt.unit_position ?? index + 1
+      };
+    });
+}
+
+/**
+ * Deterministic pseudo-random number in [0, 1) from integers
+ */
+function random(...values) {
+  let h = 0x811C9DC5;
+  for (const value of values) {
+    h = Math.imul(h ^ (value & 0xFFFFFFFF), 0x01000193);
+    h ^= h >>> 15;
+    h = Math.imul(h, 0x2C1B3C6D);
+    h ^= h >>> 12;
+  }
+  return (h >>> 0) / 0x100000000;
+}
+
+/**
+ * Color between a background and peak intensity
+ * @param {Object} color - {r, g, b}
+ * @param {number} base - Background intensity (0-255)
+ * @param {number} peak - Peak intensity (0-255)
+ * @param {number} amount - 0 (background) to 1 (peak)
+ */
+function shade(color, base, peak, amount) {
+  const intensity = base + (peak - base) * Math.max(0, Math.min(1, amount));
+  return {
+    r: Math.round((color.r * intensity) / 255),
+    g: Math.round((color.g * intensity) / 255),
+    b: Math.round((color.b * intensity) / 255)
+  };
+}
+
+/**
+ * Sparkle - random units twinkle
+ * @param {Object[]} layout - Facade layout
+ * @param {Object} params - {color, intensity, baseIntensity, density (0-1), twinkleDuration, seed}
+ * @returns {Function} (elapsedMs) => {colors, done}
+ */
+function sparkle(layout, params = {}) {
+  const { color = WHITE, intensity = 255, baseIntensity = 0, density = 0.15, twinkleDuration = 800, seed = 0 } = params;
+
+  return (elapsed) => {
+    const colors = new Map();
+
+    for (const light of layout) {
+      // Each unit runs its own slots, offset so twinkles do not start together
+      const t = elapsed + random(seed, light.address) * twinkleDuration;
+      const slot = Math.floor(t / twinkleDuration);
+      const lit = random(seed, light.address, slot) < density;
+      const phase = (t % twinkleDuration) / twinkleDuration;
+      colors.set(light.address, shade(color, baseIntensity, intensity, lit ? Math.sin(Math.PI * phase) : 0));
+    }
+
+    return { colors, done: false };
+  };
+}
+
+/**
+ * Ripple - rings spread out from an origin unit
+ * @param {Object[]} layout - Facade layout
+ * @param {Object} origin - {floor, position}
+ * @param {Object} params - {color, intensity, baseIntensity, velocity (units/s), width (units), interval (ms between rings), floorSpacing, loop}
+ * @returns {Function} (elapsedMs) => {colors, done}
+ */
+function ripple(layout, origin, params = {}) {
+  const {
+    color = WHITE, intensity = 255, baseIntensity = 0, velocity = 6, width = 1.5,
+    interval = 2500, floorSpacing = 1, loop = true
+  } = params;
+
+  const distances = layout.map(light => Math.hypot(light.position - origin.position, (light.floor - origin.floor) * floorSpacing));
+  const farthest = Math.max(0, ...distances);
+  const travelMs = (distance) => (distance * 1000) / velocity;
+
+  return (elapsed) => {
+    const colors = new Map();
+
+    layout.forEach((light, i) => {
+      const d = distances[i];
+      // Rings that are within a width of this unit now
+      const first = Math.max(0, Math.ceil((elapsed - travelMs(d + width)) / interval));
+      const last = loop ? Math.floor((elapsed - travelMs(Math.max(0, d - width))) / interval) : 0;
+
+      let amount = 0;
+      for (let k = first; k <= last; k++) {
+        const radius = ((elapsed - k * interval) * velocity) / 1000;
+        if (radius >= 0) {
+          amount = Math.max(amount, 1 - Math.abs(d - radius) / width);
+        }
+      }
+      colors.set(light.address, shade(color, baseIntensity, intensity, amount));
+    });
+
+    return { colors, done: !loop && elapsed >= travelMs(farthest + width) };
+  };
+}
+
+/**
+ * Spotlight - a band sweeps across the facade
+ * @param {Object[]} layout - Facade layout
+ * @param {Object} params - {color, intensity, baseIntensity, direction ('horizontal' or 'vertical'), width (units), sweepDuration, pingpong}
+ * @returns {Function} (elapsedMs) => {colors, done}
+ */
+function spotlight(layout, params = {}) {
+  const {
+    color = WHITE, intensity = 255, baseIntensity = 0, direction = 'horizontal', width = 2,
+    sweepDuration = 4000, pingpong = true
+  } = params;
+
+  const coordinates = layout.map(light => (direction === 'vertical' ? light.floor : light.position));
+  // The band enters and leaves the facade fully
+  const from = (coordinates.length > 0 ? Math.min(...coordinates) : 0) - width;
+  const to = (coordinates.length > 0 ? Math.max(...coordinates) : 0) + width;
+
+  return (elapsed) => {
+    const sweep = Math.floor(elapsed / sweepDuration);
+    let progress = (elapsed % sweepDuration) / sweepDuration;
+    if (pingpong && sweep % 2 === 1) {
+      progress = 1 - progress;
+    }
+    const center = from + (to - from) * progress;
+
+    const colors = new Map();
+    layout.forEach((light, i) => {
+      // Cosine falloff gives the band soft edges
+      const offset = Math.abs(coordinates[i] - center) / width;
+      const amount = offset < 1 ? (1 + Math.cos(Math.PI * offset)) / 2 : 0;
+      colors.set(light.address, shade(color, baseIntensity, intensity, amount));
+    });
+
+    return { colors, done: false };
+  };
+}
+
+module.exports = {
+  FRAME_MS,
+  facadeLayout,
+  random,
+  sparkle,
+  ripple,
+  spotlight
+};
@@ -0,0 +1,117 @@
+/**
+ * Frame Buffer
+ * Holds the last color sent to every light so animation frames can be diffed,
+ * and stretches the frame interval when the changed packets would exceed the
+ * bus bandwidth budget (38400 baud carries roughly 3840 bytes per second)
+ */
+
+const mdp = require('../mdp');
+
+const DEFAULT_BYTES_PER_SECOND = 2400;
+
+// Share of the gap between the current and target interval recovered per frame
+const RECOVERY_RATE = 0.1;
+
+class FrameBuffer {
+  /**
+   * @param {Object} options
+   * @param {number} options.bytesPerSecond - Bus budget for animation packets
+   */
+  constructor(options = {}) {
+    this.bytesPerSecond = options.bytesPerSecond > 0 ? options.bytesPerSecond : DEFAULT_BYTES_PER_SECOND;
+    this.lights = new Map();
+    this.intervalMs = null;
+    this.lastFrameBytes = 0;
+    this.stats = { frames: 0, packets: 0, bytes: 0, unchanged: 0, throttledFrames: 0 };
+  }
+
+  /**
+   * Compare a rendered frame with the buffer and record the lights that changed
+   * @param {Map<number, Object>} colors - Address to {r, g, b}
+   * @returns {Object[]} [{address, color}] for changed lights
+   */
+  diff(colors) {
+    const changes = [];
+
+    for (const [address, color] of colors) {
+      const last = this.lights.get(address);
+      if (!last || last.r !== color.r || last.g !== color.g || last.b !== color.b) {
+        this.lights.set(address, color);
+        changes.push({ address, color });
+      } else {
+        this.stats.unchanged++;
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Diff a frame and build RGB level packets for the lights that changed
+   * @param {Map<number, Object>} colors - Address to {r, g, b}
+   * @returns {Buffer[]} Packets to send
+   */
+  render(colors) {
+    const packets = this.diff(colors).map(({ address, color }) =>
+      mdp.packetRgbLevel(address, color.r, color.g, color.b));
+    this.record(packets);
+    return packets;
+  }
+
+  /**
+   * Count a frame's packets towards the bus budget
+   * Used directly when the packets were built elsewhere (e.g. by a compositor)
+   * @param {Buffer[]} packets - Packets sent for the frame
+   */
+  record(packets) {
+    const bytes = packets.reduce((sum, packet) => sum + packet.length, 0);
+
+    this.stats.frames++;
+    this.stats.packets += packets.length;
+    this.stats.bytes += bytes;
+    this.lastFrameBytes = bytes;
+  }
+
+  /**
+   * Work out the time until the next frame
+   * A frame that needs longer than the target interval on the bus stretches
+   * the interval at once; the rate then recovers gradually
+   * @param {number} targetMs - Interval the animation asks for
+   * @returns {number} Interval to wait (ms)
+   */
+  nextInterval(targetMs) {
+    const requiredMs = Math.ceil((this.lastFrameBytes * 1000) / this.bytesPerSecond);
+    const current = this.intervalMs ?? targetMs;
+    const recovered = Math.floor(current - (current - targetMs) * RECOVERY_RATE);
+
+    this.intervalMs = Math.max(targetMs, requiredMs, recovered);
+    if (this.intervalMs > targetMs) {
+      this.stats.throttledFrames++;
+    }
+
+    return this.intervalMs;
+  }
+
+  /**
+   * Forget every light so the next frame is sent in full
+   */
+  reset() {
+    this.lights.clear();
+    this.intervalMs = null;
+  }
+
+  /**
+   * Get render statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      lights: this.lights.size,
+      bytesPerSecond: this.bytesPerSecond,
+      intervalMs: this.intervalMs,
+      frameRate: this.intervalMs ? Math.round((1000 / this.intervalMs) * 10) / 10 : null
+    };
+  }
+}
+
+module.exports = FrameBuffer;
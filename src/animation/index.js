@@ -3,9 +3,27 @@
  */
 
 const AnimationEngine = require('./ambient');
+const Compositor = require('./compositor');
 const sequences = require('./sequences');
+const FrameBuffer = require('./frame-buffer');
+const ShowPlayer = require('./show-player');
+const Scheduler = require('./scheduler');
+const StateDisplay = require('./state-display');
+const timeline = require('./timeline');
+const effects = require('./effects');
+const sequenceSchema = require('./sequence-schema');
+const { dryRun } = require('./dry-run');
 
 module.exports = {
   AnimationEngine,
+  Compositor,
+  FrameBuffer,
+  ShowPlayer,
+  Scheduler,
+  StateDisplay,
+  timeline,
+  effects,
+  sequenceSchema,
+  dryRun,
   ...sequences
 };
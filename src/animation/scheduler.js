@@ -0,0 +1,375 @@
+/**
+ * Scheduler
+ * Runs time-of-day rules stored in the database: switch the ambient
+ * sequence, play a show, dim everything after hours, black the model out
+ * overnight and resume normal lighting in the morning.
+ *
+ * Rule: { id, name, cron: '0 22 * * *', action, params, enabled }
+ *   ambient  {sequenceId}        set the ambient sequence and light normally
+ *   show     {showId, overrides} play a show (see ShowPlayer)
+ *   dim      {intensity}         scale every light to intensity/255
+ *   blackout {}                  stop animation and turn every light off
+ *   resume   {}                  undo dim/blackout and restart ambient
+ *
+ * While an agent session is active, ambient and resume rules only change the
+ * settings and show rules wait; the animation starts when the session ends.
+ */
+
+const EventEmitter = require('events');
+const mdp = require('../mdp');
+const cron = require('../utils/cron');
+const { getSequence } = require('./sequences');
+
+const ACTIONS = ['ambient', 'show', 'dim', 'blackout', 'resume'];
+
+// Actions that leave the model in a lasting mode; the latest one is
+// re-applied on startup so a restart overnight stays dark
+const MODE_ACTIONS = ['ambient', 'dim', 'blackout', 'resume'];
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Validate a rule definition
+ * @param {Object} rule - {cron, action, params}
+ * @param {Object} database - Database module
+ * @returns {string[]} Error messages
+ */
+function validateRule(rule, database) {
+  const errors = [];
+  const params = rule.params || {};
+
+  const cronError = cron.validate(rule.cron);
+  if (cronError) {
+    errors.push(cronError);
+  }
+
+  switch (rule.action) {
+    case 'ambient':
+      if (!params.sequenceId || !database.animationSequences.get(params.sequenceId)) {
+        errors.push('ambient rules need params.sequenceId of a stored animation sequence');
+      }
+      break;
+    case 'show':
+      if (!params.showId || !(database.animationSequences.get(params.showId) || getSequence(params.showId))) {
+        errors.push('show rules need params.showId of a stored or predefined sequence');
+      }
+      if (params.overrides !== undefined && (typeof params.overrides !== 'object' || params.overrides === null)) {
+        errors.push('params.overrides must be an object');
+      }
+      break;
+    case 'dim':
+      if (!(Number.isInteger(params.intensity) && params.intensity >= 0 && params.intensity <= 255)) {
+        errors.push('dim rules need params.intensity 0-255');
+      }
+      break;
+    case 'blackout':
+    case 'resume':
+      break;
+    default:
+      errors.push(`action must be one of: ${ACTIONS.join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Work out the next runs of a set of rules
+ * @param {Object[]} rules - [{id, name, cron, action, params}]
+ * @param {Date} from - Start (exclusive)
+ * @param {number} count - Number of events
+ * @returns {Object[]} [{ruleId, name, action, params, at}] in time order
+ */
+function upcoming(rules, from = new Date(), count = 10) {
+  const events = [];
+
+  for (const rule of rules) {
+    let parsed;
+    try {
+      parsed = cron.parse(rule.cron);
+    } catch (err) {
+      continue;
+    }
+
+    let after = from;
+    for (let i = 0; i < count; i++) {
+      const at = cron.next(parsed, after);
+      if (!at) break;
+      events.push({ ruleId: rule.id, name: rule.name, action: rule.action, params: rule.params, at });
+      after = at;
+    }
+  }
+
+  return events
+    .sort((a, b) => a.at - b.at)
+    .slice(0, count)
+    .map(event => ({ ...event, at: event.at.toISOString() }));
+}
+
+class Scheduler extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {Object} options.engine - AnimationEngine
+   * @param {Object} options.shows - ShowPlayer
+   * @param {Object} options.compositor - Compositor (for dimming)
+   * @param {Object} options.serial - Serial connection or controller router
+   * @param {Object} options.database - Database module
+   * @param {Object} options.sessions - SessionManager; animation waits while a session is active
+   */
+  constructor(options) {
+    super();
+    this.engine = options.engine;
+    this.shows = options.shows || null;
+    this.compositor = options.compositor || null;
+    this.serial = options.serial;
+    this.database = options.database;
+    this.sessions = options.sessions || null;
+    this.timer = null;
+    this.lastTick = null;
+    this.mode = 'normal';
+    this.pendingShow = null;
+  }
+
+  /**
+   * Check if an agent session holds the model
+   */
+  isSessionActive() {
+    return Boolean(this.sessions && this.sessions.getActive());
+  }
+
+  /**
+   * Get enabled rules with parsed params, skipping rules whose cron no longer parses
+   */
+  getRules() {
+    const rules = [];
+    for (const row of this.database.scheduleRules.getEnabled()) {
+      try {
+        rules.push({ ...row, params: JSON.parse(row.params || '{}'), parsed: cron.parse(row.cron) });
+      } catch (err) {
+        console.warn(`Skipping schedule rule ${row.id}: ${err.message}`);
+      }
+    }
+    return rules;
+  }
+
+  /**
+   * Re-apply the latest mode rule, then check rules at every minute
+   */
+  async start(now = new Date()) {
+    this.stop();
+    await this.catchUp(now);
+    this.scheduleTick();
+  }
+
+  /**
+   * Stop checking rules
+   */
+  stop() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Wait for the start of the next minute
+   */
+  scheduleTick() {
+    const delay = MINUTE_MS - (Date.now() % MINUTE_MS);
+    this.timer = setTimeout(async () => {
+      await this.tick(new Date());
+      if (this.timer) {
+        this.scheduleTick();
+      }
+    }, delay);
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Run every rule due in the minute containing a time (once per minute)
+   */
+  async tick(now) {
+    const minute = Math.floor(now.getTime() / MINUTE_MS);
+    if (minute === this.lastTick) return [];
+    this.lastTick = minute;
+
+    const events = [];
+    for (const rule of this.getRules()) {
+      if (cron.matches(rule.parsed, now)) {
+        events.push(await this.run(rule, 'schedule'));
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Apply the mode rule that fired most recently, e.g. after a restart
+   */
+  async catchUp(now) {
+    let latest = null;
+    for (const rule of this.getRules().filter(r => MODE_ACTIONS.includes(r.action))) {
+      const at = cron.previous(rule.parsed, now);
+      if (at && (!latest || at > latest.at)) {
+        latest = { rule, at };
+      }
+    }
+
+    this.lastTick = Math.floor(now.getTime() / MINUTE_MS);
+    return latest ? this.run(latest.rule, 'startup') : null;
+  }
+
+  /**
+   * Run a rule now
+   * @param {Object} rule - Rule with parsed params
+   * @param {string} trigger - schedule, startup or manual
+   * @returns {Promise<Object>} Event {ruleId, name, action, trigger, mode, at, deferred, error}
+   */
+  async run(rule, trigger = 'manual') {
+    const event = { ruleId: rule.id, name: rule.name, action: rule.action, trigger };
+
+    try {
+      if (await this.apply(rule.action, rule.params || {})) {
+        event.deferred = true;
+      }
+      this.database.scheduleRules.markRun(rule.id);
+    } catch (err) {
+      console.error(`Schedule rule ${rule.id} failed:`, err.message);
+      event.error = err.message;
+    }
+
+    event.mode = this.mode;
+    event.at = new Date().toISOString();
+    this.emit('fired', event);
+    return event;
+  }
+
+  /**
+   * Carry out an action
+   * @returns {Promise<boolean>} True if the animation waits for the agent session to end
+   */
+  async apply(action, params) {
+    switch (action) {
+      case 'ambient':
+        this.database.animationSequences.setAsAmbientDefault(params.sequenceId);
+        this.database.settings.set('ambient_sequence_id', params.sequenceId);
+        await this.setMasterLevel(255);
+        this.mode = 'normal';
+        if (this.isSessionActive()) {
+          return true;
+        }
+        if (!(this.shows && this.shows.isActive())) {
+          await this.engine.stopAmbient();
+          await this.startAmbient();
+        }
+        break;
+
+      case 'show':
+        if (!this.shows) {
+          throw new Error('Show player not available');
+        }
+        if (this.isSessionActive()) {
+          this.pendingShow = { showId: params.showId, overrides: params.overrides || {} };
+          return true;
+        }
+        await this.shows.play(params.showId, params.overrides || {});
+        break;
+
+      case 'dim':
+        await this.setMasterLevel(params.intensity);
+        this.mode = 'dimmed';
+        break;
+
+      case 'blackout':
+        this.mode = 'blackout';
+        this.pendingShow = null;
+        if (this.shows) {
+          await this.shows.stop({ resumeAmbient: false });
+        }
+        await this.setMasterLevel(0);
+        await this.engine.stopAmbient();
+        await this.serial.send(mdp.packetBroadcast('off'));
+        break;
+
+      case 'resume':
+        await this.setMasterLevel(255);
+        this.mode = 'normal';
+        if (this.isSessionActive()) {
+          return true;
+        }
+        if (!this.engine.isRunning() && !(this.shows && this.shows.isActive())) {
+          await this.startAmbient();
+        }
+        break;
+
+      default:
+        throw new Error(`Unknown schedule action: ${action}`);
+    }
+    return false;
+  }
+
+  /**
+   * Start ambient animation unless it is disabled
+   */
+  async startAmbient() {
+    if (this.database.settings.get('ambient_enabled') === 'true') {
+      await this.engine.startAmbient();
+    }
+  }
+
+  /**
+   * Start ambient animation when an agent session ends, unless ambient is
+   * disabled, the model is blacked out or a show is playing. A show rule
+   * that fired during the session plays instead.
+   * @returns {Promise<boolean>} Whether ambient was started
+   */
+  async resumeAmbient() {
+    if (this.mode === 'blackout' || (this.shows && this.shows.isActive())) {
+      return false;
+    }
+    if (this.pendingShow) {
+      const { showId, overrides } = this.pendingShow;
+      this.pendingShow = null;
+      await this.shows.play(showId, overrides);
+      return false;
+    }
+    await this.startAmbient();
+    return this.engine.isRunning();
+  }
+
+  /**
+   * Fade every composited light to a master level
+   */
+  async setMasterLevel(level) {
+    if (!this.compositor) return;
+    this.compositor.setMasterLevel(level);
+    const fadeTimeMs = parseInt(this.database.settings.get('default_fade_time_ms') || '500', 10);
+    await this.compositor.flush({ fadeTimeMs });
+  }
+
+  /**
+   * Get the next scheduled events
+   * @param {Date} from - Start (exclusive)
+   * @param {number} count - Number of events
+   */
+  getUpcoming(from = new Date(), count = 10) {
+    return upcoming(this.getRules(), from, count);
+  }
+
+  /**
+   * Get scheduler status
+   */
+  getStatus() {
+    return {
+      running: this.timer !== null,
+      mode: this.mode,
+      masterLevel: this.compositor ? this.compositor.masterLevel : null,
+      upcoming: this.getUpcoming(new Date(), 5)
+    };
+  }
+}
+
+module.exports = Scheduler;
+module.exports.ACTIONS = ACTIONS;
+module.exports.validateRule = validateRule;
+module.exports.upcoming = upcoming;
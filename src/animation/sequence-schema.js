@@ -0,0 +1,281 @@
+/**
+ * Sequence Schema
+ * JSON Schema for animation sequence definitions, one shape per sequence
+ * type and step command, so typos are rejected when a sequence is stored
+ * instead of surfacing as warnings (or a default ambient) at runtime.
+ */
+
+const jsonSchema = require('../utils/json-schema');
+const { EASINGS, LOOP_MODES } = require('./timeline');
+
+const level = { type: 'integer', minimum: 0, maximum: 255 };
+const milliseconds = { type: 'integer', minimum: 0 };
+const positiveMilliseconds = { type: 'integer', minimum: 1 };
+
+const color = {
+  type: 'object',
+  required: ['r', 'g', 'b'],
+  additionalProperties: false,
+  properties: { r: level, g: level, b: level }
+};
+
+// Properties any sequence may carry: stored metadata and show overrides
+const common = {
+  type: { type: 'string' },
+  id: { type: 'string' },
+  name: { type: 'string' },
+  description: { type: 'string' },
+  speed: { type: 'number', minimum: 0.1, maximum: 10 }
+};
+
+const floors = { type: 'array', minItems: 1, items: { type: 'integer' } };
+
+// Properties every step may carry
+const stepCommon = {
+  command: { type: 'string' },
+  duration: positiveMilliseconds
+};
+
+const lightStep = {
+  ...stepCommon,
+  intensity: level,
+  color
+};
+
+const STEP_SCHEMAS = {
+  all_on: {
+    type: 'object',
+    additionalProperties: false,
+    properties: lightStep
+  },
+  all_off: {
+    type: 'object',
+    additionalProperties: false,
+    properties: stepCommon
+  },
+  floor: {
+    type: 'object',
+    required: ['floor'],
+    additionalProperties: false,
+    properties: { ...lightStep, floor: { type: 'integer' }, tower: { type: ['string', 'null'] } }
+  },
+  apartment: {
+    type: 'object',
+    required: ['apartmentId'],
+    additionalProperties: false,
+    properties: { ...lightStep, apartmentId: { type: 'string' } }
+  },
+  address: {
+    type: 'object',
+    required: ['address'],
+    additionalProperties: false,
+    properties: { ...lightStep, address: { type: 'integer', minimum: 0, maximum: 0xFFFE } }
+  }
+};
+
+const steps = {
+  type: 'array',
+  minItems: 1,
+  items: { type: 'object', discriminator: { propertyName: 'command', mapping: STEP_SCHEMAS } }
+};
+
+const target = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    all: { type: 'boolean' },
+    apartments: { type: 'array', items: { type: 'string' } },
+    floors: { type: 'array', items: { type: 'integer' } },
+    tower: { type: ['string', 'null'] },
+    floorplates: { type: 'array', items: { type: 'string' } },
+    unitTypes: { type: 'array', items: { type: 'string' } },
+    addresses: { type: 'array', items: { type: 'integer', minimum: 0, maximum: 0xFFFE } }
+  }
+};
+
+const keyframe = {
+  type: 'object',
+  required: ['time'],
+  additionalProperties: false,
+  properties: {
+    time: { type: 'number', minimum: 0 },
+    color,
+    intensity: level,
+    easing: { type: 'string', enum: Object.keys(EASINGS) }
+  }
+};
+
+const SEQUENCE_SCHEMAS = {
+  static: {
+    type: 'object',
+    required: ['steps'],
+    additionalProperties: false,
+    properties: { ...common, floors, steps }
+  },
+  loop: {
+    type: 'object',
+    required: ['steps'],
+    additionalProperties: false,
+    properties: { ...common, floors, steps, stepDuration: positiveMilliseconds, loop: { type: 'boolean' } }
+  },
+  wave: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      ...common,
+      floors,
+      direction: { type: 'string', enum: ['up', 'down'] },
+      color,
+      intensity: level,
+      floorDelay: milliseconds,
+      fadeTime: milliseconds,
+      holdTime: milliseconds,
+      pauseBetween: milliseconds,
+      loop: { type: 'boolean' }
+    }
+  },
+  chase: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      ...common,
+      floors,
+      color,
+      intensity: level,
+      chaseDelay: positiveMilliseconds,
+      tailLength: { type: 'integer', minimum: 1 }
+    }
+  },
+  breathe: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      ...common,
+      floors,
+      color,
+      minIntensity: level,
+      maxIntensity: level,
+      breatheDuration: positiveMilliseconds
+    }
+  },
+  sparkle: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      ...common,
+      floors,
+      color,
+      intensity: level,
+      baseIntensity: level,
+      density: { type: 'number', minimum: 0, maximum: 1 },
+      twinkleDuration: positiveMilliseconds,
+      seed: { type: 'integer' }
+    }
+  },
+  ripple: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      ...common,
+      floors,
+      originApartmentId: { type: 'string' },
+      color,
+      intensity: level,
+      baseIntensity: level,
+      velocity: { type: 'number', exclusiveMinimum: 0 },
+      width: { type: 'number', exclusiveMinimum: 0 },
+      interval: positiveMilliseconds,
+      floorSpacing: { type: 'number', exclusiveMinimum: 0 },
+      loop: { type: 'boolean' }
+    }
+  },
+  spotlight: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      ...common,
+      floors,
+      direction: { type: 'string', enum: ['horizontal', 'vertical'] },
+      color,
+      intensity: level,
+      baseIntensity: level,
+      width: { type: 'number', exclusiveMinimum: 0 },
+      sweepDuration: positiveMilliseconds,
+      pingpong: { type: 'boolean' }
+    }
+  },
+  state_display: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      ...common,
+      floors,
+      stateColors: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['r', 'g', 'b'],
+          additionalProperties: false,
+          properties: { r: level, g: level, b: level, intensity: level }
+        }
+      },
+      motion: { type: 'string', enum: ['none', 'breathe'] },
+      motionStates: { type: 'array', items: { type: 'string' } },
+      motionDepth: { type: 'number', minimum: 0, maximum: 1 },
+      motionPeriod: positiveMilliseconds
+    }
+  },
+  timeline: {
+    type: 'object',
+    required: ['duration', 'tracks'],
+    additionalProperties: false,
+    properties: {
+      ...common,
+      duration: { type: 'number', exclusiveMinimum: 0 },
+      loop: { type: ['boolean', 'string'], enum: [true, false, ...LOOP_MODES] },
+      frameRate: { type: 'number', exclusiveMinimum: 0, maximum: 50 },
+      tracks: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['keyframes'],
+          additionalProperties: false,
+          properties: {
+            target,
+            stagger: { type: 'number', minimum: 0 },
+            keyframes: { type: 'array', minItems: 1, items: keyframe }
+          }
+        }
+      }
+    }
+  }
+};
+
+const SEQUENCE_SCHEMA = {
+  $schema: 'http://json-schema.org/draft-07/schema#',
+  title: 'Animation sequence',
+  type: 'object',
+  discriminator: { propertyName: 'type', mapping: SEQUENCE_SCHEMAS }
+};
+
+/**
+ * Validate a sequence definition
+ * @param {Object} sequenceData - Sequence definition
+ * @returns {Object[]} Errors [{path, message}], empty if valid
+ */
+function validateSequence(sequenceData) {
+  const errors = jsonSchema.validate(sequenceData, SEQUENCE_SCHEMA);
+
+  if (errors.length === 0 && sequenceData.type === 'breathe' &&
+      (sequenceData.minIntensity ?? 50) > (sequenceData.maxIntensity ?? 200)) {
+    errors.push({ path: '$.minIntensity', message: 'must not exceed maxIntensity' });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  SEQUENCE_SCHEMA,
+  validateSequence
+};
@@ -147,6 +147,65 @@ const sequences = {
     ]
   },
 
+  sunsetTimeline: {
+    id: 'sunset_timeline',
+    name: 'Sunset Timeline',
+    description: 'Warm glow rising floor by floor, fading to dusk blue',
+    type: 'timeline',
+    duration: 12000,
+    loop: 'pingpong',
+    frameRate: 20,
+    tracks: [{
+      target: { all: true },
+      stagger: 15,
+      keyframes: [
+        { time: 0, color: { r: 40, g: 20, b: 80 }, intensity: 120, easing: 'easeInOut' },
+        { time: 5000, color: { r: 255, g: 140, b: 40 }, intensity: 200, easing: 'easeOut' },
+        { time: 12000, color: { r: 255, g: 220, b: 180 }, intensity: 160 }
+      ]
+    }]
+  },
+
+  sparkleGold: {
+    id: 'sparkle_gold',
+    name: 'Gold Sparkle',
+    description: 'Random units twinkle gold over a soft glow',
+    type: 'sparkle',
+    color: { r: 255, g: 190, b: 90 },
+    intensity: 255,
+    baseIntensity: 40,
+    density: 0.12,
+    twinkleDuration: 900
+  },
+
+  rippleLaunch: {
+    id: 'ripple_launch',
+    name: 'Launch Ripple',
+    description: 'Rings of light spread out from the middle of the facade',
+    type: 'ripple',
+    color: { r: 255, g: 255, b: 255 },
+    intensity: 230,
+    baseIntensity: 20,
+    velocity: 6,
+    width: 1.5,
+    interval: 2500,
+    loop: true
+  },
+
+  spotlightSweep: {
+    id: 'spotlight_sweep',
+    name: 'Spotlight Sweep',
+    description: 'A bright band sweeps back and forth across the facade',
+    type: 'spotlight',
+    direction: 'horizontal',
+    color: { r: 255, g: 245, b: 220 },
+    intensity: 255,
+    baseIntensity: 25,
+    width: 2,
+    sweepDuration: 4000,
+    pingpong: true
+  },
+
   alertFlash: {
     id: 'alert_flash',
     name: 'Alert Flash',
@@ -202,16 +261,19 @@ function createFloorSequence(floors, options = {}) {
 }
 
 /**
- * Create a state display sequence (show all apartments in their current state)
+ * Create a state display sequence (show all apartments in their current
+ * state, with available units breathing gently)
+ * @param {Object} stateColors - Optional overrides of state_colors, e.g. { AVAILABLE: { r, g, b, intensity } }
+ * @param {Object} options - {motion ('breathe' or 'none'), motionStates, motionDepth, motionPeriod}
  */
-function createStateDisplaySequence(stateColors) {
+function createStateDisplaySequence(stateColors, options = {}) {
   return {
     id: 'state_display',
     name: 'State Display',
     description: 'Show apartments in their current state colors',
-    type: 'static',
-    useCurrentState: true,
-    stateColors
+    type: 'state_display',
+    ...(stateColors && { stateColors }),
+    ...options
   };
 }
 
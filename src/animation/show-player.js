@@ -0,0 +1,301 @@
+/**
+ * Show Player
+ * Plays stored or predefined sequences on demand (e.g. a celebration when a
+ * unit is reserved) without touching the ambient setting. Ambient animation
+ * that was running when a show started resumes once the show stops or ends,
+ * unless something else (e.g. an agent logging in) stopped the engine.
+ */
+
+const EventEmitter = require('events');
+const { getSequence } = require('./sequences');
+const { timelinePosition } = require('./timeline');
+
+const STEP_COLOR_COMMANDS = ['all_on', 'floor', 'apartment', 'address'];
+
+/**
+ * Apply play-time overrides to a copy of a sequence
+ * @param {Object} sequenceData - Sequence definition
+ * @param {Object} overrides - {color, intensity, speed, floors, loop}
+ * @returns {Object} Sequence to run
+ */
+function applyOverrides(sequenceData, overrides = {}) {
+  const data = JSON.parse(JSON.stringify(sequenceData));
+  const { color, intensity, speed, floors, loop } = overrides;
+
+  if (color) {
+    if (data.type === 'timeline') {
+      data.tracks.forEach(track => track.keyframes.forEach(keyframe => { keyframe.color = color; }));
+    } else if (data.steps) {
+      data.steps.filter(step => STEP_COLOR_COMMANDS.includes(step.command)).forEach(step => { step.color = color; });
+    } else {
+      data.color = color;
+    }
+  }
+
+  if (intensity !== undefined) {
+    if (data.type === 'timeline') {
+      data.tracks.forEach(track => track.keyframes.forEach(keyframe => { keyframe.intensity = intensity; }));
+    } else if (data.steps) {
+      data.steps.forEach(step => { step.intensity = intensity; });
+    } else if (data.type === 'breathe') {
+      data.maxIntensity = intensity;
+    } else {
+      data.intensity = intensity;
+    }
+  }
+
+  if (speed !== undefined) {
+    // Frame-rendered sequences follow a playback clock; the rest scale their timings
+    data.speed = speed;
+    const scale = (value) => (value !== undefined ? Math.max(1, Math.round(value / speed)) : value);
+    data.stepDuration = scale(data.stepDuration);
+    (data.steps || []).forEach(step => { step.duration = scale(step.duration); });
+    for (const key of ['floorDelay', 'fadeTime', 'holdTime', 'pauseBetween']) {
+      data[key] = scale(data[key]);
+    }
+  }
+
+  if (floors) {
+    if (data.type === 'timeline') {
+      data.tracks.forEach(track => { track.target = { floors }; });
+    } else {
+      data.floors = floors;
+    }
+  }
+
+  if (loop !== undefined) {
+    data.loop = loop;
+  }
+
+  return data;
+}
+
+class ShowPlayer extends EventEmitter {
+  /**
+   * @param {Object} engine - AnimationEngine
+   * @param {Object} database - Database module
+   */
+  constructor(engine, database) {
+    super();
+    this.engine = engine;
+    this.database = database;
+    this.current = null;
+    this.resumeAmbient = false;
+    this.starting = false;
+
+    this.engine.on('completed', () => {
+      if (this.isActive()) {
+        this.finish('completed').catch(err => console.error('Error finishing show:', err));
+      }
+    });
+
+    // Whoever stopped the engine under the show (e.g. an agent logging in)
+    // now owns the lights, so the show ends without bringing ambient back
+    this.engine.on('stopped', ({ positionMs }) => {
+      if (this.isActive() && !this.starting) {
+        this.resumeAmbient = false;
+        this.markEnded('stopped', positionMs);
+        this.emit('status', this.getStatus());
+      }
+    });
+  }
+
+  /**
+   * Find a show by ID: stored animation sequences first, then predefined ones
+   * @returns {Object|null} {id, name, sequenceData}
+   */
+  find(id) {
+    const stored = this.database.animationSequences.get(id);
+    if (stored) {
+      return { id: stored.id, name: stored.name, sequenceData: JSON.parse(stored.sequence_data) };
+    }
+
+    const predefined = getSequence(id);
+    if (predefined) {
+      return { id: predefined.id, name: predefined.name, sequenceData: predefined };
+    }
+
+    return null;
+  }
+
+  /**
+   * Start a show, replacing any show or ambient animation that is running
+   * @param {string} id - Show (animation sequence) ID
+   * @param {Object} overrides - {color, intensity, speed, floors, loop}
+   * @returns {Promise<Object>} Show status
+   */
+  async play(id, overrides = {}) {
+    const show = this.find(id);
+    if (!show) {
+      const err = new Error(`Show not found: ${id}`);
+      err.code = 'NOT_FOUND';
+      throw err;
+    }
+
+    const sequenceData = applyOverrides(show.sequenceData, overrides);
+
+    if (!this.isActive()) {
+      this.resumeAmbient = this.engine.isRunning();
+    }
+    this.starting = true;
+    try {
+      await this.engine.stopAmbient();
+    } finally {
+      this.starting = false;
+    }
+
+    this.current = {
+      id: show.id,
+      name: show.name,
+      type: sequenceData.type,
+      overrides,
+      durationMs: sequenceData.type === 'timeline' ? sequenceData.duration : null,
+      loop: sequenceData.loop ?? null,
+      loopMode: sequenceData.loop === true ? 'repeat' : (sequenceData.loop || 'none'),
+      state: 'playing',
+      startedAt: new Date().toISOString(),
+      endedAt: null
+    };
+
+    try {
+      await this.engine.runSequence(sequenceData, { priority: 'session' });
+    } catch (err) {
+      this.current = null;
+      await this.restoreAmbient();
+      err.code = err.code || 'INVALID_SEQUENCE';
+      throw err;
+    }
+
+    const status = this.getStatus();
+    this.emit('status', status);
+    return status;
+  }
+
+  /**
+   * Stop the current show and bring back ambient animation if it was running
+   * @param {Object} options - {resumeAmbient: false to leave ambient stopped}
+   * @returns {Promise<Object>} Show status
+   */
+  async stop(options = {}) {
+    if (!this.isActive()) {
+      return this.getStatus();
+    }
+
+    if (options.resumeAmbient === false) {
+      this.resumeAmbient = false;
+    }
+    return this.finish('stopped');
+  }
+
+  /**
+   * Mark the show ended and resume ambient animation if the show interrupted
+   * it. Lights with a state go back to it; others keep the last frame.
+   * @returns {Promise<Object>} Show status
+   */
+  async finish(state) {
+    this.markEnded(state, this.engine.getPosition());
+
+    await this.restoreAmbient();
+
+    const status = this.getStatus();
+    this.emit('status', status);
+    return status;
+  }
+
+  /**
+   * Record how and where the current show ended
+   */
+  markEnded(state, positionMs) {
+    this.current.positionMs = positionMs;
+    this.current.state = state;
+    this.current.endedAt = new Date().toISOString();
+  }
+
+  /**
+   * Stop the show's animation, waiting for the layers to flush, then restart
+   * ambient animation if the show interrupted it. Errors are logged rather
+   * than thrown so a failed restart cannot leave the show looking active.
+   */
+  async restoreAmbient() {
+    try {
+      await this.engine.stopAmbient();
+      if (this.resumeAmbient) {
+        this.resumeAmbient = false;
+        await this.engine.startAmbient();
+      }
+    } catch (err) {
+      console.error('Error restoring ambient animation after show:', err);
+    }
+  }
+
+  /**
+   * Check if a show is playing or paused
+   */
+  isActive() {
+    return Boolean(this.current) && ['playing', 'paused'].includes(this.current.state);
+  }
+
+  /**
+   * Pause the current show
+   * @returns {boolean} False if nothing is playing or the show cannot be paused
+   */
+  pause() {
+    if (!this.isActive() || !this.engine.pause()) return false;
+    this.current.state = 'paused';
+    this.emit('status', this.getStatus());
+    return true;
+  }
+
+  /**
+   * Resume a paused show
+   * @returns {boolean} False if the show is not paused
+   */
+  resume() {
+    if (!this.isActive() || !this.engine.resume()) return false;
+    this.current.state = 'playing';
+    this.emit('status', this.getStatus());
+    return true;
+  }
+
+  /**
+   * Jump the current show to a position
+   * @param {number} positionMs - Position in show time
+   * @returns {boolean} False if nothing is playing or the show cannot be seeked
+   */
+  seek(positionMs) {
+    if (!this.isActive() || !this.engine.seek(positionMs)) return false;
+    this.emit('status', this.getStatus());
+    return true;
+  }
+
+  /**
+   * Get the current (or last) show and its progress
+   */
+  getStatus() {
+    if (!this.current) {
+      return { active: false, show: null };
+    }
+
+    const active = this.isActive();
+    const positionMs = active ? Math.round(this.engine.getPosition()) : this.current.positionMs;
+    const { durationMs, loopMode, ...show } = this.current;
+    let progress = null;
+    if (durationMs) {
+      progress = timelinePosition({ duration: durationMs, loop: loopMode }, positionMs).t / durationMs;
+    }
+
+    return {
+      active,
+      show: {
+        ...show,
+        durationMs,
+        positionMs: Math.round(positionMs),
+        progress: progress === null ? null : Math.round(progress * 1000) / 1000,
+        seekable: active && this.engine.isSeekable()
+      }
+    };
+  }
+}
+
+module.exports = ShowPlayer;
+module.exports.applyOverrides = applyOverrides;
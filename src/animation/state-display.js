@@ -0,0 +1,116 @@
+/**
+ * State Display
+ * Ambient rendering of live sales state: every unit shows its state color
+ * from state_colors, and units in the motion states (AVAILABLE by default)
+ * breathe gently so an unattended model still draws the eye to them.
+ *
+ * {
+ *   type: 'state_display',
+ *   stateColors: { AVAILABLE: { r: 0, g: 255, b: 0, intensity: 220 } },  // overrides
+ *   motion: 'breathe',          // or 'none'
+ *   motionStates: ['AVAILABLE'],
+ *   motionDepth: 0.35,          // share of brightness dipped at the bottom of a breath
+ *   motionPeriod: 4000          // ms per breath
+ * }
+ */
+
+const { apartmentAddresses } = require('./timeline');
+const { random } = require('./effects');
+
+// Re-read states from the database this often, for changes made outside the API
+const STATE_REFRESH_MS = 5000;
+
+const BLACK = { r: 0, g: 0, b: 0 };
+
+class StateDisplay {
+  /**
+   * @param {Object} database - Database module
+   * @param {Object} sequenceData - State display sequence
+   * @param {Object[]} apartments - Apartments to show
+   */
+  constructor(database, sequenceData, apartments) {
+    this.database = database;
+    this.sequence = sequenceData;
+    this.apartmentIds = new Set(apartments.map(apt => apt.id));
+    this.states = new Map();
+    this.colors = new Map();
+    this.loadedAt = null;
+    this.load();
+  }
+
+  /**
+   * Read the state colors and every unit's current state
+   */
+  load() {
+    this.colors.clear();
+    for (const row of this.database.stateColors.getAll()) {
+      this.colors.set(row.state_name, { r: row.red, g: row.green, b: row.blue, intensity: row.intensity });
+    }
+    for (const [state, color] of Object.entries(this.sequence.stateColors || {})) {
+      this.colors.set(state, { intensity: 255, ...color });
+    }
+
+    this.states.clear();
+    for (const apartment of this.database.apartments.getAll()) {
+      if (!this.apartmentIds.has(apartment.id)) continue;
+      for (const address of apartmentAddresses(this.database, apartment)) {
+        this.states.set(address, apartment.current_state || 'OFF');
+      }
+    }
+    this.loadedAt = Date.now();
+  }
+
+  /**
+   * Record a state change for lights this display covers
+   * @param {number[]} addresses - Light addresses
+   * @param {string} state - New state
+   * @returns {number[]} The addresses this display covers
+   */
+  setState(addresses, state) {
+    const covered = addresses.filter(address => this.states.has(address));
+    covered.forEach(address => this.states.set(address, state));
+    return covered;
+  }
+
+  /**
+   * Get a light's color at a point in time
+   */
+  colorAt(address, elapsed) {
+    const state = this.states.get(address);
+    const color = this.colors.get(state);
+    if (!color) return BLACK;
+
+    const { motion = 'breathe', motionStates = ['AVAILABLE'], motionDepth = 0.35, motionPeriod = 4000 } = this.sequence;
+    let intensity = color.intensity ?? 255;
+    if (motion === 'breathe' && motionStates.includes(state)) {
+      // Each unit breathes on its own phase so the facade shimmers rather than pulses
+      const phase = elapsed / motionPeriod + random(address);
+      intensity *= 1 - motionDepth * (0.5 - 0.5 * Math.cos(2 * Math.PI * phase));
+    }
+
+    return {
+      r: Math.round((color.r * intensity) / 255),
+      g: Math.round((color.g * intensity) / 255),
+      b: Math.round((color.b * intensity) / 255)
+    };
+  }
+
+  /**
+   * Render every unit at a point in time
+   * @param {number} elapsed - Playback position (ms)
+   * @returns {Object} {colors: Map<address, {r, g, b}>, done}
+   */
+  render(elapsed) {
+    if (Date.now() - this.loadedAt >= STATE_REFRESH_MS) {
+      this.load();
+    }
+
+    const colors = new Map();
+    for (const address of this.states.keys()) {
+      colors.set(address, this.colorAt(address, elapsed));
+    }
+    return { colors, done: false };
+  }
+}
+
+module.exports = StateDisplay;
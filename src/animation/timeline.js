@@ -0,0 +1,237 @@
+/**
+ * Keyframe Timeline
+ * Sequence format where tracks target groups of lights and interpolate between
+ * color keyframes with easing curves. renderFrame samples every light at a
+ * point in time; the engine's frame buffer sends only the lights that changed.
+ *
+ * {
+ *   type: 'timeline',
+ *   duration: 8000,            // ms
+ *   loop: 'repeat',            // 'none' (hold last frame), 'repeat' or 'pingpong'
+ *   frameRate: 20,             // frames per second
+ *   tracks: [{
+ *     target: { floors: [7, 8], apartments: ['A-0701'], floorplates: [], unitTypes: [], addresses: [], all: false },
+ *     stagger: 100,            // ms delay per successive light in the target
+ *     keyframes: [
+ *       { time: 0, color: { r: 0, g: 0, b: 0 }, easing: 'easeInOut' },
+ *       { time: 2000, color: { r: 255, g: 180, b: 80 }, intensity: 200 }
+ *     ]
+ *   }]
+ * }
+ */
+
+const DEFAULT_FRAME_RATE = 20;
+const MAX_FRAME_RATE = 50;
+const LOOP_MODES = ['none', 'repeat', 'pingpong'];
+
+/**
+ * Easing curves mapping progress (0-1) to eased progress (0-1)
+ * A keyframe's easing shapes the segment that starts at it
+ */
+const EASINGS = {
+  linear: (p) => p,
+  step: (p) => (p < 1 ? 0 : 1),
+  easeIn: (p) => p * p * p,
+  easeOut: (p) => 1 - Math.pow(1 - p, 3),
+  easeInOut: (p) => (p < 0.5 ? 4 * p * p * p : 1 - Math.pow(-2 * p + 2, 3) / 2)
+};
+
+/**
+ * Get every light address of an apartment (assigned lights, else its primary address)
+ */
+function apartmentAddresses(database, apartment) {
+  const addresses = database.apartmentLights.getAddressesForApartment(apartment.id);
+  if (addresses.length > 0) {
+    return addresses;
+  }
+  return apartment.lightswarm_address !== null && apartment.lightswarm_address !== undefined
+    ? [apartment.lightswarm_address]
+    : [];
+}
+
+/**
+ * Resolve a track target to light addresses, in target order without duplicates
+ * @param {Object} target - {all, apartments, floors, tower, floorplates, unitTypes, addresses}
+ * @param {Object} database - Database module
+ * @returns {number[]} Addresses
+ */
+function resolveTarget(target, database) {
+  const apartments = [];
+
+  if (target.all) {
+    apartments.push(...database.apartments.getAll());
+  }
+  for (const id of target.apartments || []) {
+    const apartment = database.apartments.get(id);
+    if (!apartment) {
+      throw new Error(`Timeline target apartment not found: ${id}`);
+    }
+    apartments.push(apartment);
+  }
+  for (const floor of target.floors || []) {
+    apartments.push(...database.apartments.getByFloor(target.tower || null, floor));
+  }
+  for (const id of target.floorplates || []) {
+    apartments.push(...database.apartments.getByFloorplate(id));
+  }
+  if (target.unitTypes && target.unitTypes.length > 0) {
+    const types = new Set(target.unitTypes);
+    apartments.push(...database.apartments.getAll().filter(apt => types.has(apt.unit_type)));
+  }
+
+  const addresses = new Set();
+  for (const apartment of apartments) {
+    apartmentAddresses(database, apartment).forEach(address => addresses.add(address));
+  }
+  for (const address of target.addresses || []) {
+    addresses.add(address);
+  }
+
+  return [...addresses];
+}
+
+/**
+ * Normalize a keyframe's color, applying its intensity
+ */
+function keyframeColor(keyframe) {
+  const color = keyframe.color || { r: 255, g: 255, b: 255 };
+  const intensity = keyframe.intensity ?? 255;
+  return {
+    r: Math.round((color.r * intensity) / 255),
+    g: Math.round((color.g * intensity) / 255),
+    b: Math.round((color.b * intensity) / 255)
+  };
+}
+
+/**
+ * Resolve targets and normalize a timeline sequence for rendering
+ * @param {Object} sequence - Timeline sequence definition
+ * @param {Object} database - Database module
+ * @returns {Object} {duration, loop, frameMs, tracks: [{addresses, stagger, keyframes}]}
+ */
+function compileTimeline(sequence, database) {
+  const duration = sequence.duration;
+  if (!(duration > 0)) {
+    throw new Error('Timeline duration must be a positive number of milliseconds');
+  }
+  if (!Array.isArray(sequence.tracks) || sequence.tracks.length === 0) {
+    throw new Error('Timeline must have at least one track');
+  }
+
+  let loop = sequence.loop ?? 'none';
+  if (typeof loop === 'boolean') {
+    loop = loop ? 'repeat' : 'none';
+  }
+  if (!LOOP_MODES.includes(loop)) {
+    throw new Error(`Unknown timeline loop mode: ${loop}`);
+  }
+
+  const frameRate = Math.min(sequence.frameRate || DEFAULT_FRAME_RATE, MAX_FRAME_RATE);
+
+  const tracks = sequence.tracks.map((track, i) => {
+    if (!Array.isArray(track.keyframes) || track.keyframes.length === 0) {
+      throw new Error(`Timeline track ${i} has no keyframes`);
+    }
+
+    const keyframes = track.keyframes
+      .map(keyframe => {
+        const easing = keyframe.easing || 'linear';
+        if (!EASINGS[easing]) {
+          throw new Error(`Unknown easing in track ${i}: ${easing}`);
+        }
+        return { time: keyframe.time || 0, color: keyframeColor(keyframe), easing };
+      })
+      .sort((a, b) => a.time - b.time);
+
+    return {
+      addresses: resolveTarget(track.target || {}, database),
+      stagger: track.stagger || 0,
+      keyframes
+    };
+  });
+
+  return { duration, loop, frameMs: Math.round(1000 / frameRate), tracks };
+}
+
+/**
+ * Sample a color from sorted keyframes, holding the first and last keyframes
+ * outside their range
+ * @param {Object[]} keyframes - [{time, color, easing}]
+ * @param {number} t - Time within the timeline (ms)
+ * @returns {Object} {r, g, b}
+ */
+function sampleKeyframes(keyframes, t) {
+  if (t <= keyframes[0].time) {
+    return keyframes[0].color;
+  }
+
+  for (let i = 0; i < keyframes.length - 1; i++) {
+    const from = keyframes[i];
+    const to = keyframes[i + 1];
+    if (t < to.time) {
+      const p = EASINGS[from.easing]((t - from.time) / (to.time - from.time));
+      return {
+        r: Math.round(from.color.r + (to.color.r - from.color.r) * p),
+        g: Math.round(from.color.g + (to.color.g - from.color.g) * p),
+        b: Math.round(from.color.b + (to.color.b - from.color.b) * p)
+      };
+    }
+  }
+
+  return keyframes[keyframes.length - 1].color;
+}
+
+/**
+ * Map time since start onto the timeline according to its loop mode
+ * @returns {Object} {t, done}
+ */
+function timelinePosition(timeline, elapsed) {
+  const { duration, loop } = timeline;
+
+  if (elapsed < 0) {
+    return { t: 0, done: false };
+  }
+  if (loop === 'none') {
+    return { t: Math.min(elapsed, duration), done: elapsed >= duration };
+  }
+
+  const cycle = Math.floor(elapsed / duration);
+  const t = elapsed % duration;
+  if (loop === 'pingpong' && cycle % 2 === 1) {
+    return { t: duration - t, done: false };
+  }
+  return { t, done: false };
+}
+
+/**
+ * Compute every targeted light's color at a point in time
+ * Later tracks override earlier ones for lights they share
+ * @param {Object} timeline - Compiled timeline
+ * @param {number} elapsed - Time since the timeline started (ms)
+ * @returns {Object} {colors: Map<address, {r, g, b}>, done}
+ */
+function renderFrame(timeline, elapsed) {
+  const colors = new Map();
+  let done = timeline.loop === 'none';
+
+  for (const track of timeline.tracks) {
+    track.addresses.forEach((address, i) => {
+      const position = timelinePosition(timeline, elapsed - i * track.stagger);
+      colors.set(address, sampleKeyframes(track.keyframes, position.t));
+      done = done && position.done;
+    });
+  }
+
+  return { colors, done };
+}
+
+module.exports = {
+  EASINGS,
+  LOOP_MODES,
+  apartmentAddresses,
+  resolveTarget,
+  compileTimeline,
+  sampleKeyframes,
+  timelinePosition,
+  renderFrame
+};
@@ -0,0 +1,231 @@
+/**
+ * Live Elevation Stream
+ * Pushes throttled per-light color changes to the `/elevation` Socket.IO
+ * namespace so dashboards can mirror the physical model. Colors come from
+ * the simulator when it is enabled, otherwise from the last commanded state.
+ */
+
+const { decodeFrame, slip, BROADCAST_ADDRESS } = require('../mdp');
+
+const NAMESPACE = '/elevation';
+const DEFAULT_INTERVAL_MS = 100;
+
+class ElevationStream {
+  /**
+   * @param {Object} io - Socket.IO server
+   * @param {Object} options
+   * @param {Object} options.serial - SerialConnection or ControllerRouter
+   * @param {Object} options.simulator - LightSimulator (optional)
+   * @param {Object} options.database - Database module
+   * @param {number} options.intervalMs - Minimum time between diffs
+   */
+  constructor(io, options = {}) {
+    this.serial = options.serial;
+    this.simulator = options.simulator || null;
+    this.database = options.database;
+    this.intervalMs = options.intervalMs > 0 ? options.intervalMs : DEFAULT_INTERVAL_MS;
+
+    this.namespace = io.of(NAMESPACE);
+    this.addresses = new Set();
+    this.dirty = new Set();
+    this.sentColors = new Map();
+    this.timer = null;
+
+    this.onSent = ({ data }) => this.markPacket(data);
+    this.onLightUpdated = (update) => {
+      if (update.broadcast) {
+        this.markAll();
+      } else if (update.address !== undefined) {
+        this.mark([update.address]);
+      }
+    };
+
+    this.serial.on('sent', this.onSent);
+    if (this.simulator) {
+      this.simulator.on('light_updated', this.onLightUpdated);
+    }
+
+    this.getLayout();
+    this.namespace.on('connection', (socket) => {
+      socket.emit('layout', this.getLayout());
+      socket.emit('snapshot', this.getSnapshot());
+    });
+  }
+
+  /**
+   * Where the streamed colors come from
+   * @returns {string} 'simulator' or 'commanded'
+   */
+  get source() {
+    return this.simulator && this.simulator.isEnabled() ? 'simulator' : 'commanded';
+  }
+
+  /**
+   * Build the tower grid: floors (top first) with their units in position order
+   * @param {Object} filters - {towerId, fromFloor, toFloor}
+   * @returns {Object} {floors: [{floor, units: [{id, name, type, tower, position, state, addresses}]}]}
+   */
+  getLayout(filters = {}) {
+    const { towerId, fromFloor, toFloor } = filters;
+    const byFloor = new Map();
+    const addUnit = (floor, unit) => {
+      if ((towerId && unit.tower !== towerId) ||
+          (fromFloor !== undefined && floor < fromFloor) ||
+          (toFloor !== undefined && floor > toFloor)) {
+        return;
+      }
+      if (!byFloor.has(floor)) {
+        byFloor.set(floor, []);
+      }
+      byFloor.get(floor).push(unit);
+      unit.addresses.forEach(address => this.addresses.add(address));
+    };
+
+    for (const apt of this.database.apartments.getAll()) {
+      const addresses = this.database.apartmentLights.getAddressesForApartment(apt.id);
+      if (addresses.length === 0 && apt.lightswarm_address !== null) {
+        addresses.push(apt.lightswarm_address);
+      }
+      addUnit(apt.floor, {
+        id: apt.id,
+        name: apt.name,
+        type: 'apartment',
+        tower: apt.tower_id,
+        position: apt.unit_position,
+        state: apt.current_state,
+        addresses
+      });
+    }
+
+    for (const amenity of this.database.amenities.getAll()) {
+      addUnit(amenity.floor, {
+        id: amenity.id,
+        name: amenity.name,
+        type: 'amenity',
+        tower: amenity.tower_id,
+        position: null,
+        state: null,
+        addresses: amenity.lightswarm_address !== null ? [amenity.lightswarm_address] : []
+      });
+    }
+
+    const floors = [...byFloor.entries()]
+      .sort(([a], [b]) => b - a)
+      .map(([floor, units]) => ({
+        floor,
+        units: units.sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity))
+      }));
+
+    return { floors, source: this.source };
+  }
+
+  /**
+   * Current color of an address from the active source
+   */
+  colorOf(address) {
+    if (this.source === 'simulator') {
+      const light = this.simulator.getState(address);
+      if (light) {
+        const { r, g, b } = light.state;
+        return { r, g, b };
+      }
+    }
+    return this.serial.lightState.get(address);
+  }
+
+  /**
+   * Colors of every address in the layout
+   * @returns {Object} {source, lights: [{address, r, g, b}], timestamp}
+   */
+  getSnapshot() {
+    const lights = [...this.addresses]
+      .sort((a, b) => a - b)
+      .map(address => ({ address, ...this.colorOf(address) }));
+
+    return { source: this.source, lights, timestamp: new Date().toISOString() };
+  }
+
+  /**
+   * Mark the addresses an outgoing packet affects
+   */
+  markPacket(packet) {
+    const frame = decodeFrame(slip.decode(packet));
+    if (!frame || !frame.checksumValid) return;
+
+    if (frame.address === BROADCAST_ADDRESS) {
+      this.markAll();
+    } else {
+      this.mark(this.serial.lightState.resolve(frame.address));
+    }
+  }
+
+  /**
+   * Mark every known address
+   */
+  markAll() {
+    this.mark(this.addresses);
+  }
+
+  /**
+   * Queue addresses for the next diff
+   */
+  mark(addresses) {
+    for (const address of addresses) {
+      this.dirty.add(address);
+    }
+    if (!this.timer && this.dirty.size > 0) {
+      this.timer = setTimeout(() => this.flush(), this.intervalMs);
+    }
+  }
+
+  /**
+   * Emit the lights whose color changed since they were last sent
+   * Simulated lights still fading or flashing are checked again next interval
+   */
+  flush() {
+    this.timer = null;
+    const dirty = [...this.dirty];
+    this.dirty.clear();
+
+    const lights = [];
+    const moving = [];
+
+    for (const address of dirty) {
+      const color = this.colorOf(address);
+      const last = this.sentColors.get(address);
+      if (!last || last.r !== color.r || last.g !== color.g || last.b !== color.b) {
+        this.sentColors.set(address, color);
+        lights.push({ address, ...color });
+      }
+
+      if (this.source === 'simulator') {
+        const light = this.simulator.getState(address);
+        if (light && (light.fade || light.flash)) {
+          moving.push(address);
+        }
+      }
+    }
+
+    if (lights.length > 0) {
+      this.namespace.emit('lights', { source: this.source, lights, timestamp: new Date().toISOString() });
+    }
+
+    this.mark(moving);
+  }
+
+  /**
+   * Stop listening and cancel any pending diff
+   */
+  close() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.serial.removeListener('sent', this.onSent);
+    if (this.simulator) {
+      this.simulator.removeListener('light_updated', this.onLightUpdated);
+    }
+  }
+}
+
+module.exports = ElevationStream;
@@ -0,0 +1,118 @@
+/**
+ * Session Idle Timer
+ * Ends an agent session nobody is using: every lighting API call resets the
+ * timer, a `warning` fires shortly before it runs out and `timeout` when it
+ * does, so the model goes back to ambient if Herescope crashes or the agent
+ * walks away without logging out.
+ */
+
+const EventEmitter = require('events');
+
+class IdleTimer extends EventEmitter {
+  /**
+   * @param {Object} database - Database module (reads session_idle_timeout_ms and session_idle_warning_ms)
+   */
+  constructor(database) {
+    super();
+    this.database = database;
+    this.agentId = null;
+    this.active = false;
+    this.timeoutMs = 0;
+    this.warningMs = 0;
+    this.lastActivity = null;
+    this.warned = false;
+    this.warningTimer = null;
+    this.timeoutTimer = null;
+  }
+
+  /**
+   * Start timing a session; settings are read now so changes apply from the next login
+   * @param {string|null} agentId - Agent who logged in
+   * @returns {boolean} Whether the timer runs (a timeout of 0 disables it)
+   */
+  start(agentId = null) {
+    this.stop();
+
+    this.timeoutMs = parseInt(this.database.settings.get('session_idle_timeout_ms') || '600000', 10);
+    this.warningMs = parseInt(this.database.settings.get('session_idle_warning_ms') || '60000', 10);
+    if (!(this.timeoutMs > 0)) {
+      return false;
+    }
+
+    this.agentId = agentId;
+    this.active = true;
+    this.touch();
+    return true;
+  }
+
+  /**
+   * Record activity, restarting the countdown
+   */
+  touch() {
+    if (!this.active) return;
+
+    this.lastActivity = Date.now();
+    this.warned = false;
+    this.clearTimers();
+
+    const warnAfterMs = this.timeoutMs - this.warningMs;
+    if (this.warningMs > 0 && warnAfterMs > 0) {
+      this.warningTimer = setTimeout(() => {
+        this.warningTimer = null;
+        this.warned = true;
+        this.emit('warning', { agentId: this.agentId, remainingMs: this.warningMs });
+      }, warnAfterMs);
+    }
+
+    this.timeoutTimer = setTimeout(() => {
+      this.timeoutTimer = null;
+      const event = { agentId: this.agentId, idleMs: Date.now() - this.lastActivity };
+      this.stop();
+      this.emit('timeout', event);
+    }, this.timeoutMs);
+  }
+
+  /**
+   * Stop timing (on logout)
+   */
+  stop() {
+    this.clearTimers();
+    this.active = false;
+    this.agentId = null;
+    this.warned = false;
+  }
+
+  /**
+   * Cancel the pending warning and timeout
+   */
+  clearTimers() {
+    if (this.warningTimer) {
+      clearTimeout(this.warningTimer);
+      this.warningTimer = null;
+    }
+    if (this.timeoutTimer) {
+      clearTimeout(this.timeoutTimer);
+      this.timeoutTimer = null;
+    }
+  }
+
+  /**
+   * Get the timer state for the API
+   */
+  getStatus() {
+    if (!this.active) {
+      return { active: false };
+    }
+    const idleMs = Date.now() - this.lastActivity;
+    return {
+      active: true,
+      agentId: this.agentId,
+      timeoutMs: this.timeoutMs,
+      idleMs,
+      remainingMs: Math.max(0, this.timeoutMs - idleMs),
+      warned: this.warned
+    };
+  }
+}
+
+module.exports = IdleTimer;
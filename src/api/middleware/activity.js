@@ -0,0 +1,15 @@
+/**
+ * Activity Middleware
+ * Resets the session idle timer on every lighting call (anything but a read)
+ */
+
+function activityMiddleware(idleTimer) {
+  return (req, res, next) => {
+    if (req.method !== 'GET') {
+      idleTimer.touch();
+    }
+    next();
+  };
+}
+
+module.exports = activityMiddleware;
@@ -0,0 +1,20 @@
+/**
+ * Session Middleware
+ * Lighting calls carrying the active session's token (X-Session-Token) count
+ * as a heartbeat; with session_enforce on, calls that change the lights are
+ * refused without it
+ */
+
+function sessionMiddleware(sessions) {
+  return (req, res, next) => {
+    const session = sessions.heartbeat(req.get('X-Session-Token'));
+
+    if (!session && req.method !== 'GET' && sessions.isEnforced()) {
+      return res.status(401).json({ error: 'The active session token is required', code: 'SESSION_REQUIRED' });
+    }
+
+    next();
+  };
+}
+
+module.exports = sessionMiddleware;
@@ -6,6 +6,7 @@
 const { body, param, query, validationResult } = require('express-validator');
 
 const VALID_STATES = ['SOLD', 'AVAILABLE', 'UNAVAILABLE', 'SELECTED', 'RESERVED', 'OFF'];
+const VALID_EFFECTS = ['solid', 'flash'];
 
 const validateRequest = (req, res, next) => {
   const errors = validationResult(req);
@@ -45,16 +46,87 @@ const rgbBody = [
   body('rgb.b').optional().isInt({ min: 0, max: 255 })
 ];
 
+const effectBody = [
+  body('effect')
+    .optional()
+    .isIn(VALID_EFFECTS)
+    .withMessage(`Effect must be one of: ${VALID_EFFECTS.join(', ')}`),
+  body('flash.period')
+    .optional()
+    .isInt({ min: 20, max: 60000 })
+    .withMessage('Flash period must be between 20 and 60000 ms'),
+  body('flash.repeat')
+    .optional()
+    .isInt({ min: 0, max: 32767 })
+    .withMessage('Flash repeat must be between 0 (indefinite) and 32767'),
+  body('flash.levels.high').optional().isInt({ min: 0, max: 255 }),
+  body('flash.levels.low').optional().isInt({ min: 0, max: 255 })
+];
+
 const batchApartmentsBody = body('apartments')
   .isArray({ min: 1 })
   .withMessage('Apartments array is required');
 
+const QUERY_FILTERS = ['unitType', 'state', 'floor', 'plotNumber', 'unitPosition', 'tower'];
+
+// A value or a list of values, each passing check
+const oneOrMany = (check) => (value) => (Array.isArray(value) ? value.length > 0 && value.every(check) : check(value));
+
+// An integer, or {min, max} with at least one bound
+const isIntegerRange = (value) => {
+  if (Number.isInteger(value)) return true;
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) return false;
+  const keys = Object.keys(value);
+  return keys.length > 0 &&
+    keys.every(key => (key === 'min' || key === 'max') && Number.isInteger(value[key])) &&
+    !(value.min > value.max);
+};
+
+const queryFilterBody = [
+  body('filter')
+    .custom(filter => typeof filter === 'object' && filter !== null && !Array.isArray(filter) &&
+      Object.keys(filter).length > 0 && Object.keys(filter).every(key => QUERY_FILTERS.includes(key)))
+    .withMessage(`Filter must be an object with at least one of: ${QUERY_FILTERS.join(', ')}`),
+  body('filter.unitType')
+    .optional()
+    .custom(oneOrMany(value => typeof value === 'string' && value.length > 0))
+    .withMessage('Unit type must be a string or an array of strings'),
+  body('filter.state')
+    .optional()
+    .custom(oneOrMany(value => VALID_STATES.includes(value)))
+    .withMessage(`Filter state must be one or more of: ${VALID_STATES.join(', ')}`),
+  body('filter.floor')
+    .optional()
+    .custom(isIntegerRange)
+    .withMessage('Floor must be an integer or {min, max}'),
+  body('filter.plotNumber')
+    .optional()
+    .custom(isIntegerRange)
+    .withMessage('Plot number must be an integer or {min, max}'),
+  body('filter.unitPosition')
+    .optional()
+    .custom(oneOrMany(Number.isInteger))
+    .withMessage('Unit position must be an integer or an array of integers'),
+  body('filter.tower')
+    .optional()
+    .isString()
+    .withMessage('Tower must be a string')
+];
+
 const validateApartmentUpdate = [
   apartmentIdParam,
   stateBody,
   intensityBody,
   fadeTimeBody,
   ...rgbBody,
+  ...effectBody,
+  validateRequest
+];
+
+const validateEffect = [
+  intensityBody,
+  fadeTimeBody,
+  ...effectBody,
   validateRequest
 ];
 
@@ -63,14 +135,41 @@ const validateBatchUpdate = [
   validateRequest
 ];
 
+const validateLogin = [
+  body('agentId')
+    .isString()
+    .withMessage('Agent ID must be a string')
+    .bail()
+    .trim()
+    .notEmpty()
+    .withMessage('Agent ID is required'),
+  validateRequest
+];
+
+const validateApartmentQuery = [
+  ...queryFilterBody,
+  stateBody,
+  intensityBody,
+  fadeTimeBody,
+  ...rgbBody,
+  ...effectBody,
+  validateRequest
+];
+
 module.exports = {
   validateRequest,
   validateApartmentUpdate,
   validateBatchUpdate,
+  validateApartmentQuery,
+  validateLogin,
+  validateEffect,
   apartmentIdParam,
   stateBody,
   intensityBody,
   fadeTimeBody,
   rgbBody,
-  VALID_STATES
+  effectBody,
+  QUERY_FILTERS,
+  VALID_STATES,
+  VALID_EFFECTS
 };
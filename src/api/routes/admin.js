@@ -7,9 +7,14 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
+const crypto = require('crypto');
 const { database } = require('../../config');
 const mdp = require('../../mdp');
-const { excelImport } = require('../../utils');
+const { excelImport, elevationRender } = require('../../utils');
+const Scheduler = require('../../animation/scheduler');
+const { SEQUENCE_SCHEMA, validateSequence } = require('../../animation/sequence-schema');
+const { dryRun } = require('../../animation/dry-run');
+const { getSequence } = require('../../animation/sequences');
 
 const upload = multer({ 
   storage: multer.memoryStorage(),
@@ -189,6 +194,75 @@ router.put('/floorplates/:id', (req, res) => {
   res.json({ success: true, id: req.params.id });
 });
 
+/**
+ * GET /api/v1/admin/pseudo-addresses
+ * Get pseudo address provisioning status for every floorplate
+ */
+router.get('/pseudo-addresses', (req, res) => {
+  const floorplates = database.floorplates.getAll()
+    .filter(fp => fp.pseudo_address !== null)
+    .map(fp => mdp.pseudoAddress.getProvisioningStatus(database, fp));
+  res.json({ floorplates, assignments: database.pseudoAddresses.getAll() });
+});
+
+/**
+ * POST /api/v1/admin/pseudo-addresses/provision
+ * Program every floorplate's pseudo address and erase orphaned assignments
+ */
+router.post('/pseudo-addresses/provision', async (req, res, next) => {
+  try {
+    const { force = false } = req.body;
+    const serial = req.app.locals.serial;
+
+    const results = [];
+    const errors = [];
+    for (const floorplate of database.floorplates.getAll()) {
+      if (floorplate.pseudo_address === null) continue;
+      try {
+        results.push(await mdp.pseudoAddress.provisionFloorplate(serial, database, floorplate, { force }));
+      } catch (err) {
+        errors.push({ id: floorplate.id, error: err.message });
+      }
+    }
+
+    const orphansErased = await mdp.pseudoAddress.eraseOrphanedAssignments(serial, database);
+
+    req.app.locals.io.emit('pseudo_addresses_provisioned', { count: results.length });
+
+    res.json({
+      success: errors.length === 0,
+      floorplates: results,
+      orphansErased,
+      errors: errors.length > 0 ? errors : undefined
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/v1/admin/floorplates/:id/provision
+ * Program a floorplate's pseudo address into its member lights
+ */
+router.post('/floorplates/:id/provision', async (req, res, next) => {
+  try {
+    const floorplate = database.floorplates.get(req.params.id);
+    if (!floorplate) {
+      return res.status(404).json({ error: 'Floorplate not found', code: 'NOT_FOUND' });
+    }
+    if (!mdp.pseudoAddress.isValidPseudoAddress(floorplate.pseudo_address)) {
+      return res.status(400).json({ error: 'Floorplate has no valid pseudo address', code: 'VALIDATION_ERROR' });
+    }
+
+    const { force = false } = req.body;
+    const result = await mdp.pseudoAddress.provisionFloorplate(req.app.locals.serial, database, floorplate, { force });
+
+    res.json({ success: true, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * DELETE /api/v1/admin/floorplates/:id
  * Delete floorplate
@@ -572,6 +646,27 @@ router.get('/animations', (req, res) => {
   res.json({ sequences });
 });
 
+/**
+ * GET /api/v1/admin/animations/schema
+ * JSON Schema that sequence definitions are validated against
+ */
+router.get('/animations/schema', (req, res) => {
+  res.json(SEQUENCE_SCHEMA);
+});
+
+/**
+ * Reply 400 with the schema errors of a sequence definition
+ * @returns {boolean} True if the definition is valid
+ */
+function checkSequence(sequenceData, res) {
+  const details = validateSequence(sequenceData);
+  if (details.length > 0) {
+    res.status(400).json({ error: 'Invalid sequence', code: 'VALIDATION_ERROR', details });
+    return false;
+  }
+  return true;
+}
+
 /**
  * GET /api/v1/admin/animations/:id
  * Get single animation sequence
@@ -587,10 +682,14 @@ router.get('/animations/:id', (req, res) => {
 /**
  * POST /api/v1/admin/animations
  * Create animation sequence
+ * Without an id one is generated; name defaults to the id
  */
 router.post('/animations', (req, res) => {
-  database.animationSequences.create(req.body);
-  res.status(201).json({ success: true, id: req.body.id });
+  if (!checkSequence(req.body.sequenceData, res)) return;
+
+  const id = req.body.id || crypto.randomUUID();
+  database.animationSequences.create({ ...req.body, id, name: req.body.name || id });
+  res.status(201).json({ success: true, id });
 });
 
 /**
@@ -598,10 +697,53 @@ router.post('/animations', (req, res) => {
  * Update animation sequence
  */
 router.put('/animations/:id', (req, res) => {
+  if (req.body.sequenceData !== undefined && !checkSequence(req.body.sequenceData, res)) return;
+
   database.animationSequences.update(req.params.id, req.body);
   res.json({ success: true, id: req.params.id });
 });
 
+/**
+ * POST /api/v1/admin/animations/dry-run
+ * Expand a sequence into its timed packets and bus load without sending anything
+ * Body: {sequenceData} or {id} of a stored or predefined sequence, and
+ * optional durationMs to simulate of a looping sequence (default 10000, max 60000)
+ */
+router.post('/animations/dry-run', async (req, res, next) => {
+  try {
+    const { id, durationMs } = req.body;
+    let { sequenceData } = req.body;
+
+    if (durationMs !== undefined && !(Number.isInteger(durationMs) && durationMs >= 1 && durationMs <= 60000)) {
+      return res.status(400).json({ error: 'durationMs must be 1-60000', code: 'VALIDATION_ERROR' });
+    }
+
+    if (sequenceData === undefined) {
+      if (!id) {
+        return res.status(400).json({ error: 'sequenceData or id is required', code: 'VALIDATION_ERROR' });
+      }
+      const stored = database.animationSequences.get(id);
+      sequenceData = stored ? JSON.parse(stored.sequence_data) : getSequence(id);
+      if (!sequenceData) {
+        return res.status(404).json({ error: 'Animation not found', code: 'NOT_FOUND' });
+      }
+    }
+
+    if (!checkSequence(sequenceData, res)) return;
+
+    let result;
+    try {
+      result = await dryRun(sequenceData, database, { durationMs });
+    } catch (err) {
+      // e.g. a timeline or ripple naming an apartment that does not exist
+      return res.status(400).json({ error: err.message, code: 'INVALID_SEQUENCE' });
+    }
+    res.json(result);
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * PUT /api/v1/admin/animations/:id/set-ambient
  * Set as default ambient animation
@@ -621,6 +763,229 @@ router.delete('/animations/:id', (req, res) => {
   res.json({ success: true });
 });
 
+// =====================
+// Compositing Layers
+// =====================
+
+/**
+ * GET /api/v1/admin/layers
+ * Get compositing layers in blend order
+ */
+router.get('/layers', (req, res) => {
+  const compositor = req.app.locals.compositor;
+  res.json({
+    layers: compositor.getLayers(),
+    masterLevel: compositor.masterLevel,
+    holdStates: [...compositor.holdStates],
+    highlightStates: [...compositor.highlightStates]
+  });
+});
+
+/**
+ * GET /api/v1/admin/layers/lights/:address
+ * Get what each layer holds for a light and the composited color
+ */
+router.get('/layers/lights/:address', (req, res) => {
+  const address = parseInt(req.params.address, 10);
+  if (isNaN(address) || address < 0 || address > 65535) {
+    return res.status(400).json({ error: 'Invalid address', code: 'VALIDATION_ERROR' });
+  }
+  res.json(req.app.locals.compositor.inspect(address));
+});
+
+/**
+ * PUT /api/v1/admin/layers/:name
+ * Change a layer's blend mode, opacity, priority or enabled flag
+ * Body: {blend, opacity, priority, enabled}
+ */
+router.put('/layers/:name', async (req, res, next) => {
+  try {
+    const { blend, opacity, priority, enabled } = req.body;
+    const compositor = req.app.locals.compositor;
+
+    let layer;
+    try {
+      layer = compositor.configure(req.params.name, { blend, opacity, priority, enabled });
+    } catch (err) {
+      const status = err.code === 'NOT_FOUND' ? 404 : 400;
+      return res.status(status).json({ error: err.message, code: err.code || 'VALIDATION_ERROR' });
+    }
+
+    await compositor.flush();
+    res.json({ success: true, layer });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * DELETE /api/v1/admin/layers/:name
+ * Remove every light from a layer; lights fall back to the layers below
+ */
+router.delete('/layers/:name', async (req, res, next) => {
+  try {
+    const compositor = req.app.locals.compositor;
+    if (!compositor.layers.has(req.params.name)) {
+      return res.status(404).json({ error: `Unknown layer: ${req.params.name}`, code: 'NOT_FOUND' });
+    }
+
+    compositor.clear(req.params.name);
+    await compositor.flush();
+    res.json({ success: true, layers: compositor.getLayers() });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// =====================
+// Schedule
+// =====================
+
+/**
+ * Format a schedule rule row for responses
+ */
+function formatRule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    cron: row.cron,
+    action: row.action,
+    params: JSON.parse(row.params || '{}'),
+    enabled: !!row.enabled,
+    lastRunAt: row.last_run_at
+  };
+}
+
+/**
+ * GET /api/v1/admin/schedule
+ * List schedule rules with the scheduler status
+ */
+router.get('/schedule', (req, res) => {
+  const scheduler = req.app.locals.scheduler;
+  res.json({
+    rules: database.scheduleRules.getAll().map(formatRule),
+    status: scheduler ? scheduler.getStatus() : null
+  });
+});
+
+/**
+ * GET /api/v1/admin/schedule/next
+ * Preview the next events of the enabled rules
+ * Query: count (1-100, default 10), from (ISO time, default now)
+ */
+router.get('/schedule/next', (req, res) => {
+  const count = req.query.count !== undefined ? parseInt(req.query.count, 10) : 10;
+  const from = req.query.from ? new Date(req.query.from) : new Date();
+
+  if (isNaN(count) || count < 1 || count > 100) {
+    return res.status(400).json({ error: 'count must be 1-100', code: 'VALIDATION_ERROR' });
+  }
+  if (isNaN(from.getTime())) {
+    return res.status(400).json({ error: 'from must be an ISO date', code: 'VALIDATION_ERROR' });
+  }
+
+  const rules = database.scheduleRules.getEnabled().map(formatRule);
+  res.json({ from: from.toISOString(), events: Scheduler.upcoming(rules, from, count) });
+});
+
+/**
+ * GET /api/v1/admin/schedule/:id
+ * Get a schedule rule
+ */
+router.get('/schedule/:id', (req, res) => {
+  const rule = database.scheduleRules.get(req.params.id);
+  if (!rule) {
+    return res.status(404).json({ error: 'Schedule rule not found', code: 'NOT_FOUND' });
+  }
+  res.json(formatRule(rule));
+});
+
+/**
+ * POST /api/v1/admin/schedule
+ * Create a schedule rule
+ * Body: {id, name, cron, action, params, enabled}
+ */
+router.post('/schedule', (req, res) => {
+  const { id, name, cron, action, params = {}, enabled } = req.body;
+  if (!id || !name) {
+    return res.status(400).json({ error: 'id and name are required', code: 'VALIDATION_ERROR' });
+  }
+  if (database.scheduleRules.get(id)) {
+    return res.status(409).json({ error: `Schedule rule ${id} already exists`, code: 'CONFLICT' });
+  }
+
+  const errors = Scheduler.validateRule({ cron, action, params }, database);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join('; '), code: 'VALIDATION_ERROR' });
+  }
+
+  database.scheduleRules.create({ id, name, cron, action, params, enabled });
+  res.status(201).json({ success: true, rule: formatRule(database.scheduleRules.get(id)) });
+});
+
+/**
+ * PUT /api/v1/admin/schedule/:id
+ * Update a schedule rule
+ */
+router.put('/schedule/:id', (req, res) => {
+  const existing = database.scheduleRules.get(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Schedule rule not found', code: 'NOT_FOUND' });
+  }
+
+  const { name, cron, action, params, enabled } = req.body;
+  const rule = { ...formatRule(existing) };
+  for (const [key, value] of Object.entries({ name, cron, action, params, enabled })) {
+    if (value !== undefined) rule[key] = value;
+  }
+
+  const errors = Scheduler.validateRule(rule, database);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join('; '), code: 'VALIDATION_ERROR' });
+  }
+
+  database.scheduleRules.update(req.params.id, { name, cron, action, params, enabled });
+  res.json({ success: true, rule: formatRule(database.scheduleRules.get(req.params.id)) });
+});
+
+/**
+ * DELETE /api/v1/admin/schedule/:id
+ * Delete a schedule rule
+ */
+router.delete('/schedule/:id', (req, res) => {
+  if (!database.scheduleRules.get(req.params.id)) {
+    return res.status(404).json({ error: 'Schedule rule not found', code: 'NOT_FOUND' });
+  }
+  database.scheduleRules.delete(req.params.id);
+  res.json({ success: true });
+});
+
+/**
+ * POST /api/v1/admin/schedule/:id/run
+ * Run a schedule rule now (e.g. to try a blackout)
+ */
+router.post('/schedule/:id/run', async (req, res, next) => {
+  try {
+    const scheduler = req.app.locals.scheduler;
+    if (!scheduler) {
+      return res.status(503).json({ error: 'Scheduler not available', code: 'SCHEDULER_UNAVAILABLE' });
+    }
+
+    const row = database.scheduleRules.get(req.params.id);
+    if (!row) {
+      return res.status(404).json({ error: 'Schedule rule not found', code: 'NOT_FOUND' });
+    }
+
+    const event = await scheduler.run(formatRule(row), 'manual');
+    if (event.error) {
+      return res.status(409).json({ error: event.error, code: 'RULE_FAILED' });
+    }
+    res.json({ success: true, event, status: scheduler.getStatus() });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // =====================
 // Logs & Diagnostics
 // =====================
@@ -697,12 +1062,19 @@ router.get('/serial/status', (req, res) => {
 
 /**
  * POST /api/v1/admin/serial/reconnect
- * Reconnect serial port
+ * Reconnect every controller, applying the current controller and transport settings
  */
 router.post('/serial/reconnect', async (req, res, next) => {
   try {
     const serial = req.app.locals.serial;
-    await serial.close();
+    const definitions = mdp.ControllerRouter.definitionsFromDatabase(database);
+    const errors = mdp.ControllerRouter.validateDefinitions(definitions);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; '), code: 'VALIDATION_ERROR' });
+    }
+
+    await serial.load(definitions);
     await serial.connect();
     res.json({ success: true, status: serial.getStatus() });
   } catch (err) {
@@ -722,6 +1094,320 @@ router.put('/serial/simulation', (req, res) => {
   res.json({ success: true, simulationMode: enabled });
 });
 
+// =====================
+// Controllers
+// =====================
+
+/**
+ * Convert a controller request body into a definition
+ */
+function controllerFromBody(id, body) {
+  return {
+    id,
+    name: body.name,
+    transport: body.transport,
+    path: body.path,
+    baudRate: body.baudRate !== undefined ? parseInt(body.baudRate, 10) : undefined,
+    host: body.host,
+    port: body.port !== undefined ? parseInt(body.port, 10) : undefined,
+    addressRanges: body.addressRanges,
+    enabled: body.enabled
+  };
+}
+
+/**
+ * Validate a controller against the other enabled controllers
+ * @returns {string[]} Error messages
+ */
+function validateController(controller) {
+  const others = mdp.ControllerRouter.definitionsFromDatabase(database)
+    .filter(c => c.id !== controller.id && c.id !== mdp.ControllerRouter.DEFAULT_CONTROLLER_ID);
+
+  if (controller.enabled === false) {
+    return mdp.ControllerRouter.validateDefinitions([controller]);
+  }
+  return mdp.ControllerRouter.validateDefinitions([...others, controller]);
+}
+
+/**
+ * Format a controller row for responses
+ */
+function formatController(row, serial) {
+  const live = serial.controllers && serial.controllers.get(row.id);
+  return {
+    id: row.id,
+    name: row.name,
+    transport: row.transport,
+    path: row.path,
+    baudRate: row.baud_rate,
+    host: row.host,
+    port: row.port,
+    addressRanges: JSON.parse(row.address_ranges || '[]'),
+    enabled: !!row.enabled,
+    status: live ? serial.getControllerStatus(live) : null
+  };
+}
+
+/**
+ * GET /api/v1/admin/controllers
+ * List registered controllers with their live status
+ */
+router.get('/controllers', (req, res) => {
+  const serial = req.app.locals.serial;
+  const controllers = database.controllers.getAll().map(row => formatController(row, serial));
+  res.json({ controllers, status: serial.getStatus() });
+});
+
+/**
+ * POST /api/v1/admin/controllers
+ * Register a controller; takes effect on the next /serial/reconnect
+ */
+router.post('/controllers', (req, res) => {
+  const { id } = req.body;
+  if (!id || !req.body.name) {
+    return res.status(400).json({ error: 'id and name are required', code: 'VALIDATION_ERROR' });
+  }
+  if (database.controllers.get(id)) {
+    return res.status(409).json({ error: `Controller ${id} already exists`, code: 'CONFLICT' });
+  }
+
+  const controller = controllerFromBody(id, { transport: 'serial', addressRanges: [], ...req.body });
+  const errors = validateController(controller);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join('; '), code: 'VALIDATION_ERROR' });
+  }
+
+  database.controllers.create(controller);
+  res.status(201).json({ success: true, controller: formatController(database.controllers.get(id), req.app.locals.serial) });
+});
+
+/**
+ * PUT /api/v1/admin/controllers/:id
+ * Update a controller; takes effect on the next /serial/reconnect
+ */
+router.put('/controllers/:id', (req, res) => {
+  const existing = database.controllers.get(req.params.id);
+  if (!existing) {
+    return res.status(404).json({ error: 'Controller not found', code: 'NOT_FOUND' });
+  }
+
+  const current = formatController(existing, req.app.locals.serial);
+  delete current.status;
+  const updates = controllerFromBody(req.params.id, req.body);
+  const controller = { ...current };
+  for (const [key, value] of Object.entries(updates)) {
+    if (value !== undefined) controller[key] = value;
+  }
+
+  const errors = validateController(controller);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: errors.join('; '), code: 'VALIDATION_ERROR' });
+  }
+
+  database.controllers.update(req.params.id, updates);
+  res.json({ success: true, controller: formatController(database.controllers.get(req.params.id), req.app.locals.serial) });
+});
+
+/**
+ * DELETE /api/v1/admin/controllers/:id
+ * Remove a controller; takes effect on the next /serial/reconnect
+ */
+router.delete('/controllers/:id', (req, res) => {
+  if (!database.controllers.get(req.params.id)) {
+    return res.status(404).json({ error: 'Controller not found', code: 'NOT_FOUND' });
+  }
+  database.controllers.delete(req.params.id);
+  res.json({ success: true });
+});
+
+// =====================
+// Device Discovery
+// =====================
+
+/**
+ * POST /api/v1/admin/discovery/sweep
+ * Start a ping sweep over an address range
+ */
+router.post('/discovery/sweep', (req, res) => {
+  const discovery = req.app.locals.discovery;
+  if (discovery.isRunning()) {
+    return res.status(409).json({ error: 'Discovery already running', code: 'DISCOVERY_RUNNING' });
+  }
+
+  const { startAddress, endAddress, timeoutMs } = req.body;
+  let options;
+  try {
+    options = discovery.resolveOptions({
+      startAddress: startAddress !== undefined ? parseInt(startAddress, 10) : undefined,
+      endAddress: endAddress !== undefined ? parseInt(endAddress, 10) : undefined,
+      timeoutMs: timeoutMs !== undefined ? parseInt(timeoutMs, 10) : undefined
+    });
+  } catch (err) {
+    return res.status(400).json({ error: err.message, code: 'VALIDATION_ERROR' });
+  }
+
+  discovery.sweep(options).catch(err => {
+    req.app.locals.io.emit('discovery_failed', { error: err.message });
+  });
+
+  res.status(202).json({ success: true, ...options, ...discovery.getStatus() });
+});
+
+/**
+ * GET /api/v1/admin/discovery
+ * Get sweep progress and the last discovery report
+ */
+router.get('/discovery', (req, res) => {
+  res.json(req.app.locals.discovery.getStatus());
+});
+
+/**
+ * GET /api/v1/admin/discovery/devices
+ * Get last-seen records for every device that has answered a ping
+ */
+router.get('/discovery/devices', (req, res) => {
+  const devices = database.devices.getAll();
+  res.json({ devices, count: devices.length });
+});
+
+/**
+ * DELETE /api/v1/admin/discovery/devices
+ * Clear last-seen records
+ */
+router.delete('/discovery/devices', (req, res) => {
+  database.devices.deleteAll();
+  res.json({ success: true });
+});
+
+// =====================
+// Packet Capture
+// =====================
+
+/**
+ * GET /api/v1/admin/capture
+ * Get capture and replay status with the list of capture files
+ */
+router.get('/capture', (req, res) => {
+  const { capture, replay } = req.app.locals;
+  res.json({
+    ...capture.getStatus(),
+    replay: replay ? replay.getStatus() : null,
+    files: capture.listFiles()
+  });
+});
+
+/**
+ * POST /api/v1/admin/capture/start
+ * Start recording every outgoing and incoming frame
+ */
+router.post('/capture/start', (req, res, next) => {
+  try {
+    const capture = req.app.locals.capture;
+    if (capture.isRecording()) {
+      return res.status(409).json({ error: 'Capture already running', code: 'CAPTURE_RUNNING' });
+    }
+
+    res.status(201).json({ success: true, ...capture.start({ name: req.body.name }) });
+  } catch (err) {
+    if (err.code === 'EEXIST') {
+      return res.status(409).json({ error: 'A capture with that name already exists', code: 'CAPTURE_EXISTS' });
+    }
+    next(err);
+  }
+});
+
+/**
+ * POST /api/v1/admin/capture/stop
+ * Stop recording and close the capture file
+ */
+router.post('/capture/stop', async (req, res, next) => {
+  try {
+    const summary = await req.app.locals.capture.stop();
+    if (!summary) {
+      return res.status(409).json({ error: 'No capture running', code: 'CAPTURE_NOT_RUNNING' });
+    }
+    res.json({ success: true, ...summary });
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * GET /api/v1/admin/capture/files/:file
+ * Download a capture file
+ */
+router.get('/capture/files/:file', (req, res) => {
+  const file = req.app.locals.capture.resolveFile(req.params.file);
+  if (!file) {
+    return res.status(404).json({ error: 'Capture not found', code: 'NOT_FOUND' });
+  }
+  res.download(file);
+});
+
+/**
+ * POST /api/v1/admin/capture/replay
+ * Re-send a capture's outgoing frames with their original timing; replayed
+ * frames are never coalesced, so repeated packets go out as recorded.
+ * Emits capture_replay_completed, or capture_replay_failed if a frame
+ * cannot be delivered
+ * Body: {file, target: 'serial' | 'simulator', speed}
+ */
+router.post('/capture/replay', (req, res) => {
+  const { capture, serial, simulator, io } = req.app.locals;
+  const { file, target = 'simulator', speed = 1 } = req.body;
+
+  if (req.app.locals.replay && req.app.locals.replay.running) {
+    return res.status(409).json({ error: 'Replay already running', code: 'REPLAY_RUNNING' });
+  }
+  if (!['serial', 'simulator'].includes(target)) {
+    return res.status(400).json({ error: 'target must be serial or simulator', code: 'VALIDATION_ERROR' });
+  }
+  if (target === 'simulator' && (!simulator || !simulator.isEnabled())) {
+    return res.status(409).json({ error: 'Simulator is disabled', code: 'SIMULATOR_DISABLED' });
+  }
+
+  const filePath = file ? capture.resolveFile(file) : null;
+  if (!filePath) {
+    return res.status(404).json({ error: 'Capture not found', code: 'NOT_FOUND' });
+  }
+
+  let records;
+  try {
+    ({ records } = mdp.capture.readCapture(filePath));
+  } catch (err) {
+    return res.status(400).json({ error: err.message, code: 'VALIDATION_ERROR' });
+  }
+
+  const sink = target === 'serial'
+    ? (data, record) => serial.sendTo(record.controller, data, { priority: 'interactive', coalesce: false }).catch(() => {})
+    : (data) => simulator.processPacket(data);
+
+  const replay = new mdp.capture.CaptureReplay(records, sink, { speed: parseFloat(speed) });
+  req.app.locals.replay = replay;
+
+  replay.start().then(result => {
+    io.emit('capture_replay_completed', { file: path.basename(filePath), target, ...result });
+  }).catch(err => {
+    console.error('Capture replay failed:', err);
+    io.emit('capture_replay_failed', { file: path.basename(filePath), target, error: err.message, ...replay.getStatus() });
+  });
+
+  res.status(202).json({ success: true, file: path.basename(filePath), target, ...replay.getStatus() });
+});
+
+/**
+ * POST /api/v1/admin/capture/replay/stop
+ * Abort a running replay
+ */
+router.post('/capture/replay/stop', (req, res) => {
+  const replay = req.app.locals.replay;
+  if (!replay || !replay.running) {
+    return res.status(409).json({ error: 'No replay running', code: 'REPLAY_NOT_RUNNING' });
+  }
+  replay.stop();
+  res.json({ success: true, ...replay.getStatus() });
+});
+
 // =====================
 // Lights Lookup
 // =====================
@@ -770,6 +1456,15 @@ router.get('/lights/by-address/:address', (req, res) => {
   res.json({ apartment: null });
 });
 
+/**
+ * GET /api/v1/admin/lights/state
+ * Get the last commanded color of every address
+ */
+router.get('/lights/state', (req, res) => {
+  const lights = req.app.locals.serial.lightState.getAll();
+  res.json({ lights, count: lights.length });
+});
+
 // =====================
 // Test Commands
 // =====================
@@ -798,11 +1493,11 @@ router.post('/test/address', async (req, res, next) => {
         packet = mdp.packetRgbLevel(address, red ?? 255, green ?? 255, blue ?? 255);
         break;
       case 'fade':
-        const fadeParams = mdp.calculateFadeParams(0, level ?? 255, fadeTime ?? 500);
+        const fadeParams = mdp.calculateFadeParams(serial.lightState.getLevel(address), level ?? 255, fadeTime ?? 500);
         packet = mdp.packetFade(address, level ?? 255, fadeParams.interval, fadeParams.step);
         break;
       case 'rgb_fade':
-        packet = mdp.packetRgbFadeToColor(address, red ?? 255, green ?? 255, blue ?? 255, fadeTime ?? 500);
+        packet = mdp.packetRgbFadeToColor(address, red ?? 255, green ?? 255, blue ?? 255, fadeTime ?? 500, serial.lightState.get(address));
         break;
       default:
         return res.status(400).json({ error: 'Invalid command', code: 'INVALID_COMMAND' });
@@ -938,6 +1633,53 @@ router.post('/simulator/reset', (req, res) => {
   res.json({ success: true, message: 'All lights reset to off' });
 });
 
+/**
+ * GET /api/v1/admin/simulator/render
+ * Render an elevation of every apartment and amenity in its current color
+ * (simulated in simulation mode, last commanded otherwise)
+ * Query: format (svg|png), tower, fromFloor, toFloor, scale (1-8)
+ */
+router.get('/simulator/render', (req, res, next) => {
+  try {
+    const { elevation } = req.app.locals;
+    const { format = 'svg', tower } = req.query;
+
+    if (!['svg', 'png'].includes(format)) {
+      return res.status(400).json({ error: 'format must be svg or png', code: 'VALIDATION_ERROR' });
+    }
+
+    const numbers = {};
+    for (const key of ['fromFloor', 'toFloor', 'scale']) {
+      if (req.query[key] === undefined) continue;
+      numbers[key] = Number(req.query[key]);
+      if (!Number.isInteger(numbers[key])) {
+        return res.status(400).json({ error: `${key} must be an integer`, code: 'VALIDATION_ERROR' });
+      }
+    }
+
+    const scale = numbers.scale ?? 1;
+    if (scale < 1 || scale > 8) {
+      return res.status(400).json({ error: 'scale must be between 1 and 8', code: 'VALIDATION_ERROR' });
+    }
+    if (tower && !database.towers.get(tower)) {
+      return res.status(404).json({ error: 'Tower not found', code: 'NOT_FOUND' });
+    }
+
+    const layout = elevation.getLayout({ towerId: tower, fromFloor: numbers.fromFloor, toFloor: numbers.toFloor });
+    const colorOf = (address) => elevation.colorOf(address);
+    const title = `${tower || 'All towers'} - ${layout.source} state at ${new Date().toISOString()}`;
+
+    res.set('X-Render-Source', layout.source);
+    if (format === 'png') {
+      res.type('png').send(elevationRender.renderPng(layout, colorOf, { scale }));
+    } else {
+      res.type('svg').send(elevationRender.renderSvg(layout, colorOf, { scale, title }));
+    }
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * GET /api/v1/admin/simulator/export
  * Export current simulator state
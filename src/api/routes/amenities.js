@@ -7,6 +7,7 @@ const express = require('express');
 const router = express.Router();
 const { database } = require('../../config');
 const mdp = require('../../mdp');
+const { validateEffect } = require('../middleware/validation');
 
 /**
  * Helper to get RGB color for a state
@@ -19,6 +20,38 @@ function getStateColor(state) {
   return { r: stateColor.red, g: stateColor.green, b: stateColor.blue, intensity: stateColor.intensity };
 }
 
+/**
+ * Helper to send a color to amenity lights
+ * With a compositor, solid colors are placed on the state's layer and only
+ * sent if no animation or highlight above overrides them
+ * @param {Object} options - {color, scaled, intensity, fadeTimeMs, effect, flash}
+ */
+async function lightAmenities(serial, addresses, state, options, compositor = null) {
+  const { color, scaled, intensity, fadeTimeMs, effect, flash } = options;
+
+  if (compositor && effect !== 'flash') {
+    compositor.setState(addresses, state, scaled);
+    await compositor.flush({ fadeTimeMs });
+    return;
+  }
+
+  for (const address of addresses) {
+    let packet;
+    if (effect === 'flash') {
+      packet = mdp.packetFlashEffect(address, color, intensity, flash || {});
+    } else if (fadeTimeMs > 0) {
+      packet = mdp.packetRgbFadeToColor(address, scaled.r, scaled.g, scaled.b, fadeTimeMs, serial.lightState.get(address));
+    } else {
+      packet = mdp.packetRgbLevel(address, scaled.r, scaled.g, scaled.b);
+    }
+    await serial.send(packet);
+  }
+
+  if (compositor) {
+    await compositor.track(addresses, state);
+  }
+}
+
 /**
  * GET /api/v1/amenities
  * List all amenities
@@ -54,14 +87,14 @@ router.get('/:id', (req, res) => {
  * PUT /api/v1/amenities/:id
  * Light single amenity
  */
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', validateEffect, async (req, res, next) => {
   try {
     const amenity = database.amenities.get(req.params.id);
     if (!amenity) {
       return res.status(404).json({ error: 'Amenity not found', code: 'NOT_FOUND' });
     }
 
-    const { state = 'SELECTED', intensity, fadeTime, rgb } = req.body;
+    const { state = 'SELECTED', intensity, fadeTime, rgb, effect = 'solid', flash } = req.body;
     const serial = req.app.locals.serial;
     const io = req.app.locals.io;
 
@@ -82,14 +115,14 @@ router.put('/:id', async (req, res, next) => {
     const scaledG = Math.round((color.g * actualIntensity) / 255);
     const scaledB = Math.round((color.b * actualIntensity) / 255);
 
-    let packet;
-    if (actualFadeTime > 0) {
-      packet = mdp.packetRgbFadeToColor(amenity.lightswarm_address, scaledR, scaledG, scaledB, actualFadeTime);
-    } else {
-      packet = mdp.packetRgbLevel(amenity.lightswarm_address, scaledR, scaledG, scaledB);
-    }
-
-    await serial.send(packet);
+    await lightAmenities(serial, [amenity.lightswarm_address], state, {
+      color,
+      scaled: { r: scaledR, g: scaledG, b: scaledB },
+      intensity: actualIntensity,
+      fadeTimeMs: actualFadeTime,
+      effect,
+      flash
+    }, req.app.locals.compositor);
 
     io.emit('amenity_updated', {
       id: amenity.id,
@@ -106,7 +139,9 @@ router.put('/:id', async (req, res, next) => {
       address: amenity.lightswarm_address,
       state,
       color: { r: scaledR, g: scaledG, b: scaledB },
-      fadeTime: actualFadeTime
+      fadeTime: actualFadeTime,
+      effect,
+      flash: effect === 'flash' ? flash || {} : undefined
     });
   } catch (err) {
     next(err);
@@ -117,10 +152,10 @@ router.put('/:id', async (req, res, next) => {
  * PUT /api/v1/amenities/floor/:floorId
  * Light all amenities on a floor
  */
-router.put('/floor/:floorId', async (req, res, next) => {
+router.put('/floor/:floorId', validateEffect, async (req, res, next) => {
   try {
     const floor = parseInt(req.params.floorId, 10);
-    const { tower, state = 'SELECTED', intensity, fadeTime } = req.body;
+    const { tower, state = 'SELECTED', intensity, fadeTime, effect = 'solid', flash } = req.body;
     const serial = req.app.locals.serial;
     const io = req.app.locals.io;
 
@@ -141,12 +176,15 @@ router.put('/floor/:floorId', async (req, res, next) => {
     const scaledG = Math.round((color.g * actualIntensity) / 255);
     const scaledB = Math.round((color.b * actualIntensity) / 255);
 
-    const results = [];
-    for (const amenity of amenities) {
-      const packet = mdp.packetRgbFadeToColor(amenity.lightswarm_address, scaledR, scaledG, scaledB, actualFadeTime);
-      await serial.send(packet);
-      results.push({ id: amenity.id, name: amenity.name, type: amenity.amenity_type });
-    }
+    const results = amenities.map(amenity => ({ id: amenity.id, name: amenity.name, type: amenity.amenity_type, address: amenity.lightswarm_address }));
+    await lightAmenities(serial, results.map(r => r.address), state, {
+      color,
+      scaled: { r: scaledR, g: scaledG, b: scaledB },
+      intensity: actualIntensity,
+      fadeTimeMs: actualFadeTime,
+      effect,
+      flash
+    }, req.app.locals.compositor);
 
     io.emit('amenities_floor_updated', { floor, state, count: results.length });
 
@@ -168,9 +206,9 @@ router.put('/floor/:floorId', async (req, res, next) => {
  * PUT /api/v1/amenities/batch
  * Light multiple amenities
  */
-router.put('/batch', async (req, res, next) => {
+router.put('/batch', validateEffect, async (req, res, next) => {
   try {
-    const { amenities: amenityIds, state = 'SELECTED', intensity, fadeTime } = req.body;
+    const { amenities: amenityIds, state = 'SELECTED', intensity, fadeTime, effect = 'solid', flash } = req.body;
     const serial = req.app.locals.serial;
     const io = req.app.locals.io;
 
@@ -199,11 +237,18 @@ router.put('/batch', async (req, res, next) => {
         continue;
       }
 
-      const packet = mdp.packetRgbFadeToColor(amenity.lightswarm_address, scaledR, scaledG, scaledB, actualFadeTime);
-      await serial.send(packet);
-      results.push({ id: amenity.id, name: amenity.name, type: amenity.amenity_type });
+      results.push({ id: amenity.id, name: amenity.name, type: amenity.amenity_type, address: amenity.lightswarm_address });
     }
 
+    await lightAmenities(serial, results.map(r => r.address), state, {
+      color,
+      scaled: { r: scaledR, g: scaledG, b: scaledB },
+      intensity: actualIntensity,
+      fadeTimeMs: actualFadeTime,
+      effect,
+      flash
+    }, req.app.locals.compositor);
+
     io.emit('amenities_batch_updated', { results, count: results.length });
 
     res.json({
@@ -230,11 +275,15 @@ router.post('/:id/off', async (req, res, next) => {
 
     const serial = req.app.locals.serial;
     const fadeTimeMs = parseInt(database.settings.get('default_fade_time_ms') || '500', 10);
-    const fadeParams = mdp.calculateFadeParams(255, 0, fadeTimeMs);
+    const fadeParams = mdp.calculateFadeParams(serial.lightState.getLevel(amenity.lightswarm_address), 0, fadeTimeMs);
     
     const packet = mdp.packetFade(amenity.lightswarm_address, 0, fadeParams.interval, fadeParams.step);
     await serial.send(packet);
 
+    if (req.app.locals.compositor) {
+      await req.app.locals.compositor.track([amenity.lightswarm_address], 'OFF', { fadeTimeMs });
+    }
+
     res.json({ success: true, id: amenity.id, state: 'OFF' });
   } catch (err) {
     next(err);
@@ -7,7 +7,7 @@ const express = require('express');
 const router = express.Router();
 const { database } = require('../../config');
 const mdp = require('../../mdp');
-const { validateApartmentUpdate, validateBatchUpdate, VALID_STATES } = require('../middleware/validation');
+const { validateApartmentUpdate, validateBatchUpdate, validateApartmentQuery, VALID_STATES } = require('../middleware/validation');
 
 /**
  * Helper to get RGB color for a state
@@ -40,12 +40,16 @@ function getApartmentAddresses(apartmentId, primaryAddress) {
 
 /**
  * Helper to light an apartment (sends to ALL assigned light IDs)
+ * With a compositor, solid colors are placed on the state's layer and only
+ * sent if no animation or highlight above overrides them
  */
-async function lightApartment(serial, apartment, state, options = {}) {
+async function lightApartment(serial, apartment, state, options = {}, compositor = null) {
   const {
     intensity = null,
     fadeTimeMs = null,
-    rgb = null
+    rgb = null,
+    effect = 'solid',
+    flash = null
   } = options;
 
   const defaultFadeTime = parseInt(database.settings.get('default_fade_time_ms') || '500', 10);
@@ -65,14 +69,25 @@ async function lightApartment(serial, apartment, state, options = {}) {
     throw new Error(`No light addresses assigned to apartment ${apartment.id}`);
   }
 
-  for (const address of addresses) {
-    let packet;
-    if (actualFadeTime > 0) {
-      packet = mdp.packetRgbFadeToColor(address, scaledR, scaledG, scaledB, actualFadeTime);
-    } else {
-      packet = mdp.packetRgbLevel(address, scaledR, scaledG, scaledB);
+  if (compositor && effect !== 'flash') {
+    compositor.setState(addresses, state, { r: scaledR, g: scaledG, b: scaledB });
+    await compositor.flush({ fadeTimeMs: actualFadeTime });
+  } else {
+    for (const address of addresses) {
+      let packet;
+      if (effect === 'flash') {
+        packet = mdp.packetFlashEffect(address, color, actualIntensity, flash || {});
+      } else if (actualFadeTime > 0) {
+        packet = mdp.packetRgbFadeToColor(address, scaledR, scaledG, scaledB, actualFadeTime, serial.lightState.get(address));
+      } else {
+        packet = mdp.packetRgbLevel(address, scaledR, scaledG, scaledB);
+      }
+      await serial.send(packet);
+    }
+
+    if (compositor) {
+      await compositor.track(addresses, state);
     }
-    await serial.send(packet);
   }
 
   database.apartments.updateState(apartment.id, state);
@@ -83,6 +98,8 @@ async function lightApartment(serial, apartment, state, options = {}) {
     state,
     color: { r: scaledR, g: scaledG, b: scaledB },
     fadeTime: actualFadeTime,
+    effect,
+    flash: effect === 'flash' ? flash || {} : undefined,
     lightCount: addresses.length
   };
 }
@@ -125,6 +142,73 @@ router.get('/:id', (req, res) => {
   });
 });
 
+/**
+ * Helper to turn a query filter into database criteria: single values
+ * become lists and single numbers become ranges
+ */
+function queryCriteria(filter) {
+  const list = (value) => (value === undefined ? undefined : [].concat(value));
+  const range = (value) => (Number.isInteger(value) ? { min: value, max: value } : value);
+  return {
+    tower: filter.tower,
+    unitTypes: list(filter.unitType),
+    states: list(filter.state),
+    unitPositions: list(filter.unitPosition),
+    floor: range(filter.floor),
+    plotNumber: range(filter.plotNumber)
+  };
+}
+
+/**
+ * PUT /api/v1/apartments/query
+ * Light every apartment matching a filter on unit type, state, floor range,
+ * plot number range, unit position or tower
+ * Registered before /:id so "query" is not taken for an apartment ID
+ */
+router.put('/query', validateApartmentQuery, async (req, res, next) => {
+  try {
+    const { filter, state = 'SELECTED', intensity, fadeTime, rgb, effect, flash } = req.body;
+    const serial = req.app.locals.serial;
+    const io = req.app.locals.io;
+
+    const matched = database.apartments.query(queryCriteria(filter));
+    const results = [];
+    const errors = [];
+
+    for (const apartment of matched) {
+      try {
+        const result = await lightApartment(serial, apartment, state, { intensity, fadeTimeMs: fadeTime, rgb, effect, flash }, req.app.locals.compositor);
+        results.push(result);
+      } catch (err) {
+        errors.push({ id: apartment.id, error: err.message });
+      }
+    }
+
+    if (results.length > 0) {
+      io.emit('apartments_batch_updated', { results, count: results.length });
+    }
+
+    res.json({
+      success: errors.length === 0,
+      matched: matched.map(apt => ({
+        id: apt.id,
+        name: apt.name,
+        tower: apt.tower_id,
+        floor: apt.floor,
+        unitType: apt.unit_type,
+        plotNumber: apt.plot_number,
+        unitPosition: apt.unit_position,
+        previousState: apt.current_state
+      })),
+      updated: results,
+      errors: errors.length > 0 ? errors : undefined,
+      count: matched.length
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 /**
  * PUT /api/v1/apartments/:id
  * Light single apartment with state
@@ -136,11 +220,11 @@ router.put('/:id', validateApartmentUpdate, async (req, res, next) => {
       return res.status(404).json({ error: 'Apartment not found', code: 'NOT_FOUND' });
     }
 
-    const { state = 'SELECTED', intensity, fadeTime, rgb } = req.body;
+    const { state = 'SELECTED', intensity, fadeTime, rgb, effect, flash } = req.body;
     const serial = req.app.locals.serial;
     const io = req.app.locals.io;
 
-    const result = await lightApartment(serial, apartment, state, { intensity, fadeTimeMs: fadeTime, rgb });
+    const result = await lightApartment(serial, apartment, state, { intensity, fadeTimeMs: fadeTime, rgb, effect, flash }, req.app.locals.compositor);
 
     io.emit('apartment_updated', result);
 
@@ -159,7 +243,14 @@ router.put('/:id', validateApartmentUpdate, async (req, res, next) => {
  */
 router.put('/batch', validateBatchUpdate, async (req, res, next) => {
   try {
-    const { apartments: apartmentUpdates, state: globalState, intensity: globalIntensity, fadeTime: globalFadeTime } = req.body;
+    const {
+      apartments: apartmentUpdates,
+      state: globalState,
+      intensity: globalIntensity,
+      fadeTime: globalFadeTime,
+      effect: globalEffect,
+      flash: globalFlash
+    } = req.body;
     const serial = req.app.locals.serial;
     const io = req.app.locals.io;
 
@@ -179,9 +270,11 @@ router.put('/batch', validateBatchUpdate, async (req, res, next) => {
       const intensity = update.intensity ?? globalIntensity;
       const fadeTime = update.fadeTime ?? globalFadeTime;
       const rgb = update.rgb;
+      const effect = update.effect ?? globalEffect;
+      const flash = update.flash ?? globalFlash;
 
       try {
-        const result = await lightApartment(serial, apartment, state, { intensity, fadeTimeMs: fadeTime, rgb });
+        const result = await lightApartment(serial, apartment, state, { intensity, fadeTimeMs: fadeTime, rgb, effect, flash }, req.app.locals.compositor);
         results.push(result);
       } catch (err) {
         errors.push({ id: apartmentId, error: err.message });
@@ -214,15 +307,19 @@ router.post('/:id/off', async (req, res, next) => {
 
     const serial = req.app.locals.serial;
     const fadeTimeMs = parseInt(database.settings.get('default_fade_time_ms') || '500', 10);
-    const fadeParams = mdp.calculateFadeParams(255, 0, fadeTimeMs);
     
     const addresses = getApartmentAddresses(apartment.id, apartment.lightswarm_address);
     
     for (const address of addresses) {
+      const fadeParams = mdp.calculateFadeParams(serial.lightState.getLevel(address), 0, fadeTimeMs);
       const packet = mdp.packetFade(address, 0, fadeParams.interval, fadeParams.step);
       await serial.send(packet);
     }
 
+    if (req.app.locals.compositor) {
+      await req.app.locals.compositor.track(addresses, 'OFF', { fadeTimeMs });
+    }
+
     database.apartments.updateState(apartment.id, 'OFF');
 
     res.json({ success: true, id: apartment.id, state: 'OFF', addresses, lightCount: addresses.length });
@@ -242,6 +339,14 @@ router.post('/all/off', async (req, res, next) => {
     const packet = mdp.packetBroadcast('off');
     await serial.send(packet);
 
+    // Drop held and selected states; a running animation keeps its lights
+    const compositor = req.app.locals.compositor;
+    if (compositor) {
+      compositor.clear('base');
+      compositor.clear('highlight');
+      await compositor.flush();
+    }
+
     res.json({ success: true, message: 'All apartments turned off' });
   } catch (err) {
     next(err);
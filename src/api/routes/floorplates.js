@@ -7,6 +7,7 @@ const express = require('express');
 const router = express.Router();
 const { database } = require('../../config');
 const mdp = require('../../mdp');
+const { validateEffect } = require('../middleware/validation');
 
 /**
  * Helper to get RGB color for a state
@@ -19,6 +20,62 @@ function getStateColor(state) {
   return { r: stateColor.red, g: stateColor.green, b: stateColor.blue, intensity: stateColor.intensity };
 }
 
+/**
+ * Helper to get the pseudo address of a floorplate that can take one packet
+ * @returns {number[]} [pseudo address] once provisioned, otherwise []
+ */
+function getPseudoAddresses(floorplate) {
+  return mdp.pseudoAddress.isFloorplateProvisioned(database, floorplate) ? [floorplate.pseudo_address] : [];
+}
+
+/**
+ * Helper to light a group of apartments, using one packet per pseudo address
+ * when given. With a compositor, solid colors are placed on the state's layer
+ * like apartment routes do; the pseudo addresses are only used while no
+ * animation or highlight above overrides any of the lights, and the flush
+ * sends whatever still differs.
+ * @param {number[]} pseudoAddresses - Provisioned pseudo addresses covering the apartments
+ * @param {Object} options - {color, scaled, intensity, fadeTimeMs, effect, flash}
+ * @returns {Promise<boolean>} True if the pseudo addresses were used
+ */
+async function lightApartments(serial, apartments, pseudoAddresses, state, options, compositor = null) {
+  const { color, scaled, intensity, fadeTimeMs, effect, flash } = options;
+  const addresses = apartments.map(apt => apt.lightswarm_address);
+  const packetFor = (address) => {
+    if (effect === 'flash') {
+      return mdp.packetFlashEffect(address, color, intensity, flash || {});
+    }
+    return fadeTimeMs > 0
+      ? mdp.packetRgbFadeToColor(address, scaled.r, scaled.g, scaled.b, fadeTimeMs, serial.lightState.get(address))
+      : mdp.packetRgbLevel(address, scaled.r, scaled.g, scaled.b);
+  };
+
+  if (compositor && effect !== 'flash') {
+    compositor.setState(addresses, state, scaled);
+    const usePseudo = pseudoAddresses.length > 0 && addresses.every(address => {
+      const composite = compositor.composite(address);
+      return composite && composite.r === scaled.r && composite.g === scaled.g && composite.b === scaled.b;
+    });
+    if (usePseudo) {
+      for (const address of pseudoAddresses) {
+        await serial.send(packetFor(address));
+      }
+    }
+    await compositor.flush({ fadeTimeMs });
+    return usePseudo;
+  }
+
+  const usePseudo = pseudoAddresses.length > 0;
+  for (const address of usePseudo ? pseudoAddresses : addresses) {
+    await serial.send(packetFor(address));
+  }
+
+  if (compositor) {
+    await compositor.track(addresses, state);
+  }
+  return usePseudo;
+}
+
 /**
  * GET /api/v1/floorplates
  * List all floorplates
@@ -67,14 +124,14 @@ router.get('/:id', (req, res) => {
  * PUT /api/v1/floorplates/:id
  * Light entire floorplate
  */
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', validateEffect, async (req, res, next) => {
   try {
     const floorplate = database.floorplates.get(req.params.id);
     if (!floorplate) {
       return res.status(404).json({ error: 'Floorplate not found', code: 'NOT_FOUND' });
     }
 
-    const { state = 'SELECTED', intensity, fadeTime } = req.body;
+    const { state = 'SELECTED', intensity, fadeTime, effect = 'solid', flash } = req.body;
     const serial = req.app.locals.serial;
     const io = req.app.locals.io;
 
@@ -91,16 +148,17 @@ router.put('/:id', async (req, res, next) => {
     const scaledG = Math.round((color.g * actualIntensity) / 255);
     const scaledB = Math.round((color.b * actualIntensity) / 255);
 
+    const pseudoAddressed = await lightApartments(serial, apartments, getPseudoAddresses(floorplate), state, {
+      color,
+      scaled: { r: scaledR, g: scaledG, b: scaledB },
+      intensity: actualIntensity,
+      fadeTimeMs: actualFadeTime,
+      effect,
+      flash
+    }, req.app.locals.compositor);
+
     const results = [];
     for (const apt of apartments) {
-      let packet;
-      if (actualFadeTime > 0) {
-        packet = mdp.packetRgbFadeToColor(apt.lightswarm_address, scaledR, scaledG, scaledB, actualFadeTime);
-      } else {
-        packet = mdp.packetRgbLevel(apt.lightswarm_address, scaledR, scaledG, scaledB);
-      }
-      
-      await serial.send(packet);
       database.apartments.updateState(apt.id, state);
       results.push({ id: apt.id, address: apt.lightswarm_address });
     }
@@ -117,6 +175,9 @@ router.put('/:id', async (req, res, next) => {
       state,
       color: { r: scaledR, g: scaledG, b: scaledB },
       fadeTime: actualFadeTime,
+      effect,
+      flash: effect === 'flash' ? flash || {} : undefined,
+      pseudoAddressed,
       apartments: results,
       count: results.length
     });
@@ -129,9 +190,9 @@ router.put('/:id', async (req, res, next) => {
  * PUT /api/v1/floorplates/batch
  * Light multiple floorplates
  */
-router.put('/batch', async (req, res, next) => {
+router.put('/batch', validateEffect, async (req, res, next) => {
   try {
-    const { floorplates: floorplateIds, state = 'SELECTED', intensity, fadeTime } = req.body;
+    const { floorplates: floorplateIds, state = 'SELECTED', intensity, fadeTime, effect = 'solid', flash } = req.body;
     const serial = req.app.locals.serial;
     const io = req.app.locals.io;
 
@@ -162,15 +223,23 @@ router.put('/batch', async (req, res, next) => {
       const scaledG = Math.round((color.g * actualIntensity) / 255);
       const scaledB = Math.round((color.b * actualIntensity) / 255);
 
+      const pseudoAddressed = await lightApartments(serial, apartments, getPseudoAddresses(floorplate), state, {
+        color,
+        scaled: { r: scaledR, g: scaledG, b: scaledB },
+        intensity: actualIntensity,
+        fadeTimeMs: actualFadeTime,
+        effect,
+        flash
+      }, req.app.locals.compositor);
+
       for (const apt of apartments) {
-        const packet = mdp.packetRgbFadeToColor(apt.lightswarm_address, scaledR, scaledG, scaledB, actualFadeTime);
-        await serial.send(packet);
         database.apartments.updateState(apt.id, state);
       }
 
       results.push({ 
         floorplateId: fpId, 
-        apartmentsCount: apartments.length 
+        apartmentsCount: apartments.length,
+        pseudoAddressed
       });
     }
 
@@ -191,9 +260,9 @@ router.put('/batch', async (req, res, next) => {
  * PUT /api/v1/floors/batch
  * Light multiple floors (convenience endpoint)
  */
-router.put('/floors/batch', async (req, res, next) => {
+router.put('/floors/batch', validateEffect, async (req, res, next) => {
   try {
-    const { floors, tower, state = 'SELECTED', intensity, fadeTime } = req.body;
+    const { floors, tower, state = 'SELECTED', intensity, fadeTime, effect = 'solid', flash } = req.body;
     const serial = req.app.locals.serial;
     const io = req.app.locals.io;
 
@@ -215,14 +284,28 @@ router.put('/floors/batch', async (req, res, next) => {
     const results = [];
     for (const floor of floors) {
       const apartments = database.apartments.getByFloor(tower || null, floor);
-      
+      const floorplates = database.floorplates.getAllByFloor(floor, tower || null);
+
+      // Pseudo addressing only applies when provisioned floorplates cover every apartment on the floor
+      const covered = new Set(floorplates.map(fp => fp.id));
+      const usePseudo = floorplates.length > 0 &&
+        apartments.every(apt => covered.has(apt.floorplate_id)) &&
+        floorplates.every(fp => mdp.pseudoAddress.isFloorplateProvisioned(database, fp));
+
+      const pseudoAddressed = await lightApartments(serial, apartments, usePseudo ? floorplates.map(fp => fp.pseudo_address) : [], state, {
+        color,
+        scaled: { r: scaledR, g: scaledG, b: scaledB },
+        intensity: actualIntensity,
+        fadeTimeMs: actualFadeTime,
+        effect,
+        flash
+      }, req.app.locals.compositor);
+
       for (const apt of apartments) {
-        const packet = mdp.packetRgbFadeToColor(apt.lightswarm_address, scaledR, scaledG, scaledB, actualFadeTime);
-        await serial.send(packet);
         database.apartments.updateState(apt.id, state);
       }
 
-      results.push({ floor, apartmentsCount: apartments.length });
+      results.push({ floor, apartmentsCount: apartments.length, pseudoAddressed });
     }
 
     io.emit('floors_batch_updated', { results, count: results.length });
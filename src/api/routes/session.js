@@ -1,12 +1,12 @@
 /**
  * Session Routes
- * Handles login/logout and ambient state control
+ * Handles login/logout, session heartbeats and ambient state control
  */
 
 const express = require('express');
 const router = express.Router();
 const { database } = require('../../config');
-const mdp = require('../../mdp');
+const { validateLogin } = require('../middleware/validation');
 
 let animationEngine = null;
 
@@ -16,101 +16,138 @@ function setAnimationEngine(engine) {
 
 /**
  * POST /api/v1/session/login
- * Agent logs in - stop ambient animation, fade down from top to bottom
+ * Agent logs in - start a session, stop ambient animation, fade down from top to bottom
+ * Returns the session token to send as X-Session-Token; 409 if another
+ * session holds the model and session_concurrency is reject
  */
-router.post('/login', async (req, res, next) => {
+router.post('/login', validateLogin, async (req, res, next) => {
   try {
     const { agentId } = req.body;
-    const serial = req.app.locals.serial;
     const io = req.app.locals.io;
-
-    database.sessionLog.add('login', agentId);
-
-    if (animationEngine) {
-      animationEngine.stopAmbient();
+    const sessions = req.app.locals.sessions;
+
+    const { session, token, replaced } = sessions.login(agentId);
+
+    if (replaced) {
+      database.sessionLog.add('logout', replaced.agentId, { sessionId: replaced.id, reason: replaced.endReason, by: agentId });
+      io.emit('session_event', {
+        type: 'taken_over',
+        agentId: replaced.agentId,
+        sessionId: replaced.id,
+        by: agentId,
+        timestamp: new Date().toISOString()
+      });
     }
+    database.sessionLog.add('login', agentId, { sessionId: session.id });
 
-    const fadeDelayMs = parseInt(database.settings.get('login_fade_delay_ms') || '100', 10);
-    const fadeTimeMs = parseInt(database.settings.get('default_fade_time_ms') || '500', 10);
-
-    const { max_floor, min_floor } = database.apartments.getFloorRange();
-    
-    for (let floor = max_floor; floor >= min_floor; floor--) {
-      const apartments = database.apartments.getByFloor(null, floor);
-      
-      for (const apt of apartments) {
-        const fadeParams = mdp.calculateFadeParams(255, 0, fadeTimeMs);
-        const packet = mdp.packetFade(apt.lightswarm_address, 0, fadeParams.interval, fadeParams.step);
-        await serial.send(packet);
-      }
-
-      const amenities = database.amenities.getByFloor(null, floor);
-      for (const amenity of amenities) {
-        const fadeParams = mdp.calculateFadeParams(255, 0, fadeTimeMs);
-        const packet = mdp.packetFade(amenity.lightswarm_address, 0, fadeParams.interval, fadeParams.step);
-        await serial.send(packet);
-      }
-
-      if (floor > min_floor) {
-        await new Promise(resolve => setTimeout(resolve, fadeDelayMs));
-      }
+    if (animationEngine) {
+      await animationEngine.stopAmbient();
+      await animationEngine.executeLoginFadeDown();
     }
 
-    io.emit('session_event', { type: 'login', agentId, timestamp: new Date().toISOString() });
+    io.emit('session_event', { type: 'login', agentId, sessionId: session.id, timestamp: new Date().toISOString() });
 
     res.json({
       success: true,
       message: 'Login successful, ambient animation stopped',
-      agentId
+      agentId,
+      session,
+      token,
+      heartbeatTimeoutMs: sessions.getHeartbeatTimeoutMs(),
+      replaced: replaced || undefined
     });
   } catch (err) {
+    if (err.code === 'SESSION_ACTIVE') {
+      return res.status(409).json({ error: err.message, code: 'SESSION_ACTIVE', session: err.session });
+    }
     next(err);
   }
 });
 
 /**
  * POST /api/v1/session/logout
- * Agent logs out - start ambient animation
+ * Agent logs out - end the session, start ambient animation unless it is
+ * disabled, the model is blacked out or a show is playing
+ * A token that is not the active session's (e.g. after a takeover) gets 401,
+ * so it cannot end someone else's session; without a token the active
+ * session is ended unless session_enforce is on
  */
 router.post('/logout', async (req, res, next) => {
   try {
-    const { agentId } = req.body;
     const io = req.app.locals.io;
+    const sessions = req.app.locals.sessions;
+    const scheduler = req.app.locals.scheduler;
+    const token = req.get('X-Session-Token');
+
+    if ((token || sessions.isEnforced()) && !sessions.authenticate(token)) {
+      return res.status(401).json({ error: 'Not the active session', code: 'INVALID_SESSION' });
+    }
 
-    database.sessionLog.add('logout', agentId);
+    const ended = sessions.end('logout');
+    const agentId = ended ? ended.agentId : req.body.agentId;
+    database.sessionLog.add('logout', agentId, ended ? { sessionId: ended.id } : null);
 
-    if (animationEngine) {
-      animationEngine.startAmbient();
+    let ambientStarted = false;
+    if (scheduler) {
+      try {
+        ambientStarted = await scheduler.resumeAmbient();
+      } catch (err) {
+        console.error('Error starting ambient animation after logout:', err);
+      }
     }
 
-    io.emit('session_event', { type: 'logout', agentId, timestamp: new Date().toISOString() });
+    io.emit('session_event', { type: 'logout', agentId, sessionId: ended ? ended.id : undefined, timestamp: new Date().toISOString() });
 
     res.json({
       success: true,
-      message: 'Logout successful, ambient animation started',
-      agentId
+      message: ambientStarted ? 'Logout successful, ambient animation started' : 'Logout successful',
+      agentId,
+      ambientStarted
     });
   } catch (err) {
     next(err);
   }
 });
 
+/**
+ * POST /api/v1/session/heartbeat
+ * Tell the middleware the session's owner is still there (X-Session-Token)
+ * Restarts the idle timer, like a lighting call
+ * 401 once the session has ended or been taken over
+ */
+router.post('/heartbeat', (req, res) => {
+  const session = req.app.locals.sessions.heartbeat(req.get('X-Session-Token'));
+  if (!session) {
+    return res.status(401).json({ error: 'Not the active session', code: 'INVALID_SESSION' });
+  }
+
+  res.json({
+    success: true,
+    session,
+    idle: req.app.locals.idleTimer.getStatus()
+  });
+});
+
 /**
  * GET /api/v1/session/status
  * Get current session status
  */
 router.get('/status', (req, res) => {
+  const sessions = req.app.locals.sessions;
   const recentSessions = database.sessionLog.getRecent(10);
   const lastLogin = recentSessions.find(s => s.event_type === 'login');
   const lastLogout = recentSessions.find(s => s.event_type === 'logout');
-
-  const isActive = lastLogin && (!lastLogout || new Date(lastLogin.timestamp) > new Date(lastLogout.timestamp));
+  const session = sessions.getActive();
 
   res.json({
-    isActive,
+    isActive: session !== null,
+    session,
+    concurrency: sessions.getConcurrency(),
+    enforced: sessions.isEnforced(),
     ambientRunning: animationEngine ? animationEngine.isRunning() : false,
     lastLogin: lastLogin || null,
-    lastLogout: lastLogout || null
+    lastLogout: lastLogout || null,
+    idle: req.app.locals.idleTimer.getStatus()
   });
 });
 
@@ -0,0 +1,173 @@
+/**
+ * Shows Routes
+ * Play stored or predefined animation sequences on demand
+ */
+
+const express = require('express');
+const router = express.Router();
+const { database } = require('../../config');
+const { getAllSequences } = require('../../animation/sequences');
+
+/**
+ * Reject requests while the animation engine is not running yet
+ */
+router.use((req, res, next) => {
+  if (!req.app.locals.shows) {
+    return res.status(503).json({ error: 'Animation engine not available', code: 'SHOWS_UNAVAILABLE' });
+  }
+  next();
+});
+
+/**
+ * Check play overrides
+ * @returns {string|null} Error message
+ */
+function validateOverrides({ color, intensity, speed, floors, loop }) {
+  const isLevel = (v) => Number.isInteger(v) && v >= 0 && v <= 255;
+
+  if (color !== undefined && !(color && isLevel(color.r) && isLevel(color.g) && isLevel(color.b))) {
+    return 'color must be {r, g, b} with values 0-255';
+  }
+  if (intensity !== undefined && !isLevel(intensity)) {
+    return 'intensity must be 0-255';
+  }
+  if (speed !== undefined && !(typeof speed === 'number' && speed >= 0.1 && speed <= 10)) {
+    return 'speed must be between 0.1 and 10';
+  }
+  if (floors !== undefined && !(Array.isArray(floors) && floors.length > 0 && floors.every(Number.isInteger))) {
+    return 'floors must be a non-empty array of floor numbers';
+  }
+  if (loop !== undefined && typeof loop !== 'boolean' && !['none', 'repeat', 'pingpong'].includes(loop)) {
+    return 'loop must be a boolean or none, repeat or pingpong';
+  }
+  return null;
+}
+
+/**
+ * Reply 409 unless the given show is the one playing
+ */
+function requireCurrentShow(req, res) {
+  const status = req.app.locals.shows.getStatus();
+  if (!status.active || status.show.id !== req.params.id) {
+    res.status(409).json({ error: `Show ${req.params.id} is not playing`, code: 'SHOW_NOT_PLAYING' });
+    return false;
+  }
+  return true;
+}
+
+/**
+ * GET /api/v1/shows
+ * List playable shows (stored animation sequences and predefined ones)
+ */
+router.get('/', (req, res) => {
+  const stored = database.animationSequences.getAll().map(seq => ({
+    id: seq.id,
+    name: seq.name,
+    description: seq.description,
+    type: JSON.parse(seq.sequence_data).type,
+    source: 'stored'
+  }));
+  const storedIds = new Set(stored.map(show => show.id));
+  const predefined = getAllSequences()
+    .filter(seq => !storedIds.has(seq.id))
+    .map(seq => ({ id: seq.id, name: seq.name, description: seq.description, type: seq.type, source: 'predefined' }));
+
+  res.json({ shows: [...stored, ...predefined] });
+});
+
+/**
+ * GET /api/v1/shows/status
+ * Current (or last) show and its progress
+ */
+router.get('/status', (req, res) => {
+  res.json(req.app.locals.shows.getStatus());
+});
+
+/**
+ * POST /api/v1/shows/:id/play
+ * Play a show, interrupting ambient animation until it ends or is stopped
+ * Body: {color, intensity, speed, floors, loop} (all optional)
+ */
+router.post('/:id/play', async (req, res, next) => {
+  try {
+    const overrides = {};
+    for (const key of ['color', 'intensity', 'speed', 'floors', 'loop']) {
+      if (req.body[key] !== undefined) {
+        overrides[key] = req.body[key];
+      }
+    }
+
+    const error = validateOverrides(overrides);
+    if (error) {
+      return res.status(400).json({ error, code: 'VALIDATION_ERROR' });
+    }
+
+    await req.app.locals.shows.play(req.params.id, overrides);
+    res.json(req.app.locals.shows.getStatus());
+  } catch (err) {
+    if (err.code === 'NOT_FOUND') {
+      return res.status(404).json({ error: err.message, code: 'NOT_FOUND' });
+    }
+    if (err.code === 'INVALID_SEQUENCE') {
+      return res.status(400).json({ error: err.message, code: 'INVALID_SEQUENCE' });
+    }
+    next(err);
+  }
+});
+
+/**
+ * POST /api/v1/shows/:id/stop
+ * Stop the show; ambient animation resumes if the show interrupted it
+ */
+router.post('/:id/stop', async (req, res, next) => {
+  try {
+    if (!requireCurrentShow(req, res)) return;
+    res.json(await req.app.locals.shows.stop());
+  } catch (err) {
+    next(err);
+  }
+});
+
+/**
+ * POST /api/v1/shows/:id/pause
+ * Freeze the show on its current frame
+ */
+router.post('/:id/pause', (req, res) => {
+  if (!requireCurrentShow(req, res)) return;
+  if (!req.app.locals.shows.pause()) {
+    return res.status(409).json({ error: 'Show is already paused or cannot be paused', code: 'NOT_SEEKABLE' });
+  }
+  res.json(req.app.locals.shows.getStatus());
+});
+
+/**
+ * POST /api/v1/shows/:id/resume
+ * Continue a paused show
+ */
+router.post('/:id/resume', (req, res) => {
+  if (!requireCurrentShow(req, res)) return;
+  if (!req.app.locals.shows.resume()) {
+    return res.status(409).json({ error: 'Show is not paused', code: 'NOT_PAUSED' });
+  }
+  res.json(req.app.locals.shows.getStatus());
+});
+
+/**
+ * POST /api/v1/shows/:id/seek
+ * Jump to a position in the show
+ * Body: {positionMs}
+ */
+router.post('/:id/seek', (req, res) => {
+  const { positionMs } = req.body;
+  if (typeof positionMs !== 'number' || positionMs < 0) {
+    return res.status(400).json({ error: 'positionMs must be a non-negative number', code: 'VALIDATION_ERROR' });
+  }
+
+  if (!requireCurrentShow(req, res)) return;
+  if (!req.app.locals.shows.seek(positionMs)) {
+    return res.status(409).json({ error: 'Show cannot be seeked', code: 'NOT_SEEKABLE' });
+  }
+  res.json(req.app.locals.shows.getStatus());
+});
+
+module.exports = router;
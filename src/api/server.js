@@ -10,14 +10,22 @@ const http = require('http');
 const { Server: SocketServer } = require('socket.io');
 
 const { database } = require('../config');
+const { DeviceDiscovery, capture } = require('../mdp');
 const loggingMiddleware = require('./middleware/logging');
+const activityMiddleware = require('./middleware/activity');
+const sessionMiddleware = require('./middleware/session');
 const validationMiddleware = require('./middleware/validation');
+const ElevationStream = require('./elevation');
+const IdleTimer = require('./idle-timer');
+const SessionManager = require('./sessions');
+const Compositor = require('../animation/compositor');
 
 const sessionRoutes = require('./routes/session');
 const apartmentsRoutes = require('./routes/apartments');
 const floorplatesRoutes = require('./routes/floorplates');
 const amenitiesRoutes = require('./routes/amenities');
 const adminRoutes = require('./routes/admin');
+const showsRoutes = require('./routes/shows');
 
 /**
  * Create and configure the Express server
@@ -40,6 +48,26 @@ async function createServer(serialConnection, options = {}) {
   app.locals.serial = serialConnection;
   app.locals.io = io;
   app.locals.simulator = options.simulator || null;
+  app.locals.discovery = new DeviceDiscovery(serialConnection, database);
+  app.locals.capture = new capture.PacketCapture(serialConnection);
+  app.locals.replay = null;
+  app.locals.shows = null;
+  app.locals.scheduler = null;
+  app.locals.idleTimer = new IdleTimer(database);
+  app.locals.sessions = new SessionManager(database, app.locals.idleTimer);
+  app.locals.compositor = new Compositor(serialConnection, {
+    holdStates: (database.settings.get('layer_hold_states') || 'SOLD,RESERVED,UNAVAILABLE').split(',').map(s => s.trim()),
+    highlightStates: (database.settings.get('layer_highlight_states') || 'SELECTED').split(',').map(s => s.trim())
+  });
+  app.locals.elevation = new ElevationStream(io, {
+    serial: serialConnection,
+    simulator: app.locals.simulator,
+    database,
+    intervalMs: parseInt(database.settings.get('elevation_update_interval_ms') || '100', 10)
+  });
+
+  app.locals.discovery.on('progress', (progress) => io.emit('discovery_progress', progress));
+  app.locals.discovery.on('completed', (report) => io.emit('discovery_completed', report));
 
   app.use(cors());
   app.use(express.json());
@@ -50,11 +78,16 @@ async function createServer(serialConnection, options = {}) {
   app.use(express.static(path.join(__dirname, '../../public')));
   app.use('/docs', express.static(path.join(__dirname, '../../docs')));
 
+  const lightingPaths = ['/api/v1/apartments', '/api/v1/floorplates', '/api/v1/amenities', '/api/v1/shows'];
+  app.use(lightingPaths, sessionMiddleware(app.locals.sessions));
+  app.use(lightingPaths, activityMiddleware(app.locals.idleTimer));
+
   app.use('/api/v1/session', sessionRoutes);
   app.use('/api/v1/apartments', apartmentsRoutes);
   app.use('/api/v1/floorplates', floorplatesRoutes);
   app.use('/api/v1/amenities', amenitiesRoutes);
   app.use('/api/v1/admin', adminRoutes);
+  app.use('/api/v1/shows', showsRoutes);
 
   app.get('/api/v1/status', (req, res) => {
     const serialStatus = serialConnection.getStatus();
@@ -0,0 +1,167 @@
+/**
+ * Agent Sessions
+ * One agent session owns the model at a time. Login returns a token the
+ * agent sends as X-Session-Token; heartbeats (and any call carrying the
+ * token) show the owner is still there. A second login takes the model over,
+ * or is rejected while the owner is still sending heartbeats, per
+ * session_concurrency. Heartbeats also restart the idle timer, so the session
+ * only ends idle once its owner stops sending them. Only token hashes are
+ * stored.
+ */
+
+const crypto = require('crypto');
+
+const CONCURRENCY_POLICIES = ['takeover', 'reject'];
+
+/**
+ * Hash a session token for storage and comparison
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+class SessionManager {
+  /**
+   * @param {Object} database - Database module
+   * @param {Object} idleTimer - IdleTimer that ends the session when nobody uses it
+   */
+  constructor(database, idleTimer) {
+    this.database = database;
+    this.idleTimer = idleTimer;
+    this.active = null;
+
+    this.idleTimer.on('timeout', () => this.end('idle_timeout'));
+
+    // Sessions do not survive a restart: the model comes back in ambient
+    this.database.sessions.endOpen('restart');
+  }
+
+  /**
+   * Check if lighting calls must carry the active session's token
+   */
+  isEnforced() {
+    return this.database.settings.get('session_enforce') === 'true';
+  }
+
+  /**
+   * Get what happens when someone logs in while a session is active
+   * @returns {string} 'takeover' or 'reject'
+   */
+  getConcurrency() {
+    const policy = this.database.settings.get('session_concurrency');
+    return CONCURRENCY_POLICIES.includes(policy) ? policy : 'takeover';
+  }
+
+  /**
+   * Get how long a session may go without a heartbeat before it counts as abandoned (ms, 0 = never)
+   */
+  getHeartbeatTimeoutMs() {
+    return parseInt(this.database.settings.get('session_heartbeat_timeout_ms') || '90000', 10);
+  }
+
+  /**
+   * Check if a session's owner has stopped sending heartbeats
+   */
+  isStale(session) {
+    const timeoutMs = this.getHeartbeatTimeoutMs();
+    return timeoutMs > 0 && Date.now() - session.lastHeartbeat > timeoutMs;
+  }
+
+  /**
+   * Start a session, replacing the active one unless the policy rejects it
+   * @param {string} agentId - Agent taking the model
+   * @returns {Object} {session, token, replaced: the session taken over or null}
+   */
+  login(agentId) {
+    const previous = this.active;
+
+    if (previous && this.getConcurrency() === 'reject' && !this.isStale(previous)) {
+      const err = new Error(`The model is in use by ${previous.agentId}`);
+      err.code = 'SESSION_ACTIVE';
+      err.session = this.describe(previous);
+      throw err;
+    }
+
+    const replaced = previous ? this.end(this.isStale(previous) ? 'abandoned' : 'taken_over') : null;
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const session = {
+      id: crypto.randomUUID(),
+      agentId,
+      tokenHash: hashToken(token),
+      startedAt: Date.now(),
+      lastHeartbeat: Date.now()
+    };
+    this.database.sessions.create({ id: session.id, agentId, tokenHash: session.tokenHash });
+    this.active = session;
+    this.idleTimer.start(agentId);
+
+    return { session: this.describe(session), token, replaced };
+  }
+
+  /**
+   * Find the active session a token belongs to
+   * @param {string} token - Session token
+   * @returns {Object|null} The active session, or null if the token is not its
+   */
+  authenticate(token) {
+    if (!token || !this.active) return null;
+    const hash = Buffer.from(hashToken(token));
+    const expected = Buffer.from(this.active.tokenHash);
+    return crypto.timingSafeEqual(hash, expected) ? this.active : null;
+  }
+
+  /**
+   * Record that the session's owner is still there and restart the idle timer
+   * Kept in memory; the database records when sessions start and end
+   * @param {string} token - Session token
+   * @returns {Object|null} Session, or null if the token is not the active session's
+   */
+  heartbeat(token) {
+    const session = this.authenticate(token);
+    if (!session) return null;
+    session.lastHeartbeat = Date.now();
+    this.idleTimer.touch();
+    return this.describe(session);
+  }
+
+  /**
+   * End the active session
+   * @param {string} reason - logout, taken_over, abandoned or idle_timeout
+   * @returns {Object|null} The ended session, or null if none was active
+   */
+  end(reason) {
+    const session = this.active;
+    if (!session) return null;
+
+    this.active = null;
+    this.idleTimer.stop();
+    // Same format as SQLite's datetime('now')
+    const lastHeartbeatAt = new Date(session.lastHeartbeat).toISOString().replace('T', ' ').slice(0, 19);
+    this.database.sessions.end(session.id, reason, lastHeartbeatAt);
+    return { ...this.describe(session), endReason: reason };
+  }
+
+  /**
+   * Describe a session for the API (never includes the token)
+   */
+  describe(session) {
+    return {
+      id: session.id,
+      agentId: session.agentId,
+      startedAt: new Date(session.startedAt).toISOString(),
+      lastHeartbeatAt: new Date(session.lastHeartbeat).toISOString(),
+      stale: this.isStale(session)
+    };
+  }
+
+  /**
+   * Get the active session, or null
+   */
+  getActive() {
+    return this.active ? this.describe(this.active) : null;
+  }
+}
+
+module.exports = SessionManager;
+module.exports.CONCURRENCY_POLICIES = CONCURRENCY_POLICIES;
@@ -48,6 +48,88 @@ function runMigrations() {
     // Table already exists
   }
   
+  try {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS devices (
+        address INTEGER PRIMARY KEY,
+        first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+        response_count INTEGER DEFAULT 1,
+        response_data TEXT
+      )
+    `);
+  } catch (e) {
+    // Table already exists
+  }
+  
+  try {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS pseudo_address_assignments (
+        lightswarm_address INTEGER PRIMARY KEY,
+        pseudo_address INTEGER NOT NULL,
+        floorplate_id TEXT NOT NULL,
+        programmed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    db.exec('CREATE INDEX IF NOT EXISTS idx_pseudo_address_floorplate ON pseudo_address_assignments(floorplate_id)');
+  } catch (e) {
+    // Table already exists
+  }
+  
+  try {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS controllers (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        transport TEXT NOT NULL DEFAULT 'serial',
+        path TEXT,
+        baud_rate INTEGER DEFAULT 38400,
+        host TEXT,
+        port INTEGER,
+        address_ranges TEXT NOT NULL DEFAULT '[]',
+        enabled INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  } catch (e) {
+    // Table already exists
+  }
+  
+  try {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS schedule_rules (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        cron TEXT NOT NULL,
+        action TEXT NOT NULL,
+        params TEXT NOT NULL DEFAULT '{}',
+        enabled INTEGER DEFAULT 1,
+        last_run_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+  } catch (e) {
+    // Table already exists
+  }
+
+  try {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS sessions (
+        id TEXT PRIMARY KEY,
+        agent_id TEXT NOT NULL,
+        token_hash TEXT NOT NULL,
+        started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_heartbeat_at DATETIME,
+        ended_at DATETIME,
+        end_reason TEXT
+      )
+    `);
+  } catch (e) {
+    // Table already exists
+  }
+  
   try {
     db.exec('CREATE INDEX IF NOT EXISTS idx_apartment_lights_apartment ON apartment_lights(apartment_id)');
     db.exec('CREATE INDEX IF NOT EXISTS idx_apartment_lights_address ON apartment_lights(lightswarm_address)');
@@ -277,6 +359,13 @@ const floorplates = {
     return queryOne('SELECT * FROM floorplates WHERE tower_id = ? AND floor = ?', [towerId, floor]);
   },
 
+  getAllByFloor(floor, towerId = null) {
+    if (towerId) {
+      return queryAll('SELECT * FROM floorplates WHERE tower_id = ? AND floor = ? ORDER BY id', [towerId, floor]);
+    }
+    return queryAll('SELECT * FROM floorplates WHERE floor = ? ORDER BY tower_id, id', [floor]);
+  },
+
   create(id, name, towerId, floor, pseudoAddress = null) {
     return run(
       'INSERT INTO floorplates (id, name, tower_id, floor, pseudo_address) VALUES (?, ?, ?, ?, ?)',
@@ -320,6 +409,9 @@ const apartments = {
   },
 
   getByFloor(towerId, floor) {
+    if (!towerId) {
+      return apartments.getByFloorOnly(floor);
+    }
     return queryAll('SELECT * FROM apartments WHERE tower_id = ? AND floor = ? ORDER BY unit_position', [towerId, floor]);
   },
 
@@ -331,6 +423,45 @@ const apartments = {
     return queryAll('SELECT * FROM apartments WHERE floorplate_id = ? ORDER BY unit_position', [floorplateId]);
   },
 
+  /**
+   * Find apartments by attribute; every given criterion must match
+   * @param {Object} filter - {tower, unitTypes, states, unitPositions, floor: {min, max}, plotNumber: {min, max}}
+   */
+  query(filter = {}) {
+    const clauses = [];
+    const params = [];
+
+    const anyOf = (column, values) => {
+      if (!values || values.length === 0) return;
+      clauses.push(`${column} IN (${values.map(() => '?').join(', ')})`);
+      params.push(...values);
+    };
+    const between = (column, range) => {
+      if (!range) return;
+      if (range.min !== undefined) {
+        clauses.push(`${column} >= ?`);
+        params.push(range.min);
+      }
+      if (range.max !== undefined) {
+        clauses.push(`${column} <= ?`);
+        params.push(range.max);
+      }
+    };
+
+    if (filter.tower) {
+      clauses.push('tower_id = ?');
+      params.push(filter.tower);
+    }
+    anyOf('unit_type', filter.unitTypes);
+    anyOf('current_state', filter.states);
+    anyOf('unit_position', filter.unitPositions);
+    between('floor', filter.floor);
+    between('plot_number', filter.plotNumber);
+
+    const where = clauses.length > 0 ? ` WHERE ${clauses.join(' AND ')}` : '';
+    return queryAll(`SELECT * FROM apartments${where} ORDER BY tower_id, floor, unit_position`, params);
+  },
+
   create(data) {
     return run(`
       INSERT INTO apartments (id, name, lightswarm_address, tower_id, floor, floorplate_id, unit_number, current_state, hubspot_id, plot_number, unit_type, unit_position)
@@ -519,6 +650,9 @@ const amenities = {
   },
 
   getByFloor(towerId, floor) {
+    if (!towerId) {
+      return queryAll('SELECT * FROM amenities WHERE floor = ?', [floor]);
+    }
     return queryAll('SELECT * FROM amenities WHERE tower_id = ? AND floor = ?', [towerId, floor]);
   },
 
@@ -663,6 +797,201 @@ const commandLog = {
   }
 };
 
+// Pseudo address assignment operations
+const pseudoAddresses = {
+  get(lightswarmAddress) {
+    return queryOne('SELECT * FROM pseudo_address_assignments WHERE lightswarm_address = ?', [lightswarmAddress]);
+  },
+
+  getAll() {
+    return queryAll('SELECT * FROM pseudo_address_assignments ORDER BY floorplate_id, lightswarm_address');
+  },
+
+  getByFloorplate(floorplateId) {
+    return queryAll(
+      'SELECT * FROM pseudo_address_assignments WHERE floorplate_id = ? ORDER BY lightswarm_address',
+      [floorplateId]
+    );
+  },
+
+  getMembers(pseudoAddress) {
+    const rows = queryAll(
+      'SELECT lightswarm_address FROM pseudo_address_assignments WHERE pseudo_address = ? ORDER BY lightswarm_address',
+      [pseudoAddress]
+    );
+    return rows.map(r => r.lightswarm_address);
+  },
+
+  set(lightswarmAddress, pseudoAddress, floorplateId) {
+    return run(`
+      INSERT INTO pseudo_address_assignments (lightswarm_address, pseudo_address, floorplate_id, programmed_at)
+      VALUES (?, ?, ?, datetime('now'))
+      ON CONFLICT(lightswarm_address) DO UPDATE SET 
+        pseudo_address = ?, floorplate_id = ?, programmed_at = datetime('now')
+    `, [lightswarmAddress, pseudoAddress, floorplateId, pseudoAddress, floorplateId]);
+  },
+
+  remove(lightswarmAddress) {
+    return run('DELETE FROM pseudo_address_assignments WHERE lightswarm_address = ?', [lightswarmAddress]);
+  }
+};
+
+// Discovered devices operations
+const devices = {
+  getAll() {
+    return queryAll('SELECT * FROM devices ORDER BY address');
+  },
+
+  getInRange(startAddress, endAddress) {
+    return queryAll(
+      'SELECT * FROM devices WHERE address BETWEEN ? AND ? ORDER BY address',
+      [startAddress, endAddress]
+    );
+  },
+
+  markSeen(address, responseData = null) {
+    return run(`
+      INSERT INTO devices (address, first_seen, last_seen, response_count, response_data)
+      VALUES (?, datetime('now'), datetime('now'), 1, ?)
+      ON CONFLICT(address) DO UPDATE SET 
+        last_seen = datetime('now'), response_count = response_count + 1, response_data = ?
+    `, [address, responseData ? JSON.stringify(responseData) : null, responseData ? JSON.stringify(responseData) : null]);
+  },
+
+  delete(address) {
+    return run('DELETE FROM devices WHERE address = ?', [address]);
+  },
+
+  deleteAll() {
+    return run('DELETE FROM devices');
+  }
+};
+
+// Controller operations
+const controllers = {
+  get(id) {
+    return queryOne('SELECT * FROM controllers WHERE id = ?', [id]);
+  },
+
+  getAll() {
+    return queryAll('SELECT * FROM controllers ORDER BY id');
+  },
+
+  getEnabled() {
+    return queryAll('SELECT * FROM controllers WHERE enabled = 1 ORDER BY id');
+  },
+
+  create(data) {
+    return run(`
+      INSERT INTO controllers (id, name, transport, path, baud_rate, host, port, address_ranges, enabled)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      data.id,
+      data.name,
+      data.transport || 'serial',
+      data.path || null,
+      data.baudRate || 38400,
+      data.host || null,
+      data.port || null,
+      JSON.stringify(data.addressRanges || []),
+      data.enabled === false ? 0 : 1
+    ]);
+  },
+
+  update(id, data) {
+    const controller = controllers.get(id);
+    if (!controller) return { changes: 0 };
+
+    return run(`
+      UPDATE controllers SET
+        name = ?,
+        transport = ?,
+        path = ?,
+        baud_rate = ?,
+        host = ?,
+        port = ?,
+        address_ranges = ?,
+        enabled = ?,
+        updated_at = datetime('now')
+      WHERE id = ?
+    `, [
+      data.name !== undefined ? data.name : controller.name,
+      data.transport !== undefined ? data.transport : controller.transport,
+      data.path !== undefined ? data.path : controller.path,
+      data.baudRate !== undefined ? data.baudRate : controller.baud_rate,
+      data.host !== undefined ? data.host : controller.host,
+      data.port !== undefined ? data.port : controller.port,
+      data.addressRanges !== undefined ? JSON.stringify(data.addressRanges) : controller.address_ranges,
+      data.enabled !== undefined ? (data.enabled ? 1 : 0) : controller.enabled,
+      id
+    ]);
+  },
+
+  delete(id) {
+    return run('DELETE FROM controllers WHERE id = ?', [id]);
+  }
+};
+
+// Schedule rule operations
+const scheduleRules = {
+  get(id) {
+    return queryOne('SELECT * FROM schedule_rules WHERE id = ?', [id]);
+  },
+
+  getAll() {
+    return queryAll('SELECT * FROM schedule_rules ORDER BY id');
+  },
+
+  getEnabled() {
+    return queryAll('SELECT * FROM schedule_rules WHERE enabled = 1 ORDER BY id');
+  },
+
+  create(data) {
+    return run(`
+      INSERT INTO schedule_rules (id, name, cron, action, params, enabled)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [
+      data.id,
+      data.name,
+      data.cron,
+      data.action,
+      JSON.stringify(data.params || {}),
+      data.enabled === false ? 0 : 1
+    ]);
+  },
+
+  update(id, data) {
+    const rule = scheduleRules.get(id);
+    if (!rule) return { changes: 0 };
+
+    return run(`
+      UPDATE schedule_rules SET
+        name = ?,
+        cron = ?,
+        action = ?,
+        params = ?,
+        enabled = ?,
+        updated_at = datetime('now')
+      WHERE id = ?
+    `, [
+      data.name !== undefined ? data.name : rule.name,
+      data.cron !== undefined ? data.cron : rule.cron,
+      data.action !== undefined ? data.action : rule.action,
+      data.params !== undefined ? JSON.stringify(data.params) : rule.params,
+      data.enabled !== undefined ? (data.enabled ? 1 : 0) : rule.enabled,
+      id
+    ]);
+  },
+
+  markRun(id) {
+    return run(`UPDATE schedule_rules SET last_run_at = datetime('now') WHERE id = ?`, [id]);
+  },
+
+  delete(id) {
+    return run('DELETE FROM schedule_rules WHERE id = ?', [id]);
+  }
+};
+
 // Session log operations
 const sessionLog = {
   add(eventType, agentId = null, details = null) {
@@ -677,6 +1006,30 @@ const sessionLog = {
   }
 };
 
+// Agent session operations
+const sessions = {
+  create(data) {
+    return run(`
+      INSERT INTO sessions (id, agent_id, token_hash, last_heartbeat_at)
+      VALUES (?, ?, ?, datetime('now'))
+    `, [data.id, data.agentId, data.tokenHash]);
+  },
+
+  end(id, reason, lastHeartbeatAt = null) {
+    return run(`
+      UPDATE sessions SET
+        ended_at = datetime('now'),
+        end_reason = ?,
+        last_heartbeat_at = COALESCE(?, last_heartbeat_at)
+      WHERE id = ? AND ended_at IS NULL
+    `, [reason, lastHeartbeatAt, id]);
+  },
+
+  endOpen(reason) {
+    return run(`UPDATE sessions SET ended_at = datetime('now'), end_reason = ? WHERE ended_at IS NULL`, [reason]);
+  }
+};
+
 module.exports = {
   initialize,
   initializeSync,
@@ -691,5 +1044,10 @@ module.exports = {
   amenities,
   animationSequences,
   commandLog,
-  sessionLog
+  pseudoAddresses,
+  devices,
+  controllers,
+  scheduleRules,
+  sessionLog,
+  sessions
 };
@@ -117,6 +117,62 @@ CREATE TABLE IF NOT EXISTS session_log (
     details TEXT
 );
 
+-- Devices seen on the bus (populated by ping discovery)
+CREATE TABLE IF NOT EXISTS devices (
+    address INTEGER PRIMARY KEY,
+    first_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_seen DATETIME DEFAULT CURRENT_TIMESTAMP,
+    response_count INTEGER DEFAULT 1,
+    response_data TEXT
+);
+
+-- LightSwarm controllers and the address ranges each one drives
+CREATE TABLE IF NOT EXISTS controllers (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    transport TEXT NOT NULL DEFAULT 'serial',
+    path TEXT,
+    baud_rate INTEGER DEFAULT 38400,
+    host TEXT,
+    port INTEGER,
+    address_ranges TEXT NOT NULL DEFAULT '[]',
+    enabled INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Pseudo addresses programmed into lights (one floorplate group per light)
+CREATE TABLE IF NOT EXISTS pseudo_address_assignments (
+    lightswarm_address INTEGER PRIMARY KEY,
+    pseudo_address INTEGER NOT NULL,
+    floorplate_id TEXT NOT NULL,
+    programmed_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Agent sessions; the one without ended_at owns the model
+CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    agent_id TEXT NOT NULL,
+    token_hash TEXT NOT NULL,
+    started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_heartbeat_at DATETIME,
+    ended_at DATETIME,
+    end_reason TEXT
+);
+
+-- Time-of-day rules for ambient, shows, dimming and blackout
+CREATE TABLE IF NOT EXISTS schedule_rules (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    cron TEXT NOT NULL,
+    action TEXT NOT NULL,
+    params TEXT NOT NULL DEFAULT '{}',
+    enabled INTEGER DEFAULT 1,
+    last_run_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Indexes for performance
 CREATE INDEX IF NOT EXISTS idx_apartments_tower ON apartments(tower_id);
 CREATE INDEX IF NOT EXISTS idx_apartments_floor ON apartments(floor);
@@ -127,23 +183,42 @@ CREATE INDEX IF NOT EXISTS idx_amenities_floor ON amenities(floor);
 CREATE INDEX IF NOT EXISTS idx_command_log_timestamp ON command_log(timestamp);
 CREATE INDEX IF NOT EXISTS idx_command_log_source ON command_log(source);
 CREATE INDEX IF NOT EXISTS idx_session_log_timestamp ON session_log(timestamp);
+CREATE INDEX IF NOT EXISTS idx_sessions_started ON sessions(started_at);
 CREATE INDEX IF NOT EXISTS idx_apartment_lights_apartment ON apartment_lights(apartment_id);
 CREATE INDEX IF NOT EXISTS idx_apartment_lights_address ON apartment_lights(lightswarm_address);
 CREATE INDEX IF NOT EXISTS idx_apartments_plot ON apartments(plot_number);
 CREATE INDEX IF NOT EXISTS idx_apartments_hubspot ON apartments(hubspot_id);
+CREATE INDEX IF NOT EXISTS idx_pseudo_address_floorplate ON pseudo_address_assignments(floorplate_id);
 
 -- Insert default settings
 INSERT OR IGNORE INTO settings (key, value, description) VALUES
     ('com_port', '/dev/ttyUSB0', 'Serial port path for LightSwarm connection'),
     ('baud_rate', '38400', 'Serial baud rate'),
+    ('transport_type', 'serial', 'Controller transport: serial, tcp or udp'),
+    ('network_host', '127.0.0.1', 'Host of the Ethernet-to-serial bridge (tcp/udp transports)'),
+    ('network_port', '4001', 'Port of the Ethernet-to-serial bridge (tcp/udp transports)'),
     ('default_fade_time_ms', '500', 'Default fade time in milliseconds'),
     ('default_intensity', '200', 'Default LED intensity (0-255)'),
     ('simulation_mode', 'false', 'Enable simulation mode (no hardware communication)'),
+    ('simulator_frame_interval_ms', '0', 'Emit simulator light updates every N ms during fades and flashes (0 = off)'),
     ('ambient_enabled', 'true', 'Enable ambient animation when idle'),
     ('ambient_sequence_id', 'default_ambient', 'ID of the ambient animation sequence'),
+    ('animation_bandwidth_bytes_per_sec', '2400', 'Bus bandwidth animations may use; frame rate drops when exceeded (38400 baud is about 3840 bytes/s)'),
+    ('animation_crossfade_ms', '1000', 'Crossfade time when the running sequence changes (0 cuts straight over)'),
+    ('layer_hold_states', 'SOLD,RESERVED,UNAVAILABLE', 'Apartment states that animations on the effect layer do not paint over'),
+    ('layer_highlight_states', 'SELECTED', 'Apartment states placed on the highlight layer above animations'),
     ('login_fade_delay_ms', '100', 'Delay between floors during login fade-down'),
+    ('session_idle_timeout_ms', '600000', 'End an agent session after this long without a lighting call and return to ambient (0 = never)'),
+    ('session_idle_warning_ms', '60000', 'Warn this long before an idle session ends'),
+    ('session_concurrency', 'takeover', 'A login while another session is active: takeover ends it, reject refuses until its heartbeats stop'),
+    ('session_heartbeat_timeout_ms', '90000', 'A session without a heartbeat for this long can be taken over even under reject (0 = never)'),
+    ('session_enforce', 'false', 'Require the active session token (X-Session-Token) on lighting calls'),
     ('api_port', '3000', 'REST API server port'),
-    ('log_retention_days', '30', 'Days to retain command logs');
+    ('elevation_update_interval_ms', '100', 'Minimum time between live elevation view updates'),
+    ('log_retention_days', '30', 'Days to retain command logs'),
+    ('discovery_start_address', '1', 'First address pinged by device discovery'),
+    ('discovery_end_address', '512', 'Last address pinged by device discovery'),
+    ('discovery_timeout_ms', '1000', 'Time to wait for ping responses after the last request');
 
 -- Insert default state colors
 INSERT OR IGNORE INTO state_colors (state_name, red, green, blue, intensity, description) VALUES
@@ -157,4 +232,6 @@ INSERT OR IGNORE INTO state_colors (state_name, red, green, blue, intensity, des
 -- Insert default ambient sequence
 INSERT OR IGNORE INTO animation_sequences (id, name, description, sequence_data, is_ambient_default) VALUES
     ('default_ambient', 'Default Ambient', 'All lights on at reduced brightness', 
-     '{"type":"static","steps":[{"command":"all_on","intensity":100,"color":{"r":255,"g":255,"b":255}}]}', 1);
+     '{"type":"static","steps":[{"command":"all_on","intensity":100,"color":{"r":255,"g":255,"b":255}}]}', 1),
+    ('availability_ambient', 'Availability Ambient', 'Every unit in its live sales state color, available units breathing gently',
+     '{"type":"state_display","motion":"breathe","motionStates":["AVAILABLE"],"motionDepth":0.35,"motionPeriod":4000}', 0);
@@ -30,6 +30,8 @@ let server = null;
 let serialConnection = null;
 let animationEngine = null;
 let simulator = null;
+let packetCapture = null;
+let scheduler = null;
 
 /**
  * Initialize all services
@@ -43,34 +45,48 @@ async function initialize() {
   console.log('      Database initialized');
 
   const simulationMode = process.env.SIMULATION_MODE === 'true' || database.settings.get('simulation_mode') === 'true';
-  const comPort = database.settings.get('com_port') || '/dev/ttyUSB0';
-  const baudRate = parseInt(database.settings.get('baud_rate') || '38400', 10);
+  const controllers = mdp.ControllerRouter.definitionsFromDatabase(database);
 
   console.log('\n[2/5] Initializing serial connection...');
-  console.log(`      Port: ${comPort}, Baud: ${baudRate}`);
+  for (const controller of controllers) {
+    const endpoint = controller.transport === 'serial'
+      ? `Port: ${controller.path}, Baud: ${controller.baudRate}`
+      : `Transport: ${controller.transport.toUpperCase()} ${controller.host}:${controller.port}`;
+    const ranges = controller.addressRanges.map(r => `${r.start}-${r.end}`).join(', ') || 'all';
+    console.log(`      [${controller.id}] ${endpoint}, Addresses: ${ranges}`);
+  }
   console.log(`      Simulation Mode: ${simulationMode}`);
   
-  serialConnection = new mdp.SerialConnection({
-    path: comPort,
-    baudRate: baudRate,
-    simulationMode: simulationMode,
-    autoOpen: false
-  });
+  serialConnection = new mdp.ControllerRouter({ simulationMode });
+  await serialConnection.load(controllers);
+
+  serialConnection.lightState.setGroupResolver(address => database.pseudoAddresses.getMembers(address));
 
   serialConnection.on('log', ({ level, message }) => {
     console.log(`      [Serial ${level.toUpperCase()}] ${message}`);
   });
 
-  serialConnection.on('sent', ({ data, simulated }) => {
+  serialConnection.on('sent', ({ data, simulated, controllerId }) => {
     const hex = mdp.packetToHex(data);
     database.commandLog.add({
       source: 'serial',
       commandType: 'send',
-      requestData: { hex, simulated },
+      requestData: { hex, simulated, controllerId },
       success: true
     });
   });
 
+  serialConnection.on('packet', (packet) => {
+    database.commandLog.add({
+      source: 'serial',
+      commandType: 'receive',
+      targetAddress: packet.address,
+      requestData: { command: packet.commandName, data: packet.data, controllerId: packet.controllerId },
+      success: packet.checksumValid,
+      errorMessage: packet.checksumValid ? null : 'Checksum mismatch'
+    });
+  });
+
   try {
     await serialConnection.connect();
     console.log('      Serial connection established');
@@ -78,7 +94,7 @@ async function initialize() {
     console.warn(`      Serial connection failed: ${err.message}`);
     console.warn('      Running in simulation mode');
     serialConnection.setSimulationMode(true);
-    serialConnection.isOpen = true;
+    await serialConnection.connect();
   }
 
   console.log('\n[3/5] Initializing simulator...');
@@ -86,6 +102,7 @@ async function initialize() {
   simulator.initializeFromDatabase(database);
   const simEnabled = serialConnection.simulationMode;
   simulator.setEnabled(simEnabled);
+  simulator.setFrameInterval(parseInt(database.settings.get('simulator_frame_interval_ms') || '0', 10));
   console.log(`      Simulator initialized (${simulator.getStats().totalLights} lights, enabled: ${simEnabled})`);
 
   serialConnection.on('sent', ({ data }) => {
@@ -98,6 +115,7 @@ async function initialize() {
   const { createServer } = require('./api/server');
   const { server: httpServer, app, io } = await createServer(serialConnection, { simulator });
   server = httpServer;
+  packetCapture = app.locals.capture;
   
   const port = parseInt(process.env.PORT || database.settings.get('api_port') || '3000', 10);
   console.log(`      PORT env: ${process.env.PORT}, Using port: ${port}`);
@@ -116,7 +134,33 @@ async function initialize() {
   console.log('\n[5/5] Initializing animation engine...');
   const AnimationEngine = require('./animation/ambient');
   animationEngine = new AnimationEngine(serialConnection, database);
+  animationEngine.setCompositor(app.locals.compositor);
+  require('./api/routes/session').setAnimationEngine(animationEngine);
+  animationEngine.on('throttled', ({ throttled, targetMs, intervalMs, bytesPerSecond }) => {
+    if (throttled) {
+      console.warn(`Animation over bus budget (${bytesPerSecond} B/s): frame interval ${targetMs} -> ${intervalMs} ms`);
+    } else {
+      console.log(`Animation back to ${targetMs} ms frames`);
+    }
+  });
   
+  const ShowPlayer = require('./animation/show-player');
+  app.locals.shows = new ShowPlayer(animationEngine, database);
+  app.locals.shows.on('status', (status) => io.emit('show_status', status));
+
+  // An idle session ends as if the agent logged out
+  const idleTimer = app.locals.idleTimer;
+  idleTimer.on('warning', ({ agentId, remainingMs }) => {
+    io.emit('session_event', { type: 'idle_warning', agentId, remainingMs, timestamp: new Date().toISOString() });
+  });
+  idleTimer.on('timeout', ({ agentId, idleMs }) => {
+    console.log(`      Session idle for ${Math.round(idleMs / 1000)} s, returning to ambient`);
+    database.sessionLog.add('logout', agentId, { reason: 'idle_timeout', idleMs });
+    io.emit('session_event', { type: 'logout', reason: 'idle_timeout', agentId, timestamp: new Date().toISOString() });
+    scheduler.resumeAmbient()
+      .catch(err => console.error('Error starting ambient animation after idle timeout:', err));
+  });
+
   const ambientEnabled = database.settings.get('ambient_enabled') === 'true';
   if (ambientEnabled) {
     animationEngine.startAmbient();
@@ -125,6 +169,23 @@ async function initialize() {
     console.log('      Ambient animation disabled');
   }
 
+  const Scheduler = require('./animation/scheduler');
+  scheduler = new Scheduler({
+    engine: animationEngine,
+    shows: app.locals.shows,
+    compositor: app.locals.compositor,
+    serial: serialConnection,
+    database,
+    sessions: app.locals.sessions
+  });
+  app.locals.scheduler = scheduler;
+  scheduler.on('fired', (event) => {
+    console.log(`      Schedule: ${event.name} (${event.action}, ${event.trigger})${event.error ? ` failed: ${event.error}` : ''}`);
+    io.emit('schedule_fired', event);
+  });
+  await scheduler.start();
+  console.log(`      Scheduler started (${database.scheduleRules.getEnabled().length} rules)`);
+
   console.log('\n' + '='.repeat(50));
   console.log('Middleware initialized successfully!');
   console.log(`API Documentation: http://localhost:${port}/api/docs`);
@@ -147,6 +208,10 @@ async function initialize() {
 async function shutdown() {
   console.log('\nShutting down...');
 
+  if (scheduler) {
+    scheduler.stop();
+  }
+
   if (animationEngine) {
     animationEngine.stop();
   }
@@ -155,6 +220,10 @@ async function shutdown() {
     server.close();
   }
 
+  if (packetCapture) {
+    await packetCapture.stop();
+  }
+
   if (serialConnection) {
     await serialConnection.close();
   }
@@ -0,0 +1,315 @@
+/**
+ * Packet Capture
+ * Records every outgoing and incoming frame with high-resolution timestamps
+ * to a JSON Lines file, and replays captures with their original timing
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const slip = require('./slip');
+const protocol = require('./protocol');
+
+const CAPTURE_VERSION = 1;
+const DEFAULT_CAPTURE_DIR = path.join(__dirname, '../../data/captures');
+
+/**
+ * Milliseconds elapsed since an hrtime origin, to microsecond precision
+ */
+function elapsedMs(origin) {
+  return Math.round(Number(process.hrtime.bigint() - origin) / 1000) / 1000;
+}
+
+/**
+ * Rebuild the SLIP-encoded frame of a received packet
+ */
+function encodeReceived(packet) {
+  return slip.encode([
+    (packet.address >> 8) & 0xFF,
+    packet.address & 0xFF,
+    packet.command,
+    ...packet.data,
+    packet.checksum
+  ]);
+}
+
+class PacketCapture extends EventEmitter {
+  /**
+   * @param {Object} connection - SerialConnection or ControllerRouter to record
+   * @param {Object} options - {directory}
+   */
+  constructor(connection, options = {}) {
+    super();
+    this.connection = connection;
+    this.directory = options.directory || DEFAULT_CAPTURE_DIR;
+    this.stream = null;
+    this.file = null;
+    this.origin = null;
+    this.startedAt = null;
+    this.counts = { tx: 0, rx: 0 };
+
+    this.onSent = (event) => this.record('tx', event.data, event.controllerId);
+    this.onPacket = (packet) => this.record('rx', encodeReceived(packet), packet.controllerId);
+  }
+
+  /**
+   * Check if a capture is being recorded
+   */
+  isRecording() {
+    return this.stream !== null;
+  }
+
+  /**
+   * Start recording to a new capture file
+   * @param {Object} options - {name: file name without extension}
+   * @returns {Object} Capture status
+   * @throws {Error} If the capture file cannot be created (code EEXIST if the name is taken)
+   */
+  start(options = {}) {
+    if (this.stream) {
+      throw new Error('Capture already running');
+    }
+
+    fs.mkdirSync(this.directory, { recursive: true });
+
+    const name = (options.name || `capture-${new Date().toISOString().replace(/[:.]/g, '-')}`)
+      .replace(/[^a-zA-Z0-9_-]/g, '_');
+    this.file = path.join(this.directory, `${name}.jsonl`);
+    // Open now so a name clash or permission error reaches the caller
+    const fd = fs.openSync(this.file, 'wx');
+    this.stream = fs.createWriteStream(this.file, { fd });
+    this.stream.on('error', (err) => {
+      if (this.listenerCount('error') > 0) {
+        this.emit('error', err);
+      }
+      this.stop();
+    });
+
+    this.origin = process.hrtime.bigint();
+    this.startedAt = new Date().toISOString();
+    this.counts = { tx: 0, rx: 0 };
+
+    this.stream.write(JSON.stringify({ type: 'header', version: CAPTURE_VERSION, startedAt: this.startedAt }) + '\n');
+
+    this.connection.on('sent', this.onSent);
+    this.connection.on('packet', this.onPacket);
+    this.emit('started', this.getStatus());
+
+    return this.getStatus();
+  }
+
+  /**
+   * Append one frame to the capture
+   * @param {string} direction - 'tx' or 'rx'
+   * @param {Buffer} data - SLIP-encoded frame
+   * @param {string} controllerId - Controller the frame went through
+   */
+  record(direction, data, controllerId = null) {
+    if (!this.stream) return;
+
+    const entry = {
+      t: elapsedMs(this.origin),
+      dir: direction,
+      hex: protocol.packetToHex(data)
+    };
+    if (controllerId) {
+      entry.controller = controllerId;
+    }
+
+    this.counts[direction]++;
+    this.stream.write(JSON.stringify(entry) + '\n');
+  }
+
+  /**
+   * Stop recording and close the capture file
+   * @returns {Promise<Object>} Summary of the finished capture
+   */
+  async stop() {
+    if (!this.stream) {
+      return null;
+    }
+
+    this.connection.removeListener('sent', this.onSent);
+    this.connection.removeListener('packet', this.onPacket);
+
+    const stream = this.stream;
+    const summary = {
+      file: path.basename(this.file),
+      startedAt: this.startedAt,
+      durationMs: elapsedMs(this.origin),
+      frames: { ...this.counts }
+    };
+    this.stream = null;
+
+    await new Promise(resolve => stream.end(resolve));
+    this.emit('stopped', summary);
+    return summary;
+  }
+
+  /**
+   * List capture files in the capture directory
+   * @returns {Object[]} [{file, size, modifiedAt}]
+   */
+  listFiles() {
+    if (!fs.existsSync(this.directory)) {
+      return [];
+    }
+
+    return fs.readdirSync(this.directory)
+      .filter(f => f.endsWith('.jsonl'))
+      .map(f => {
+        const stat = fs.statSync(path.join(this.directory, f));
+        return { file: f, size: stat.size, modifiedAt: stat.mtime.toISOString() };
+      })
+      .sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+  }
+
+  /**
+   * Resolve a capture file name inside the capture directory
+   * @param {string} file - File name as returned by listFiles()
+   * @returns {string|null} Absolute path, or null if it does not exist
+   */
+  resolveFile(file) {
+    const resolved = path.join(this.directory, path.basename(String(file)));
+    return fs.existsSync(resolved) ? resolved : null;
+  }
+
+  /**
+   * Get capture status
+   */
+  getStatus() {
+    return {
+      recording: this.isRecording(),
+      file: this.stream ? path.basename(this.file) : null,
+      startedAt: this.stream ? this.startedAt : null,
+      frames: { ...this.counts }
+    };
+  }
+}
+
+/**
+ * Read a capture file
+ * @param {string} file - Path to a .jsonl capture
+ * @returns {Object} {header, records: [{t, dir, hex, controller, data: Buffer}]}
+ */
+function readCapture(file) {
+  const lines = fs.readFileSync(file, 'utf8').split('\n').filter(line => line.trim());
+  if (lines.length === 0) {
+    throw new Error('Capture file is empty');
+  }
+
+  const header = JSON.parse(lines[0]);
+  if (header.type !== 'header' || header.version !== CAPTURE_VERSION) {
+    throw new Error('Not a packet capture file');
+  }
+
+  const records = lines.slice(1).map((line, i) => {
+    const record = JSON.parse(line);
+    if (typeof record.t !== 'number' || !record.hex) {
+      throw new Error(`Invalid capture record on line ${i + 2}`);
+    }
+    return {
+      ...record,
+      data: Buffer.from(record.hex.split(' ').map(b => parseInt(b, 16)))
+    };
+  });
+
+  return { header, records };
+}
+
+class CaptureReplay extends EventEmitter {
+  /**
+   * @param {Object[]} records - Records from readCapture()
+   * @param {Function} sink - (data: Buffer, record) => void, called for each outgoing frame
+   * @param {Object} options - {speed: playback rate multiplier}
+   */
+  constructor(records, sink, options = {}) {
+    super();
+    this.records = records.filter(r => r.dir === 'tx');
+    this.sink = sink;
+    this.speed = options.speed > 0 ? options.speed : 1;
+    this.running = false;
+    this.sent = 0;
+    this.timer = null;
+    this.wake = null;
+  }
+
+  /**
+   * Replay every outgoing frame at its recorded offset
+   * @returns {Promise<Object>} {sent, total, stopped}; rejects if the sink throws
+   */
+  async start() {
+    if (this.running) {
+      throw new Error('Replay already running');
+    }
+
+    this.running = true;
+    this.sent = 0;
+    const origin = process.hrtime.bigint();
+    const firstT = this.records.length > 0 ? this.records[0].t : 0;
+    this.emit('started', { total: this.records.length, speed: this.speed });
+
+    try {
+      for (const record of this.records) {
+        const dueMs = (record.t - firstT) / this.speed;
+        const waitMs = dueMs - elapsedMs(origin);
+        if (waitMs > 0) {
+          await this.delay(waitMs);
+        }
+        if (!this.running) break;
+
+        this.sink(record.data, record);
+        this.sent++;
+        this.emit('frame', { index: this.sent, t: record.t });
+      }
+    } catch (err) {
+      this.running = false;
+      throw err;
+    }
+
+    const stopped = !this.running;
+    this.running = false;
+    const result = { sent: this.sent, total: this.records.length, stopped };
+    this.emit('completed', result);
+    return result;
+  }
+
+  /**
+   * Abort a running replay
+   */
+  stop() {
+    this.running = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+      this.wake();
+    }
+  }
+
+  /**
+   * Wait that can be cut short by stop()
+   */
+  delay(ms) {
+    return new Promise(resolve => {
+      this.wake = resolve;
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        resolve();
+      }, ms);
+    });
+  }
+
+  /**
+   * Get replay progress
+   */
+  getStatus() {
+    return { running: this.running, sent: this.sent, total: this.records.length, speed: this.speed };
+  }
+}
+
+module.exports = {
+  CAPTURE_VERSION,
+  PacketCapture,
+  CaptureReplay,
+  readCapture
+};
@@ -0,0 +1,174 @@
+/**
+ * Command Queue
+ * Priority queue for outgoing packets with per-address coalescing and latency metrics
+ */
+
+const slip = require('./slip');
+const protocol = require('./protocol');
+const { MDP_COMMANDS } = require('./commands');
+
+// Highest priority first
+const PRIORITIES = ['interactive', 'session', 'ambient', 'diagnostic'];
+const DEFAULT_PRIORITY = 'interactive';
+
+// Commands whose effect is fully replaced by a newer command of the same type
+const COALESCABLE_COMMANDS = new Set([
+  MDP_COMMANDS.PING_REQ,
+  MDP_COMMANDS.ON,
+  MDP_COMMANDS.OFF,
+  MDP_COMMANDS.LEVEL,
+  MDP_COMMANDS.FADE,
+  MDP_COMMANDS.RGB_LEVEL,
+  MDP_COMMANDS.FLASH,
+  MDP_COMMANDS.RGB_FLASH,
+  MDP_COMMANDS.RGB_FADE
+]);
+
+const LATENCY_SAMPLES = 200;
+
+/**
+ * Get the coalescing key for a packet (address + command), or null if it must always be sent
+ * @param {Buffer} packet - SLIP-encoded packet
+ * @returns {string|null}
+ */
+function coalesceKey(packet) {
+  const frame = protocol.decodeFrame(slip.decode(packet));
+  if (!frame || !frame.checksumValid || !COALESCABLE_COMMANDS.has(frame.command)) {
+    return null;
+  }
+  return `${frame.address}:${frame.command}`;
+}
+
+class CommandQueue {
+  constructor() {
+    this.queues = Object.fromEntries(PRIORITIES.map(p => [p, []]));
+    this.pending = new Map();
+    this.counters = { enqueued: 0, sent: 0, coalesced: 0 };
+    this.latencies = Object.fromEntries(PRIORITIES.map(p => [p, []]));
+  }
+
+  /**
+   * Resolve a priority name, falling back to the default
+   */
+  static normalizePriority(priority) {
+    return PRIORITIES.includes(priority) ? priority : DEFAULT_PRIORITY;
+  }
+
+  /**
+   * Add a packet to the queue
+   * A queued packet for the same address and command is dropped in favour of this one.
+   * If the dropped packet had a higher priority, this one takes its place in that
+   * queue, so an agent's change is never pushed back behind lower priority traffic.
+   * @param {Object} entry - {data, resolve, reject, coalesce: false to always send it}
+   * @param {string} priority - One of PRIORITIES
+   */
+  enqueue(entry, priority = DEFAULT_PRIORITY) {
+    const item = {
+      ...entry,
+      priority: CommandQueue.normalizePriority(priority),
+      key: entry.coalesce === false ? null : coalesceKey(entry.data),
+      enqueuedAt: process.hrtime.bigint()
+    };
+    let replaced = false;
+
+    if (item.key && this.pending.has(item.key)) {
+      const superseded = this.pending.get(item.key);
+      const queue = this.queues[superseded.priority];
+      const index = queue.indexOf(superseded);
+      if (PRIORITIES.indexOf(superseded.priority) < PRIORITIES.indexOf(item.priority)) {
+        item.priority = superseded.priority;
+        queue.splice(index, 1, item);
+        replaced = true;
+      } else {
+        queue.splice(index, 1);
+      }
+      this.counters.coalesced++;
+      superseded.resolve({ coalesced: true });
+    }
+
+    if (!replaced) {
+      this.queues[item.priority].push(item);
+    }
+    if (item.key) {
+      this.pending.set(item.key, item);
+    }
+    this.counters.enqueued++;
+  }
+
+  /**
+   * Take the next packet, highest priority first
+   * @returns {Object|null} Queue entry
+   */
+  shift() {
+    for (const priority of PRIORITIES) {
+      const item = this.queues[priority].shift();
+      if (item) {
+        if (item.key && this.pending.get(item.key) === item) {
+          this.pending.delete(item.key);
+        }
+        return item;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Record that an entry has been written to the wire
+   */
+  markSent(item) {
+    this.counters.sent++;
+    const latencyMs = Number(process.hrtime.bigint() - item.enqueuedAt) / 1e6;
+    const samples = this.latencies[item.priority];
+    samples.push(latencyMs);
+    if (samples.length > LATENCY_SAMPLES) {
+      samples.shift();
+    }
+  }
+
+  /**
+   * Total number of queued packets
+   */
+  get length() {
+    return PRIORITIES.reduce((sum, p) => sum + this.queues[p].length, 0);
+  }
+
+  /**
+   * Reject and drop everything queued
+   * @param {Error} err - Error passed to each pending sender
+   */
+  clear(err) {
+    for (const priority of PRIORITIES) {
+      for (const item of this.queues[priority]) {
+        item.reject(err);
+      }
+      this.queues[priority] = [];
+    }
+    this.pending.clear();
+  }
+
+  /**
+   * Get queue depth and latency metrics per priority class
+   */
+  getStats() {
+    const classes = {};
+    for (const priority of PRIORITIES) {
+      const samples = this.latencies[priority];
+      const avg = samples.length > 0 ? samples.reduce((a, b) => a + b, 0) / samples.length : null;
+      classes[priority] = {
+        depth: this.queues[priority].length,
+        avgLatencyMs: avg !== null ? Math.round(avg * 10) / 10 : null,
+        maxLatencyMs: samples.length > 0 ? Math.round(Math.max(...samples) * 10) / 10 : null
+      };
+    }
+
+    return {
+      depth: this.length,
+      ...this.counters,
+      classes
+    };
+  }
+}
+
+CommandQueue.PRIORITIES = PRIORITIES;
+
+module.exports = CommandQueue;
@@ -33,6 +33,19 @@ const MDP_COMMANDS = {
 const BROADCAST_ADDRESS = 0xFFFF;
 const MASTER_ADDRESS = 0xFFFE;
 
+const COMMAND_NAMES = Object.fromEntries(
+  Object.entries(MDP_COMMANDS).map(([name, code]) => [code, name])
+);
+
+/**
+ * Look up the MDP command name for a command byte
+ * @param {number} command - Command byte
+ * @returns {string} Command name, or UNKNOWN_xx for unrecognised bytes
+ */
+function getCommandName(command) {
+  return COMMAND_NAMES[command] || `UNKNOWN_${command.toString(16).padStart(2, '0').toUpperCase()}`;
+}
+
 /**
  * Convert a 16-bit address to a 2-byte array
  * @param {number} address - 16-bit address (0-65535)
@@ -54,6 +67,15 @@ function bytesToAddress(bytes) {
   return (bytes[0] << 8) | bytes[1];
 }
 
+/**
+ * Build MDP_PING_REQ command - Ask a channel to answer with PING_RESP
+ * @param {number} address - Channel address
+ * @returns {number[]} Command bytes
+ */
+function buildPingRequestCommand(address) {
+  return [...addressToBytes(address), MDP_COMMANDS.PING_REQ];
+}
+
 /**
  * Build MDP_ON command - Turn channel fully on
  * @param {number} address - Channel address
@@ -177,6 +199,41 @@ function buildFlashCommand(address, levelA, levelB, flashSteps, intervalA, inter
   ];
 }
 
+/**
+ * Build MDP_RGB_FLASH command - Flash between two RGB colors
+ * Same layout as MDP_FLASH with a colour triple in place of each level
+ * @param {number} address - Channel address
+ * @param {Object} colorA - First {r, g, b} color (0-255 each)
+ * @param {Object} colorB - Second {r, g, b} color (0-255 each)
+ * @param {number} flashSteps - Number of flash steps (2-65535, use 65535 for indefinite)
+ * @param {number} intervalA - Time at color A in 1/100 seconds
+ * @param {number} intervalB - Time at color B in 1/100 seconds
+ * @returns {number[]} Command bytes
+ */
+function buildRgbFlashCommand(address, colorA, colorB, flashSteps, intervalA, intervalB) {
+  const clamp = (val, min, max) => Math.max(min, Math.min(max, Math.round(val)));
+  const steps = clamp(flashSteps, 2, 65535);
+  const intA = clamp(intervalA, 1, 65535);
+  const intB = clamp(intervalB, 1, 65535);
+
+  return [
+    ...addressToBytes(address),
+    MDP_COMMANDS.RGB_FLASH,
+    (steps >> 8) & 0xFF,
+    steps & 0xFF,
+    (intA >> 8) & 0xFF,
+    intA & 0xFF,
+    (intB >> 8) & 0xFF,
+    intB & 0xFF,
+    clamp(colorA.r, 0, 255),
+    clamp(colorA.g, 0, 255),
+    clamp(colorA.b, 0, 255),
+    clamp(colorB.r, 0, 255),
+    clamp(colorB.g, 0, 255),
+    clamp(colorB.b, 0, 255)
+  ];
+}
+
 /**
  * Build MDP_PADDSET command - Set pseudo address
  * @param {number} physicalAddress - Physical channel address
@@ -204,8 +261,10 @@ module.exports = {
   MDP_COMMANDS,
   BROADCAST_ADDRESS,
   MASTER_ADDRESS,
+  getCommandName,
   addressToBytes,
   bytesToAddress,
+  buildPingRequestCommand,
   buildOnCommand,
   buildOffCommand,
   buildLevelCommand,
@@ -213,6 +272,7 @@ module.exports = {
   buildRgbLevelCommand,
   buildRgbFadeCommand,
   buildFlashCommand,
+  buildRgbFlashCommand,
   buildPseudoAddressSetCommand,
   buildPseudoAddressEraseCommand
 };
@@ -0,0 +1,320 @@
+/**
+ * Controller Router
+ * Drives several LightSwarm controllers, each owning address ranges, behind
+ * the same interface as a single SerialConnection
+ */
+
+const EventEmitter = require('events');
+const SerialConnection = require('./serial');
+const LightStateStore = require('./light-state');
+const slip = require('./slip');
+const protocol = require('./protocol');
+const { TRANSPORT_TYPES, configFromSettings } = require('./transport');
+
+const DEFAULT_CONTROLLER_ID = 'default';
+
+class ControllerRouter extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.simulationMode = options.simulationMode || false;
+    this.controllers = new Map();
+    this.lightState = new LightStateStore();
+  }
+
+  /**
+   * Build controller definitions from the controllers table, falling back to
+   * a single controller from the connection settings when none are registered
+   * @param {Object} database - Database module
+   * @returns {Object[]} [{id, name, transport, path, baudRate, host, port, addressRanges}]
+   */
+  static definitionsFromDatabase(database) {
+    const rows = database.controllers.getEnabled();
+
+    if (rows.length === 0) {
+      return [{
+        id: DEFAULT_CONTROLLER_ID,
+        name: 'Default',
+        addressRanges: [],
+        ...configFromSettings(database.settings)
+      }];
+    }
+
+    return rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      transport: row.transport,
+      path: row.path,
+      baudRate: row.baud_rate,
+      host: row.host,
+      port: row.port,
+      addressRanges: JSON.parse(row.address_ranges || '[]')
+    }));
+  }
+
+  /**
+   * Check a set of controller definitions
+   * @param {Object[]} definitions - Controller definitions
+   * @returns {string[]} Error messages (empty if valid)
+   */
+  static validateDefinitions(definitions) {
+    const errors = [];
+    const claimed = [];
+
+    for (const def of definitions) {
+      if (!def.id) {
+        errors.push('Controller id is required');
+        continue;
+      }
+      if (!TRANSPORT_TYPES.includes(def.transport || 'serial')) {
+        errors.push(`${def.id}: invalid transport ${def.transport}`);
+      }
+      if ((def.transport === 'tcp' || def.transport === 'udp') && (!def.host || !Number.isInteger(def.port))) {
+        errors.push(`${def.id}: host and port are required for ${def.transport}`);
+      }
+
+      if (def.addressRanges !== undefined && !Array.isArray(def.addressRanges)) {
+        errors.push(`${def.id}: addressRanges must be an array of {start, end}`);
+        continue;
+      }
+
+      for (const range of def.addressRanges || []) {
+        if (!Number.isInteger(range.start) || !Number.isInteger(range.end) ||
+            range.start < 0 || range.end >= protocol.MASTER_ADDRESS || range.start > range.end) {
+          errors.push(`${def.id}: invalid address range ${JSON.stringify(range)}`);
+          continue;
+        }
+
+        const overlap = claimed.find(c => range.start <= c.end && range.end >= c.start);
+        if (overlap) {
+          errors.push(`${def.id}: range ${range.start}-${range.end} overlaps ${overlap.id} (${overlap.start}-${overlap.end})`);
+        }
+        claimed.push({ id: def.id, ...range });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Register a controller
+   * @param {Object} definition - {id, name, addressRanges, transport, path, baudRate, host, port}
+   */
+  addController(definition) {
+    const { id, name, addressRanges = [], ...connectionConfig } = definition;
+
+    if (this.controllers.has(id)) {
+      throw new Error(`Controller already registered: ${id}`);
+    }
+
+    const connection = new SerialConnection({
+      ...connectionConfig,
+      simulationMode: this.simulationMode,
+      autoOpen: false
+    });
+
+    // Every controller records into the same store so fades see the whole model
+    connection.lightState = this.lightState;
+
+    connection.on('log', ({ level, message }) => {
+      this.emit('log', { level, message: `[${id}] ${message}`, controllerId: id });
+    });
+    connection.on('sent', (event) => this.emit('sent', { ...event, controllerId: id }));
+    connection.on('packet', (packet) => this.emit('packet', { ...packet, controllerId: id }));
+    connection.on('open', () => this.emit('open', { controllerId: id }));
+    connection.on('close', () => this.emit('close', { controllerId: id }));
+
+    this.controllers.set(id, {
+      id,
+      name: name || id,
+      addressRanges: addressRanges.map(({ start, end }) => ({ start, end })),
+      connection
+    });
+  }
+
+  /**
+   * Replace all controllers with a new set of definitions
+   * Existing connections are closed first; sends still queued on them are rejected
+   * @param {Object[]} definitions - Controller definitions
+   */
+  async load(definitions) {
+    const errors = ControllerRouter.validateDefinitions(definitions);
+    if (errors.length > 0) {
+      throw new Error(`Invalid controller configuration: ${errors.join('; ')}`);
+    }
+
+    for (const { connection } of this.controllers.values()) {
+      connection.commandQueue.clear(new Error('controller reloaded'));
+    }
+    await this.close();
+    for (const { connection } of this.controllers.values()) {
+      connection.removeAllListeners();
+    }
+    this.controllers.clear();
+
+    for (const definition of definitions) {
+      this.addController(definition);
+    }
+  }
+
+  /**
+   * Get the controllers that drive a physical, group or broadcast address
+   * Addresses outside every range go to the catch-all controllers (those
+   * without ranges), or to every controller if there is none
+   * @param {number} address - Destination address
+   * @returns {Object[]} Controller entries
+   */
+  route(address) {
+    const all = [...this.controllers.values()];
+
+    if (address === protocol.BROADCAST_ADDRESS) {
+      return all;
+    }
+
+    const members = this.lightState.resolve(address);
+    if (members.length > 1 || members[0] !== address) {
+      const targets = new Set();
+      for (const member of members) {
+        this.route(member).forEach(c => targets.add(c));
+      }
+      return [...targets];
+    }
+
+    const owners = all.filter(c => c.addressRanges.some(r => address >= r.start && address <= r.end));
+    if (owners.length > 0) {
+      return owners;
+    }
+
+    const catchAll = all.filter(c => c.addressRanges.length === 0);
+    return catchAll.length > 0 ? catchAll : all;
+  }
+
+  /**
+   * Send a packet to the controller(s) that drive its destination address
+   * Broadcasts are split across every controller
+   * @param {Buffer} data - SLIP-encoded packet
+   * @param {Object} options - Send options (priority)
+   * @returns {Promise<void|Object>}
+   */
+  async send(data, options = {}) {
+    const frame = protocol.decodeFrame(slip.decode(data));
+    const targets = frame ? this.route(frame.address) : [...this.controllers.values()];
+
+    if (targets.length === 0) {
+      throw new Error('No controllers registered');
+    }
+
+    const results = await Promise.all(targets.map(c => c.connection.send(data, options)));
+    return results.every(r => r && r.coalesced) ? { coalesced: true } : undefined;
+  }
+
+  /**
+   * Send a packet through a specific controller, bypassing address routing
+   * Falls back to normal routing if the controller is not registered
+   * @param {string} controllerId - Controller ID
+   * @param {Buffer} data - SLIP-encoded packet
+   * @param {Object} options - Send options (priority)
+   */
+  async sendTo(controllerId, data, options = {}) {
+    const controller = this.controllers.get(controllerId);
+    if (!controller) {
+      return this.send(data, options);
+    }
+    return controller.connection.send(data, options);
+  }
+
+  /**
+   * Open every controller
+   * Controllers that fail to open keep retrying in the background; the call
+   * only fails if none of them could be opened
+   */
+  async connect() {
+    const entries = [...this.controllers.values()];
+    const results = await Promise.allSettled(entries.map(c => c.connection.connect()));
+    const failed = results.filter(r => r.status === 'rejected');
+
+    if (entries.length > 0 && failed.length === entries.length) {
+      throw failed[0].reason;
+    }
+
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        entries[i].connection.attemptReconnect();
+      }
+    });
+  }
+
+  /**
+   * Close every controller, rejecting sends still queued on them
+   */
+  async close() {
+    const entries = [...this.controllers.values()];
+    for (const { connection } of entries) {
+      connection.commandQueue.clear(new Error('controller closed'));
+    }
+    await Promise.all(entries.map(c => c.connection.close()));
+  }
+
+  /**
+   * Check if every controller is open
+   */
+  get isOpen() {
+    const entries = [...this.controllers.values()];
+    return entries.length > 0 && entries.every(c => c.connection.isOpen);
+  }
+
+  /**
+   * Enable/disable simulation mode on every controller
+   */
+  setSimulationMode(enabled) {
+    this.simulationMode = enabled;
+    for (const { connection } of this.controllers.values()) {
+      connection.setSimulationMode(enabled);
+    }
+  }
+
+  /**
+   * Summarise the health of one controller
+   */
+  getControllerStatus(controller) {
+    const { connection } = controller;
+    let health = 'down';
+    if (connection.isOpen) {
+      health = 'ok';
+    } else if (connection.reconnectTimer) {
+      health = 'reconnecting';
+    }
+
+    return {
+      id: controller.id,
+      name: controller.name,
+      addressRanges: controller.addressRanges,
+      health,
+      ...connection.getStatus()
+    };
+  }
+
+  /**
+   * Get connection status
+   * Top-level fields describe the first controller for single-controller setups
+   */
+  getStatus() {
+    const controllers = [...this.controllers.values()].map(c => this.getControllerStatus(c));
+    const primary = controllers[0] || {};
+
+    return {
+      isOpen: this.isOpen,
+      simulationMode: this.simulationMode,
+      transport: primary.transport,
+      endpoint: primary.endpoint,
+      port: primary.port,
+      baudRate: primary.baudRate,
+      queueLength: controllers.reduce((sum, c) => sum + c.queueLength, 0),
+      reconnectAttempts: Math.max(0, ...controllers.map(c => c.reconnectAttempts)),
+      controllers
+    };
+  }
+}
+
+ControllerRouter.DEFAULT_CONTROLLER_ID = DEFAULT_CONTROLLER_ID;
+
+module.exports = ControllerRouter;
@@ -0,0 +1,145 @@
+/**
+ * SLIP Frame Decoder
+ * Reassembles SLIP frames from a byte stream and emits parsed MDP packets
+ */
+
+const EventEmitter = require('events');
+const slip = require('./slip');
+const protocol = require('./protocol');
+
+const DEFAULT_MAX_FRAME_LENGTH = 256;
+
+class FrameDecoder extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.maxFrameLength = options.maxFrameLength || DEFAULT_MAX_FRAME_LENGTH;
+    this.buffer = [];
+    this.escaping = false;
+    this.discarding = false;
+    this.stats = {
+      bytesReceived: 0,
+      framesReceived: 0,
+      packetsDecoded: 0,
+      framingErrors: 0,
+      checksumErrors: 0
+    };
+  }
+
+  /**
+   * Feed a chunk of received bytes into the decoder
+   * @param {Buffer|number[]} chunk - Raw bytes from the transport
+   */
+  push(chunk) {
+    for (const byte of chunk) {
+      this.stats.bytesReceived++;
+      this.pushByte(byte);
+    }
+  }
+
+  /**
+   * Process a single received byte
+   */
+  pushByte(byte) {
+    if (byte === slip.SLIP_END) {
+      this.endFrame();
+      return;
+    }
+
+    if (this.discarding) {
+      return;
+    }
+
+    if (this.escaping) {
+      this.escaping = false;
+      if (byte === slip.SLIP_ESC_END) {
+        this.buffer.push(slip.SLIP_END);
+      } else if (byte === slip.SLIP_ESC_ESC) {
+        this.buffer.push(slip.SLIP_ESC);
+      } else {
+        this.framingError(`Invalid escape sequence 0x${byte.toString(16).padStart(2, '0')}`);
+        return;
+      }
+    } else if (byte === slip.SLIP_ESC) {
+      this.escaping = true;
+      return;
+    } else {
+      this.buffer.push(byte);
+    }
+
+    if (this.buffer.length > this.maxFrameLength) {
+      this.framingError(`Frame exceeds ${this.maxFrameLength} bytes`);
+    }
+  }
+
+  /**
+   * Complete the current frame on a SLIP END byte
+   */
+  endFrame() {
+    const frame = this.buffer;
+    const discarded = this.discarding;
+    const danglingEscape = this.escaping;
+    this.reset();
+
+    // Back-to-back END bytes delimit empty frames, which are not errors
+    if (discarded || frame.length === 0) {
+      return;
+    }
+
+    if (danglingEscape) {
+      this.reportFramingError('Frame ended mid-escape');
+      return;
+    }
+
+    this.stats.framesReceived++;
+
+    const packet = protocol.decodeFrame(frame);
+    if (!packet) {
+      this.reportFramingError(`Frame too short (${frame.length} bytes)`);
+      return;
+    }
+
+    if (packet.checksumValid) {
+      this.stats.packetsDecoded++;
+    } else {
+      this.stats.checksumErrors++;
+    }
+
+    this.emit('packet', packet);
+  }
+
+  /**
+   * Record a framing error and drop bytes until the next END
+   */
+  framingError(message) {
+    this.buffer = [];
+    this.escaping = false;
+    this.discarding = true;
+    this.reportFramingError(message);
+  }
+
+  /**
+   * Count a framing error and notify listeners
+   */
+  reportFramingError(message) {
+    this.stats.framingErrors++;
+    this.emit('frame_error', { message });
+  }
+
+  /**
+   * Clear any partially received frame
+   */
+  reset() {
+    this.buffer = [];
+    this.escaping = false;
+    this.discarding = false;
+  }
+
+  /**
+   * Get decoder statistics
+   */
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = FrameDecoder;
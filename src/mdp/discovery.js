@@ -0,0 +1,187 @@
+/**
+ * Device Discovery
+ * Pings a range of addresses and compares responders with the configured mapping
+ */
+
+const EventEmitter = require('events');
+const protocol = require('./protocol');
+
+// Longest wait for late responses after the last ping
+const MAX_TIMEOUT_MS = 60000;
+
+class DeviceDiscovery extends EventEmitter {
+  constructor(serialConnection, database) {
+    super();
+    this.serial = serialConnection;
+    this.database = database;
+    this.running = false;
+    this.progress = null;
+    this.lastReport = null;
+    this.responders = new Set();
+    this.range = null;
+
+    this.serial.on('packet', (packet) => this.handlePacket(packet));
+  }
+
+  /**
+   * Check if a sweep is in progress
+   */
+  isRunning() {
+    return this.running;
+  }
+
+  /**
+   * Record a PING_RESP received during a sweep
+   */
+  handlePacket(packet) {
+    if (!this.running || !packet.checksumValid) return;
+    if (packet.command !== protocol.MDP_COMMANDS.PING_RESP) return;
+
+    // Devices answer from their own address; replies addressed to the
+    // master carry the responder address in the first two data bytes
+    let address = packet.address;
+    if (address === protocol.MASTER_ADDRESS && packet.data.length >= 2) {
+      address = (packet.data[0] << 8) | packet.data[1];
+    }
+
+    if (address < this.range.startAddress || address > this.range.endAddress) return;
+
+    if (!this.responders.has(address)) {
+      this.responders.add(address);
+      this.database.devices.markSeen(address, { data: packet.data });
+      this.emit('device_seen', { address });
+    }
+  }
+
+  /**
+   * Fill in sweep options from settings and validate the address range and timeout
+   * @param {Object} options - {startAddress, endAddress, timeoutMs}
+   * @returns {Object} Resolved options
+   */
+  resolveOptions(options = {}) {
+    const startAddress = options.startAddress ?? parseInt(this.database.settings.get('discovery_start_address') || '1', 10);
+    const endAddress = options.endAddress ?? parseInt(this.database.settings.get('discovery_end_address') || '512', 10);
+    const timeoutMs = options.timeoutMs ?? parseInt(this.database.settings.get('discovery_timeout_ms') || '1000', 10);
+
+    if (!Number.isInteger(startAddress) || !Number.isInteger(endAddress) ||
+        startAddress < 0 || endAddress >= protocol.MASTER_ADDRESS || startAddress > endAddress) {
+      throw new Error(`Invalid discovery range: ${startAddress}-${endAddress}`);
+    }
+
+    if (!Number.isInteger(timeoutMs) || timeoutMs <= 0 || timeoutMs > MAX_TIMEOUT_MS) {
+      throw new Error(`Invalid discovery timeout: ${timeoutMs} ms (must be 1-${MAX_TIMEOUT_MS})`);
+    }
+
+    return { startAddress, endAddress, timeoutMs };
+  }
+
+  /**
+   * Ping every address in a range and report the results
+   * @param {Object} options - {startAddress, endAddress, timeoutMs}
+   * @returns {Promise<Object>} Discovery report
+   */
+  async sweep(options = {}) {
+    if (this.running) {
+      throw new Error('Discovery already running');
+    }
+
+    const { startAddress, endAddress, timeoutMs } = this.resolveOptions(options);
+
+    this.running = true;
+    this.responders = new Set();
+    this.range = { startAddress, endAddress };
+    this.progress = { sent: 0, total: endAddress - startAddress + 1, startedAt: new Date().toISOString() };
+    this.emit('started', { ...this.range, timeoutMs });
+
+    try {
+      for (let address = startAddress; address <= endAddress; address++) {
+        await this.serial.send(protocol.packetPing(address), { priority: 'diagnostic' });
+        this.progress.sent++;
+        if (this.progress.sent % 50 === 0) {
+          this.emit('progress', { ...this.progress, responded: this.responders.size });
+        }
+      }
+
+      await new Promise(resolve => setTimeout(resolve, timeoutMs));
+
+      this.lastReport = this.buildReport(startAddress, endAddress);
+    } finally {
+      this.running = false;
+      this.progress = null;
+    }
+
+    this.emit('completed', this.lastReport);
+    return this.lastReport;
+  }
+
+  /**
+   * Collect every mapped address with the apartment or amenity that owns it
+   */
+  getMappedAddresses() {
+    const mapped = new Map();
+
+    for (const light of this.database.apartmentLights.getAll()) {
+      mapped.set(light.lightswarm_address, { type: 'apartment', id: light.apartment_id, lightIndex: light.light_index });
+    }
+
+    for (const apt of this.database.apartments.getAll()) {
+      if (apt.lightswarm_address !== null && !mapped.has(apt.lightswarm_address)) {
+        mapped.set(apt.lightswarm_address, { type: 'apartment', id: apt.id });
+      }
+    }
+
+    for (const amenity of this.database.amenities.getAll()) {
+      mapped.set(amenity.lightswarm_address, { type: 'amenity', id: amenity.id, name: amenity.name });
+    }
+
+    return mapped;
+  }
+
+  /**
+   * Compare sweep responders with the configured mapping
+   */
+  buildReport(startAddress, endAddress) {
+    const mapped = this.getMappedAddresses();
+    const responded = [...this.responders].sort((a, b) => a - b);
+    const lastSeen = new Map(
+      this.database.devices.getInRange(startAddress, endAddress).map(device => [device.address, device.last_seen])
+    );
+
+    const mappedSilent = [];
+    for (const [address, owner] of mapped) {
+      if (address >= startAddress && address <= endAddress && !this.responders.has(address)) {
+        mappedSilent.push({ address, ...owner, lastSeen: lastSeen.get(address) || null });
+      }
+    }
+    mappedSilent.sort((a, b) => a.address - b.address);
+
+    const unmapped = responded
+      .filter(address => !mapped.has(address))
+      .map(address => ({ address }));
+
+    return {
+      startAddress,
+      endAddress,
+      pinged: endAddress - startAddress + 1,
+      responded,
+      respondedCount: responded.length,
+      mappedSilent,
+      unmapped,
+      completedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get discovery status and the last report
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      progress: this.progress ? { ...this.progress, responded: this.responders.size } : null,
+      lastReport: this.lastReport
+    };
+  }
+}
+
+module.exports = DeviceDiscovery;
+module.exports.MAX_TIMEOUT_MS = MAX_TIMEOUT_MS;
@@ -7,10 +7,26 @@ const protocol = require('./protocol');
 const commands = require('./commands');
 const slip = require('./slip');
 const SerialConnection = require('./serial');
+const ControllerRouter = require('./controller-router');
+const FrameDecoder = require('./decoder');
+const DeviceDiscovery = require('./discovery');
+const pseudoAddress = require('./pseudo-address');
+const LightStateStore = require('./light-state');
+const CommandQueue = require('./command-queue');
+const transport = require('./transport');
+const capture = require('./capture');
 
 module.exports = {
   ...protocol,
   commands,
   slip,
-  SerialConnection
+  transport,
+  capture,
+  pseudoAddress,
+  SerialConnection,
+  ControllerRouter,
+  FrameDecoder,
+  DeviceDiscovery,
+  LightStateStore,
+  CommandQueue
 };
@@ -0,0 +1,175 @@
+/**
+ * Light State Store
+ * Tracks the last commanded RGB value of every address from the packets sent to it,
+ * so fades can be calculated from the real starting colour
+ */
+
+const slip = require('./slip');
+const protocol = require('./protocol');
+const { MDP_COMMANDS, BROADCAST_ADDRESS } = require('./commands');
+
+const BLACK = Object.freeze({ r: 0, g: 0, b: 0 });
+
+class LightStateStore {
+  constructor() {
+    this.colors = new Map();
+    this.baseline = BLACK;
+    this.groupResolver = null;
+    this.groups = new Map();
+  }
+
+  /**
+   * Set the function that expands a pseudo (group) address into member addresses
+   * Results are cached until invalidateGroups() is called
+   * @param {Function} resolver - (address) => number[] of members, or empty if not a group
+   */
+  setGroupResolver(resolver) {
+    this.groupResolver = resolver;
+    this.groups.clear();
+  }
+
+  /**
+   * Forget cached group membership, e.g. after pseudo addresses are reprogrammed
+   */
+  invalidateGroups() {
+    this.groups.clear();
+  }
+
+  /**
+   * Expand an address into the physical addresses it drives
+   */
+  resolve(address) {
+    if (this.groupResolver) {
+      if (!this.groups.has(address)) {
+        this.groups.set(address, this.groupResolver(address) || []);
+      }
+      const members = this.groups.get(address);
+      if (members.length > 0) {
+        return [...members];
+      }
+    }
+    return [address];
+  }
+
+  /**
+   * Get the last commanded color of an address
+   * Group addresses report the color of their first member
+   * @param {number} address - Channel or pseudo address
+   * @returns {Object} {r, g, b}
+   */
+  get(address) {
+    const [first] = this.resolve(address);
+    return { ...(this.colors.get(first) || this.baseline) };
+  }
+
+  /**
+   * Get the last commanded brightness of an address (brightest channel)
+   * @param {number} address - Channel or pseudo address
+   * @returns {number} Level (0-255)
+   */
+  getLevel(address) {
+    const { r, g, b } = this.get(address);
+    return Math.max(r, g, b);
+  }
+
+  /**
+   * Record a commanded color for an address
+   * @param {number} address - Channel, pseudo or broadcast address
+   * @param {Object} color - {r, g, b}
+   */
+  set(address, color) {
+    const value = Object.freeze({ r: color.r, g: color.g, b: color.b });
+
+    if (address === BROADCAST_ADDRESS) {
+      this.colors.clear();
+      this.baseline = value;
+      return;
+    }
+
+    for (const member of this.resolve(address)) {
+      this.colors.set(member, value);
+    }
+  }
+
+  /**
+   * Update the store from an outgoing SLIP-encoded packet
+   * @param {Buffer} packet - Complete packet
+   * @returns {boolean} True if the packet changed a commanded color
+   */
+  applyPacket(packet) {
+    const frame = protocol.decodeFrame(slip.decode(packet));
+    if (!frame || !frame.checksumValid) return false;
+
+    const color = this.targetColor(frame);
+    if (!color) return false;
+
+    this.set(frame.address, color);
+    return true;
+  }
+
+  /**
+   * Work out the color a command leaves its target at
+   */
+  targetColor({ command, data }) {
+    const gray = (level) => ({ r: level, g: level, b: level });
+
+    switch (command) {
+      case MDP_COMMANDS.ON:
+        return gray(255);
+      case MDP_COMMANDS.OFF:
+        return gray(0);
+      case MDP_COMMANDS.LEVEL:
+      case MDP_COMMANDS.FADE:
+        return gray(data[0] || 0);
+      case MDP_COMMANDS.RGB_LEVEL:
+        return { r: data[0] || 0, g: data[1] || 0, b: data[2] || 0 };
+      case MDP_COMMANDS.RGB_FADE:
+        return { r: data[0] || 0, g: data[3] || 0, b: data[6] || 0 };
+      case MDP_COMMANDS.FLASH: {
+        // Flashes settle on the level of their last step
+        const steps = (data[0] << 8) | data[1];
+        return gray((steps % 2 === 0 ? data[7] : data[6]) || 0);
+      }
+      case MDP_COMMANDS.RGB_FLASH: {
+        const steps = (data[0] << 8) | data[1];
+        const offset = steps % 2 === 0 ? 9 : 6;
+        return { r: data[offset] || 0, g: data[offset + 1] || 0, b: data[offset + 2] || 0 };
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get every address with a recorded color
+   * @returns {Object[]} [{address, r, g, b}]
+   */
+  getAll() {
+    return [...this.colors.entries()]
+      .sort(([a], [b]) => a - b)
+      .map(([address, color]) => ({ address, ...color }));
+  }
+
+  /**
+   * Copy the recorded colors, e.g. to fade from them later
+   * @returns {LightStateStore} Snapshot sharing the group resolver and its cache
+   */
+  clone() {
+    const copy = new LightStateStore();
+    copy.colors = new Map(this.colors);
+    copy.baseline = this.baseline;
+    copy.groupResolver = this.groupResolver;
+    copy.groups = this.groups;
+    return copy;
+  }
+
+  /**
+   * Forget all recorded colors
+   */
+  clear() {
+    this.colors.clear();
+    this.baseline = BLACK;
+  }
+}
+
+module.exports = LightStateStore;
@@ -31,6 +31,15 @@ function buildPacket(commandBytes) {
   return slip.encode(withChecksum);
 }
 
+/**
+ * Create a ping request packet
+ * @param {number} address - Channel address
+ * @returns {Buffer} Complete packet
+ */
+function packetPing(address) {
+  return buildPacket(commands.buildPingRequestCommand(address));
+}
+
 /**
  * Create a packet to turn a channel on
  * @param {number} address - Channel address
@@ -113,8 +122,95 @@ function packetFlash(address, levelA, levelB, steps, intervalA, intervalB) {
   return buildPacket(commands.buildFlashCommand(address, levelA, levelB, steps, intervalA, intervalB));
 }
 
+/**
+ * Create a packet to flash a channel between two RGB colors
+ * @param {number} address - Channel address
+ * @param {Object} colorA - First {r, g, b} color
+ * @param {Object} colorB - Second {r, g, b} color
+ * @param {number} steps - Number of flash steps (65535 for infinite)
+ * @param {number} intervalA - Time at color A (1/100s)
+ * @param {number} intervalB - Time at color B (1/100s)
+ * @returns {Buffer} Complete packet
+ */
+function packetRgbFlash(address, colorA, colorB, steps, intervalA, intervalB) {
+  return buildPacket(commands.buildRgbFlashCommand(address, colorA, colorB, steps, intervalA, intervalB));
+}
+
+/**
+ * Calculate flash parameters from a period and repeat count
+ * Each repeat is one low/high cycle; a repeat count of 0 flashes indefinitely
+ * @param {number} periodMs - Length of one cycle in milliseconds
+ * @param {number} repeat - Number of cycles (0 for indefinite)
+ * @returns {Object} {steps, intervalA, intervalB} parameters for flash commands
+ */
+function calculateFlashParams(periodMs, repeat = 0) {
+  const halfPeriod100ths = Math.max(1, Math.min(65535, Math.round(periodMs / 20)));
+  return {
+    steps: repeat > 0 ? Math.min(65534, repeat * 2) : 65535,
+    intervalA: halfPeriod100ths,
+    intervalB: halfPeriod100ths
+  };
+}
+
+/**
+ * Create a packet to pulse a channel between a low and a high color
+ * Finite flashes end on the high color
+ * @param {number} address - Channel address
+ * @param {Object} highColor - {r, g, b} color the light settles on
+ * @param {Object} lowColor - {r, g, b} color for the dark half of each cycle
+ * @param {number} periodMs - Length of one cycle in milliseconds
+ * @param {number} repeat - Number of cycles (0 for indefinite)
+ * @returns {Buffer} Complete packet
+ */
+function packetRgbFlashColors(address, highColor, lowColor, periodMs, repeat = 0) {
+  const { steps, intervalA, intervalB } = calculateFlashParams(periodMs, repeat);
+  return packetRgbFlash(address, lowColor, highColor, steps, intervalA, intervalB);
+}
+
+/**
+ * Create a packet for the API's flash effect: a color pulsing between two
+ * intensities, by default from off up to the given intensity
+ * @param {number} address - Channel address
+ * @param {Object} color - {r, g, b} at full intensity
+ * @param {number} intensity - Default high intensity (0-255)
+ * @param {Object} flash - {period, repeat, levels: {high, low}}
+ * @returns {Buffer} Complete packet
+ */
+function packetFlashEffect(address, color, intensity, flash = {}) {
+  const { period = 1000, repeat = 3, levels = {} } = flash;
+  const high = levels.high ?? intensity;
+  const low = levels.low ?? 0;
+  const scale = (level) => ({
+    r: Math.round((color.r * level) / 255),
+    g: Math.round((color.g * level) / 255),
+    b: Math.round((color.b * level) / 255)
+  });
+  return packetRgbFlashColors(address, scale(high), scale(low), period, repeat);
+}
+
+/**
+ * Create a packet to assign a pseudo (group) address to a channel
+ * @param {number} physicalAddress - Physical channel address
+ * @param {number} pseudoAddress - Pseudo address to assign
+ * @returns {Buffer} Complete packet
+ */
+function packetPseudoAddressSet(physicalAddress, pseudoAddress) {
+  return buildPacket(commands.buildPseudoAddressSetCommand(physicalAddress, pseudoAddress));
+}
+
+/**
+ * Create a packet to erase a channel's pseudo address table
+ * @param {number} address - Channel address
+ * @returns {Buffer} Complete packet
+ */
+function packetPseudoAddressErase(address) {
+  return buildPacket(commands.buildPseudoAddressEraseCommand(address));
+}
+
 /**
  * Calculate fade parameters from desired fade time
+ * Picks the interval/step pair whose total duration is closest to the requested time,
+ * so that channels with different level changes finish together
  * @param {number} currentLevel - Current brightness level (0-255)
  * @param {number} targetLevel - Target brightness level (0-255)
  * @param {number} fadeTimeMs - Desired fade time in milliseconds
@@ -132,21 +228,32 @@ function calculateFadeParams(currentLevel, targetLevel, fadeTimeMs) {
   
   const fadeTime100ths = fadeTimeMs / 10;
   
-  let step = 1;
-  let interval = Math.round(fadeTime100ths / levelDiff);
-  
-  if (interval > maxInterval) {
-    interval = maxInterval;
-    step = 1;
-  } else if (interval < minInterval) {
-    interval = minInterval;
-    step = Math.min(maxStep, Math.ceil(levelDiff / fadeTime100ths));
+  let best = null;
+  for (let step = 1; step <= maxStep; step++) {
+    const stepsNeeded = Math.ceil(levelDiff / step);
+    const interval = Math.max(minInterval, Math.min(maxInterval, Math.round(fadeTime100ths / stepsNeeded)));
+    const error = Math.abs(stepsNeeded * interval - fadeTime100ths);
+
+    // Ties keep the smaller (smoother) step
+    if (!best || error < best.error) {
+      best = { interval, step, error };
+    }
+    if (stepsNeeded === 1) break;
   }
 
-  return {
-    interval: Math.max(minInterval, Math.min(maxInterval, interval)),
-    step: Math.max(1, Math.min(maxStep, step))
-  };
+  return { interval: best.interval, step: best.step };
+}
+
+/**
+ * Estimate how long a fade takes with the given parameters
+ * @param {number} currentLevel - Current brightness level (0-255)
+ * @param {number} targetLevel - Target brightness level (0-255)
+ * @param {Object} params - {interval, step} fade parameters
+ * @returns {number} Fade duration in milliseconds
+ */
+function estimateFadeMs(currentLevel, targetLevel, { interval, step }) {
+  const levelDiff = Math.abs(targetLevel - currentLevel);
+  return Math.ceil(levelDiff / step) * interval * 10;
 }
 
 /**
@@ -156,7 +263,7 @@ function calculateFadeParams(currentLevel, targetLevel, fadeTimeMs) {
  * @param {number} green - Target green (0-255)
  * @param {number} blue - Target blue (0-255)
  * @param {number} fadeTimeMs - Fade time in milliseconds
- * @param {Object} currentColor - Current {r, g, b} levels (optional, assumes 0 if not provided)
+ * @param {Object} currentColor - Current {r, g, b} levels, usually from the light state store (assumes 0 if not provided)
  * @returns {Buffer} Complete packet
  */
 function packetRgbFadeToColor(address, red, green, blue, fadeTimeMs, currentColor = { r: 0, g: 0, b: 0 }) {
@@ -214,6 +321,28 @@ function parsePacket(packet) {
   return { address, command, data };
 }
 
+/**
+ * Interpret an unescaped MDP frame (address + command + data + checksum)
+ * @param {number[]} frame - Frame bytes with SLIP framing already removed
+ * @returns {Object|null} {address, command, commandName, data, checksum, checksumValid} or null if too short
+ */
+function decodeFrame(frame) {
+  if (frame.length < 4) return null;
+
+  const body = frame.slice(0, -1);
+  const checksum = frame[frame.length - 1];
+  const command = body[2];
+
+  return {
+    address: commands.bytesToAddress([body[0], body[1]]),
+    command,
+    commandName: commands.getCommandName(command),
+    data: body.slice(3),
+    checksum,
+    checksumValid: calculateChecksum(body) === checksum
+  };
+}
+
 /**
  * Convert packet to hex string for logging/debugging
  * @param {Buffer} packet - Packet buffer
@@ -228,6 +357,7 @@ function packetToHex(packet) {
 module.exports = {
   calculateChecksum,
   buildPacket,
+  packetPing,
   packetOn,
   packetOff,
   packetLevel,
@@ -236,10 +366,19 @@ module.exports = {
   packetRgbFade,
   packetRgbFadeToColor,
   packetFlash,
+  packetRgbFlash,
+  packetRgbFlashColors,
+  packetFlashEffect,
+  packetPseudoAddressSet,
+  packetPseudoAddressErase,
   packetBroadcast,
   parsePacket,
+  decodeFrame,
   packetToHex,
   calculateFadeParams,
+  estimateFadeMs,
+  calculateFlashParams,
   BROADCAST_ADDRESS: commands.BROADCAST_ADDRESS,
+  MASTER_ADDRESS: commands.MASTER_ADDRESS,
   MDP_COMMANDS: commands.MDP_COMMANDS
 };
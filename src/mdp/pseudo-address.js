@@ -0,0 +1,175 @@
+/**
+ * Pseudo Address Provisioning
+ * Programs floorplate pseudo addresses into member lights with PADDSET/PADDERASE
+ * so a whole floorplate can be driven with a single packet
+ */
+
+const commands = require('./commands');
+const protocol = require('./protocol');
+
+/**
+ * Check that a pseudo address can be used as a group address
+ * @param {number} pseudoAddress - Pseudo address
+ * @returns {boolean}
+ */
+function isValidPseudoAddress(pseudoAddress) {
+  return Number.isInteger(pseudoAddress) &&
+    pseudoAddress > 0 &&
+    pseudoAddress < commands.MASTER_ADDRESS;
+}
+
+/**
+ * Get every light address belonging to a floorplate's apartments
+ * @param {Object} database - Database module
+ * @param {string} floorplateId - Floorplate ID
+ * @returns {number[]} Light addresses
+ */
+function getFloorplateAddresses(database, floorplateId) {
+  const addresses = [];
+  for (const apt of database.apartments.getByFloorplate(floorplateId)) {
+    const lights = database.apartmentLights.getAddressesForApartment(apt.id);
+    if (lights.length > 0) {
+      addresses.push(...lights);
+    } else if (apt.lightswarm_address) {
+      addresses.push(apt.lightswarm_address);
+    }
+  }
+  return [...new Set(addresses)];
+}
+
+/**
+ * Compare a floorplate's membership with the recorded assignments
+ * @param {Object} database - Database module
+ * @param {Object} floorplate - Floorplate row
+ * @returns {Object} {floorplateId, pseudoAddress, provisioned, lightCount, provisionedCount, pending, stale}
+ */
+function getProvisioningStatus(database, floorplate) {
+  const members = getFloorplateAddresses(database, floorplate.id);
+  const memberSet = new Set(members);
+  const pseudoAddress = floorplate.pseudo_address;
+
+  const pending = members.filter(address => {
+    const assignment = database.pseudoAddresses.get(address);
+    return !assignment ||
+      assignment.floorplate_id !== floorplate.id ||
+      assignment.pseudo_address !== pseudoAddress;
+  });
+
+  const stale = database.pseudoAddresses.getByFloorplate(floorplate.id)
+    .filter(a => !memberSet.has(a.lightswarm_address) || a.pseudo_address !== pseudoAddress)
+    .map(a => a.lightswarm_address);
+
+  return {
+    floorplateId: floorplate.id,
+    pseudoAddress,
+    provisioned: isValidPseudoAddress(pseudoAddress) && members.length > 0 && pending.length === 0 && stale.length === 0,
+    lightCount: members.length,
+    provisionedCount: members.length - pending.length,
+    pending,
+    stale
+  };
+}
+
+/**
+ * Check whether a floorplate can be driven through its pseudo address
+ * @param {Object} database - Database module
+ * @param {Object} floorplate - Floorplate row
+ * @returns {boolean}
+ */
+function isFloorplateProvisioned(database, floorplate) {
+  return getProvisioningStatus(database, floorplate).provisioned;
+}
+
+/**
+ * Drop the connection's cached group membership after assignments change
+ */
+function invalidateGroups(serial) {
+  if (serial.lightState) {
+    serial.lightState.invalidateGroups();
+  }
+}
+
+/**
+ * Erase the pseudo address table of a light and forget its assignment
+ */
+async function eraseLight(serial, database, address) {
+  await serial.send(protocol.packetPseudoAddressErase(address), { priority: 'diagnostic' });
+  database.pseudoAddresses.remove(address);
+  invalidateGroups(serial);
+}
+
+/**
+ * Program a floorplate's pseudo address into its member lights
+ * @param {Object} serial - Serial connection
+ * @param {Object} database - Database module
+ * @param {Object} floorplate - Floorplate row
+ * @param {Object} options - {force: erase and reprogram every member}
+ * @returns {Promise<Object>} {floorplateId, pseudoAddress, programmed, erased, unchanged}
+ */
+async function provisionFloorplate(serial, database, floorplate, options = {}) {
+  const { force = false } = options;
+  const pseudoAddress = floorplate.pseudo_address;
+
+  if (!isValidPseudoAddress(pseudoAddress)) {
+    throw new Error(`Floorplate ${floorplate.id} has no valid pseudo address`);
+  }
+
+  const status = getProvisioningStatus(database, floorplate);
+  const members = getFloorplateAddresses(database, floorplate.id);
+  const toProgram = force ? members : status.pending;
+  const erased = [];
+  const programmed = [];
+
+  for (const address of status.stale) {
+    await eraseLight(serial, database, address);
+    erased.push(address);
+  }
+
+  for (const address of toProgram) {
+    // A light carries one group; clear whatever it held before
+    if (force || database.pseudoAddresses.get(address)) {
+      await eraseLight(serial, database, address);
+      erased.push(address);
+    }
+
+    await serial.send(protocol.packetPseudoAddressSet(address, pseudoAddress), { priority: 'diagnostic' });
+    database.pseudoAddresses.set(address, pseudoAddress, floorplate.id);
+    invalidateGroups(serial);
+    programmed.push(address);
+  }
+
+  return {
+    floorplateId: floorplate.id,
+    pseudoAddress,
+    programmed,
+    erased: [...new Set(erased)],
+    unchanged: members.length - programmed.length
+  };
+}
+
+/**
+ * Erase assignments whose floorplate no longer exists or has no pseudo address
+ * @param {Object} serial - Serial connection
+ * @param {Object} database - Database module
+ * @returns {Promise<number[]>} Erased light addresses
+ */
+async function eraseOrphanedAssignments(serial, database) {
+  const erased = [];
+  for (const assignment of database.pseudoAddresses.getAll()) {
+    const floorplate = database.floorplates.get(assignment.floorplate_id);
+    if (!floorplate || !isValidPseudoAddress(floorplate.pseudo_address)) {
+      await eraseLight(serial, database, assignment.lightswarm_address);
+      erased.push(assignment.lightswarm_address);
+    }
+  }
+  return erased;
+}
+
+module.exports = {
+  isValidPseudoAddress,
+  getFloorplateAddresses,
+  getProvisioningStatus,
+  isFloorplateProvisioned,
+  provisionFloorplate,
+  eraseOrphanedAssignments
+};
@@ -0,0 +1,94 @@
+/**
+ * Capture Replay Script
+ * Run with: npm run capture:replay -- <file> [--target simulator|serial] [--speed 1]
+ *
+ * Replays into a fresh simulator by default and prints the final light states;
+ * with --target serial the frames are sent to the configured controllers.
+ */
+
+const path = require('path');
+const { database } = require('../config');
+const { capture, ControllerRouter } = require('./index');
+const LightSimulator = require('../simulator');
+
+function parseArgs(argv) {
+  const args = { file: null, target: 'simulator', speed: 1 };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--target') {
+      args.target = argv[++i];
+    } else if (argv[i] === '--speed') {
+      args.speed = parseFloat(argv[++i]);
+    } else {
+      args.file = argv[i];
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.file || !['simulator', 'serial'].includes(args.target)) {
+    console.error('Usage: npm run capture:replay -- <file> [--target simulator|serial] [--speed 1]');
+    process.exit(1);
+  }
+
+  const file = path.resolve(args.file);
+  const { header, records } = capture.readCapture(file);
+  console.log(`Capture ${path.basename(file)} (started ${header.startedAt}, ${records.length} frames)`);
+
+  await database.initialize();
+
+  let sink;
+  let simulator = null;
+  let router = null;
+
+  if (args.target === 'serial') {
+    router = new ControllerRouter();
+    router.lightState.setGroupResolver(address => database.pseudoAddresses.getMembers(address));
+    await router.load(ControllerRouter.definitionsFromDatabase(database));
+    router.on('log', ({ level, message }) => console.log(`[${level.toUpperCase()}] ${message}`));
+    await router.connect();
+    sink = (data, record) => router.sendTo(record.controller, data, { priority: 'interactive', coalesce: false })
+      .catch(err => console.error(`Send failed: ${err.message}`));
+  } else {
+    simulator = new LightSimulator();
+    simulator.initializeFromDatabase(database);
+    simulator.setEnabled(true);
+    sink = (data) => simulator.processPacket(data);
+  }
+
+  const replay = new capture.CaptureReplay(records, sink, { speed: args.speed });
+  replay.on('frame', ({ index }) => {
+    if (index % 100 === 0) {
+      console.log(`  ${index}/${replay.records.length} frames`);
+    }
+  });
+
+  process.on('SIGINT', () => replay.stop());
+
+  const result = await replay.start();
+  console.log(`Replayed ${result.sent}/${result.total} outgoing frames${result.stopped ? ' (stopped)' : ''}`);
+
+  if (simulator) {
+    const lit = simulator.getAllStates().filter(light => light.state.on);
+    console.log(`\nLit lights after replay (${lit.length}):`);
+    lit.forEach(({ address, id, state }) => {
+      console.log(`  ${address} ${id}: RGB(${state.r}, ${state.g}, ${state.b})`);
+    });
+  }
+
+  if (router) {
+    // Let the queues drain before closing
+    while (router.getStatus().queueLength > 0) {
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    await router.close();
+  }
+
+  database.close();
+}
+
+main().catch(err => {
+  console.error('Replay failed:', err.message);
+  process.exit(1);
+});
@@ -1,31 +1,55 @@
 /**
  * Serial Communication Layer
- * Handles USB/Serial connection to LightSwarm controller
+ * Handles the connection to the LightSwarm controller over USB serial, TCP or UDP
  */
 
 const EventEmitter = require('events');
+const FrameDecoder = require('./decoder');
+const LightStateStore = require('./light-state');
+const CommandQueue = require('./command-queue');
+const { createTransport } = require('./transport');
 
 class SerialConnection extends EventEmitter {
   constructor(config = {}) {
     super();
     this.config = {
+      ...config,
       path: config.path || '/dev/ttyUSB0',
       baudRate: config.baudRate || 38400,
+      transport: config.transport || 'serial',
       autoOpen: config.autoOpen !== false,
-      ...config
+      interPacketDelay: config.interPacketDelay ?? 10
     };
     this.port = null;
     this.isOpen = false;
     this.simulationMode = config.simulationMode || false;
-    this.commandQueue = [];
+    this.commandQueue = new CommandQueue();
     this.processing = false;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 10;
     this.reconnectDelay = 2000;
+    this.reconnectTimer = null;
+    this.closing = false;
+    this.lastError = null;
+    this.lightState = new LightStateStore();
+
+    this.decoder = new FrameDecoder();
+    this.decoder.on('packet', (packet) => {
+      this.emit('packet', packet);
+      if (!packet.checksumValid) {
+        this.emit('log', {
+          level: 'warn',
+          message: `Checksum error from 0x${packet.address.toString(16)} (${packet.commandName})`
+        });
+      }
+    });
+    this.decoder.on('frame_error', ({ message }) => {
+      this.emit('log', { level: 'warn', message: `Framing error: ${message}` });
+    });
   }
 
   /**
-   * Initialize the serial connection
+   * Initialize the connection over the configured transport
    */
   async connect() {
     if (this.simulationMode) {
@@ -35,48 +59,50 @@ class SerialConnection extends EventEmitter {
       return;
     }
 
+    this.closing = false;
+
     try {
-      const { SerialPort } = await import('serialport');
-      
-      this.port = new SerialPort({
-        path: this.config.path,
-        baudRate: this.config.baudRate,
-        autoOpen: false
-      });
+      if (this.port) {
+        this.port.removeAllListeners();
+      }
+      this.port = createTransport(this.config);
 
       this.port.on('open', () => {
         this.isOpen = true;
+        this.decoder.reset();
         this.reconnectAttempts = 0;
+        this.lastError = null;
         this.emit('open');
-        this.emit('log', { level: 'info', message: `Serial port opened: ${this.config.path}` });
+        this.emit('log', { level: 'info', message: `${this.port.type.toUpperCase()} transport opened: ${this.port.endpoint}` });
         this.processQueue();
       });
 
       this.port.on('close', () => {
         this.isOpen = false;
         this.emit('close');
-        this.emit('log', { level: 'warn', message: 'Serial port closed' });
+        if (this.closing) return;
+        this.emit('log', { level: 'warn', message: `${this.port.type.toUpperCase()} transport closed` });
         this.attemptReconnect();
       });
 
       this.port.on('error', (err) => {
-        this.emit('error', err);
-        this.emit('log', { level: 'error', message: `Serial error: ${err.message}` });
+        this.lastError = err.message;
+        if (this.listenerCount('error') > 0) {
+          this.emit('error', err);
+        }
+        this.emit('log', { level: 'error', message: `Transport error: ${err.message}` });
       });
 
       this.port.on('data', (data) => {
         this.emit('data', data);
+        this.decoder.push(data);
       });
 
-      await new Promise((resolve, reject) => {
-        this.port.open((err) => {
-          if (err) reject(err);
-          else resolve();
-        });
-      });
+      await this.port.open();
 
     } catch (err) {
-      this.emit('log', { level: 'error', message: `Failed to open serial port: ${err.message}` });
+      this.lastError = err.message;
+      this.emit('log', { level: 'error', message: `Failed to open ${this.config.transport} transport: ${err.message}` });
       throw err;
     }
   }
@@ -96,7 +122,8 @@ class SerialConnection extends EventEmitter {
       message: `Attempting reconnection (${this.reconnectAttempts}/${this.maxReconnectAttempts})...` 
     });
 
-    setTimeout(async () => {
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
       try {
         await this.connect();
       } catch (err) {
@@ -115,24 +142,34 @@ class SerialConnection extends EventEmitter {
       return;
     }
 
+    this.closing = true;
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+
     if (this.port && this.isOpen) {
-      return new Promise((resolve) => {
-        this.port.close(() => {
-          this.isOpen = false;
-          resolve();
-        });
-      });
+      await this.port.close();
+      this.isOpen = false;
     }
   }
 
   /**
    * Send data to the serial port
+   * Higher priority packets are sent first; a queued packet for the same address
+   * and command is replaced by the newer one and its promise resolves with {coalesced: true}
    * @param {Buffer} data - Data to send
-   * @returns {Promise<void>}
+   * @param {Object} options - {priority: 'interactive' | 'session' | 'ambient' | 'diagnostic',
+   *   coalesce: false to keep the packet even if a newer one for the same address follows}
+   * @returns {Promise<void|Object>}
    */
-  async send(data) {
+  async send(data, options = {}) {
+    // Record the commanded color as soon as the packet is queued, so the
+    // next fade calculated for this address starts from it
+    this.lightState.applyPacket(data);
+
     return new Promise((resolve, reject) => {
-      this.commandQueue.push({ data, resolve, reject });
+      this.commandQueue.enqueue({ data, resolve, reject, coalesce: options.coalesce }, options.priority);
       this.processQueue();
     });
   }
@@ -150,7 +187,8 @@ class SerialConnection extends EventEmitter {
     }
 
     this.processing = true;
-    const { data, resolve, reject } = this.commandQueue.shift();
+    const entry = this.commandQueue.shift();
+    const { data, resolve, reject } = entry;
 
     try {
       if (this.simulationMode) {
@@ -158,23 +196,14 @@ class SerialConnection extends EventEmitter {
           level: 'debug', 
           message: `[SIM] Sending: ${this.bufferToHex(data)}` 
         });
-        this.emit('sent', { data, simulated: true });
+        this.emit('sent', { data, simulated: true, priority: entry.priority });
+        this.commandQueue.markSent(entry);
         await this.delay(5);
         resolve();
       } else {
-        await new Promise((res, rej) => {
-          this.port.write(data, (err) => {
-            if (err) {
-              rej(err);
-              return;
-            }
-            this.port.drain((drainErr) => {
-              if (drainErr) rej(drainErr);
-              else res();
-            });
-          });
-        });
-        this.emit('sent', { data, simulated: false });
+        await this.port.write(data);
+        this.emit('sent', { data, simulated: false, priority: entry.priority });
+        this.commandQueue.markSent(entry);
         resolve();
       }
     } catch (err) {
@@ -185,7 +214,7 @@ class SerialConnection extends EventEmitter {
     this.processing = false;
     
     if (this.commandQueue.length > 0) {
-      await this.delay(10);
+      await this.delay(this.config.interPacketDelay);
       this.processQueue();
     }
   }
@@ -226,10 +255,15 @@ class SerialConnection extends EventEmitter {
     return {
       isOpen: this.isOpen,
       simulationMode: this.simulationMode,
+      transport: this.config.transport,
+      endpoint: this.config.transport === 'serial' ? this.config.path : `${this.config.host}:${this.config.port}`,
       port: this.config.path,
       baudRate: this.config.baudRate,
       queueLength: this.commandQueue.length,
-      reconnectAttempts: this.reconnectAttempts
+      queue: this.commandQueue.getStats(),
+      reconnectAttempts: this.reconnectAttempts,
+      lastError: this.lastError,
+      receive: this.decoder.getStats()
     };
   }
 
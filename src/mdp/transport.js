@@ -0,0 +1,267 @@
+/**
+ * Controller Transports
+ * Byte-stream transports the SerialConnection can drive: USB serial,
+ * raw TCP and UDP (for Ethernet-to-serial bridges)
+ */
+
+const EventEmitter = require('events');
+const net = require('net');
+const dgram = require('dgram');
+
+const TRANSPORT_TYPES = ['serial', 'tcp', 'udp'];
+const DEFAULT_CONNECT_TIMEOUT_MS = 5000;
+
+/**
+ * USB/RS-485 serial port transport
+ */
+class SerialTransport extends EventEmitter {
+  constructor(config) {
+    super();
+    this.type = 'serial';
+    this.path = config.path;
+    this.baudRate = config.baudRate;
+    this.port = null;
+  }
+
+  get endpoint() {
+    return this.path;
+  }
+
+  async open() {
+    const { SerialPort } = require('serialport');
+
+    this.port = new SerialPort({
+      path: this.path,
+      baudRate: this.baudRate,
+      autoOpen: false
+    });
+
+    this.port.on('open', () => this.emit('open'));
+    this.port.on('close', () => this.emit('close'));
+    this.port.on('error', (err) => this.emit('error', err));
+    this.port.on('data', (data) => this.emit('data', data));
+
+    await new Promise((resolve, reject) => {
+      this.port.open((err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  write(data) {
+    return new Promise((resolve, reject) => {
+      this.port.write(data, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        this.port.drain((drainErr) => {
+          if (drainErr) reject(drainErr);
+          else resolve();
+        });
+      });
+    });
+  }
+
+  close() {
+    return new Promise((resolve) => {
+      if (!this.port || !this.port.isOpen) {
+        resolve();
+        return;
+      }
+      this.port.close(() => resolve());
+    });
+  }
+}
+
+/**
+ * Raw TCP client transport
+ */
+class TcpTransport extends EventEmitter {
+  constructor(config) {
+    super();
+    this.type = 'tcp';
+    this.host = config.host;
+    this.port = config.port;
+    this.connectTimeout = config.connectTimeout || DEFAULT_CONNECT_TIMEOUT_MS;
+    this.socket = null;
+  }
+
+  get endpoint() {
+    return `${this.host}:${this.port}`;
+  }
+
+  open() {
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.host, port: this.port });
+      this.socket = socket;
+      socket.setNoDelay(true);
+      socket.setTimeout(this.connectTimeout);
+
+      const onConnectError = (err) => {
+        socket.destroy();
+        reject(err);
+      };
+
+      socket.once('error', onConnectError);
+      socket.once('timeout', () => onConnectError(new Error(`Connection to ${this.endpoint} timed out`)));
+
+      socket.once('connect', () => {
+        socket.setTimeout(0);
+        socket.removeAllListeners('error');
+        socket.removeAllListeners('timeout');
+
+        socket.on('error', (err) => this.emit('error', err));
+        socket.on('data', (data) => this.emit('data', data));
+        socket.on('close', () => this.emit('close'));
+
+        this.emit('open');
+        resolve();
+      });
+    });
+  }
+
+  write(data) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || this.socket.destroyed) {
+        reject(new Error(`Not connected to ${this.endpoint}`));
+        return;
+      }
+      this.socket.write(data, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  close() {
+    return new Promise((resolve) => {
+      if (!this.socket || this.socket.destroyed) {
+        resolve();
+        return;
+      }
+      // Writes are awaited individually, so nothing is left buffered
+      this.socket.once('close', () => resolve());
+      this.socket.destroy();
+    });
+  }
+}
+
+/**
+ * UDP transport; every packet is sent as one datagram to the bridge
+ */
+class UdpTransport extends EventEmitter {
+  constructor(config) {
+    super();
+    this.type = 'udp';
+    this.host = config.host;
+    this.port = config.port;
+    this.localPort = config.localPort || 0;
+    this.socket = null;
+  }
+
+  get endpoint() {
+    return `${this.host}:${this.port}`;
+  }
+
+  open() {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket('udp4');
+      this.socket = socket;
+
+      socket.once('error', (err) => {
+        socket.close();
+        reject(err);
+      });
+
+      socket.bind(this.localPort, () => {
+        socket.connect(this.port, this.host, (err) => {
+          if (err) {
+            socket.close();
+            reject(err);
+            return;
+          }
+
+          socket.removeAllListeners('error');
+          socket.on('error', (socketErr) => this.emit('error', socketErr));
+          socket.on('message', (data) => this.emit('data', data));
+          socket.on('close', () => this.emit('close'));
+
+          this.emit('open');
+          resolve();
+        });
+      });
+    });
+  }
+
+  write(data) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) {
+        reject(new Error(`Not connected to ${this.endpoint}`));
+        return;
+      }
+      this.socket.send(data, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  close() {
+    return new Promise((resolve) => {
+      if (!this.socket) {
+        resolve();
+        return;
+      }
+      try {
+        this.socket.close(() => resolve());
+      } catch (err) {
+        // Already closed
+        resolve();
+      }
+    });
+  }
+}
+
+/**
+ * Create the transport selected by the connection config
+ * @param {Object} config - {transport, path, baudRate, host, port}
+ * @returns {EventEmitter} Transport emitting open, close, error and data
+ */
+function createTransport(config) {
+  switch (config.transport || 'serial') {
+    case 'serial':
+      return new SerialTransport(config);
+    case 'tcp':
+      return new TcpTransport(config);
+    case 'udp':
+      return new UdpTransport(config);
+    default:
+      throw new Error(`Unknown transport: ${config.transport}`);
+  }
+}
+
+/**
+ * Build the connection config from stored settings
+ * @param {Object} settings - Settings database ops
+ * @returns {Object} {transport, path, baudRate, host, port}
+ */
+function configFromSettings(settings) {
+  return {
+    transport: settings.get('transport_type') || 'serial',
+    path: settings.get('com_port') || '/dev/ttyUSB0',
+    baudRate: parseInt(settings.get('baud_rate') || '38400', 10),
+    host: settings.get('network_host') || '127.0.0.1',
+    port: parseInt(settings.get('network_port') || '4001', 10)
+  };
+}
+
+module.exports = {
+  TRANSPORT_TYPES,
+  SerialTransport,
+  TcpTransport,
+  UdpTransport,
+  createTransport,
+  configFromSettings
+};
@@ -4,12 +4,18 @@
  */
 
 const EventEmitter = require('events');
+const { estimateFadeMs } = require('../mdp/protocol');
+
+const OUTPUT_COMMANDS = new Set([0x20, 0x21, 0x22, 0x23, 0x2C, 0x31, 0x2E, 0x2F]);
+const CHANNELS = ['r', 'g', 'b'];
 
 class LightSimulator extends EventEmitter {
   constructor() {
     super();
     this.lights = new Map();
     this.enabled = false;
+    this.frameIntervalMs = 0;
+    this.frameTimer = null;
   }
 
   /**
@@ -41,6 +47,7 @@ class LightSimulator extends EventEmitter {
         name: apt.name,
         address: apt.lightswarm_address,
         floor: apt.floor,
+        position: apt.unit_position ?? null,
         tower: apt.tower_id,
         state: {
           on: false,
@@ -49,6 +56,8 @@ class LightSimulator extends EventEmitter {
           g: 0,
           b: 0
         },
+        flash: null,
+        fade: null,
         lastUpdated: null
       });
     });
@@ -68,6 +77,8 @@ class LightSimulator extends EventEmitter {
           g: 0,
           b: 0
         },
+        flash: null,
+        fade: null,
         lastUpdated: null
       });
     });
@@ -118,6 +129,14 @@ class LightSimulator extends EventEmitter {
     const now = new Date().toISOString();
     let change = {};
 
+    // Any new output level cancels a running fade or flash, which first
+    // settles at the value it had reached
+    if (OUTPUT_COMMANDS.has(command)) {
+      this.updateLight(light);
+      light.flash = null;
+      light.fade = null;
+    }
+
     switch (command) {
       case 0x20:
         light.state.on = true;
@@ -147,15 +166,17 @@ class LightSimulator extends EventEmitter {
         change = { command: 'LEVEL', level };
         break;
 
-      case 0x23:
+      case 0x23: {
         const fadeLevel = data[0] || 0;
-        light.state.on = fadeLevel > 0;
-        light.state.level = fadeLevel;
-        light.state.r = fadeLevel;
-        light.state.g = fadeLevel;
-        light.state.b = fadeLevel;
-        change = { command: 'FADE', level: fadeLevel, interval: data[1], step: data[2] };
+        const timing = { interval: data[1] || 1, step: data[2] || 1 };
+        const durationMs = this.startFade(light, {
+          r: { level: fadeLevel, ...timing },
+          g: { level: fadeLevel, ...timing },
+          b: { level: fadeLevel, ...timing }
+        });
+        change = { command: 'FADE', level: fadeLevel, interval: timing.interval, step: timing.step, durationMs };
         break;
+      }
 
       case 0x2C:
         const r = data[0] || 0;
@@ -169,17 +190,33 @@ class LightSimulator extends EventEmitter {
         change = { command: 'RGB_LEVEL', r, g, b };
         break;
 
-      case 0x31:
-        const rFade = data[0] || 0;
-        const gFade = data[3] || 0;
-        const bFade = data[6] || 0;
-        light.state.on = rFade > 0 || gFade > 0 || bFade > 0;
-        light.state.level = Math.max(rFade, gFade, bFade);
-        light.state.r = rFade;
-        light.state.g = gFade;
-        light.state.b = bFade;
-        change = { command: 'RGB_FADE', r: rFade, g: gFade, b: bFade };
+      case 0x31: {
+        const channel = (offset) => ({ level: data[offset] || 0, interval: data[offset + 1] || 1, step: data[offset + 2] || 1 });
+        const target = { r: channel(0), g: channel(3), b: channel(6) };
+        const durationMs = this.startFade(light, target);
+        change = { command: 'RGB_FADE', r: target.r.level, g: target.g.level, b: target.b.level, durationMs };
+        break;
+      }
+
+      case 0x2E: {
+        const flash = this.parseFlashTiming(data);
+        const levelA = data[6] || 0;
+        const levelB = data[7] || 0;
+        flash.colorA = { r: levelA, g: levelA, b: levelA };
+        flash.colorB = { r: levelB, g: levelB, b: levelB };
+        this.startFlash(light, flash);
+        change = { command: 'FLASH', levelA, levelB, steps: flash.steps };
+        break;
+      }
+
+      case 0x2F: {
+        const flash = this.parseFlashTiming(data);
+        flash.colorA = { r: data[6] || 0, g: data[7] || 0, b: data[8] || 0 };
+        flash.colorB = { r: data[9] || 0, g: data[10] || 0, b: data[11] || 0 };
+        this.startFlash(light, flash);
+        change = { command: 'RGB_FLASH', colorA: flash.colorA, colorB: flash.colorB, steps: flash.steps };
         break;
+      }
 
       default:
         change = { command: `UNKNOWN_${command.toString(16)}` };
@@ -196,6 +233,177 @@ class LightSimulator extends EventEmitter {
     };
   }
 
+  /**
+   * Start a per-channel fade from the light's current color
+   * Each channel moves `step` levels toward its target every `interval` x 10 ms
+   * @param {Object} light - Light record
+   * @param {Object} target - {r, g, b} each {level, interval, step}
+   * @returns {number} Duration of the slowest channel in milliseconds
+   */
+  startFade(light, target) {
+    const channels = {};
+    let durationMs = 0;
+
+    for (const c of CHANNELS) {
+      const from = light.state[c];
+      const { level, interval, step } = target[c];
+      channels[c] = { from, to: level, intervalMs: interval * 10, step };
+      durationMs = Math.max(durationMs, estimateFadeMs(from, level, { interval, step }));
+    }
+
+    light.fade = { channels, startedAt: Date.now(), durationMs };
+    this.scheduleFrames();
+    return durationMs;
+  }
+
+  /**
+   * Advance a fading light to the level each channel has reached now
+   */
+  updateFade(light, now = Date.now()) {
+    const fade = light.fade;
+    if (!fade) return;
+
+    const elapsed = now - fade.startedAt;
+    const color = {};
+
+    for (const c of CHANNELS) {
+      const { from, to, intervalMs, step } = fade.channels[c];
+      const moved = Math.floor(elapsed / intervalMs) * step;
+      color[c] = to > from ? Math.min(to, from + moved) : Math.max(to, from - moved);
+    }
+
+    if (elapsed >= fade.durationMs) {
+      light.fade = null;
+    }
+
+    this.setColor(light, color);
+  }
+
+  /**
+   * Bring a light's fade or flash up to date
+   */
+  updateLight(light, now = Date.now()) {
+    this.updateFade(light, now);
+    this.updateFlash(light, now);
+  }
+
+  /**
+   * Bring every fading or flashing light up to date
+   */
+  updateTransitions() {
+    const now = Date.now();
+    for (const light of this.lights.values()) {
+      this.updateLight(light, now);
+    }
+  }
+
+  /**
+   * Emit a light_updated event for every changing light at a fixed frame rate
+   * while fades or flashes are running
+   * @param {number} intervalMs - Frame interval (0 disables frame events)
+   */
+  setFrameInterval(intervalMs) {
+    this.frameIntervalMs = Math.max(0, intervalMs || 0);
+    if (this.frameIntervalMs === 0 && this.frameTimer) {
+      clearInterval(this.frameTimer);
+      this.frameTimer = null;
+    }
+    this.scheduleFrames();
+  }
+
+  /**
+   * Start the frame timer if frame events are on and something is moving
+   */
+  scheduleFrames() {
+    if (this.frameTimer || this.frameIntervalMs === 0) return;
+
+    this.frameTimer = setInterval(() => this.emitFrame(), this.frameIntervalMs);
+    this.frameTimer.unref();
+  }
+
+  /**
+   * Advance transitioning lights and emit the ones whose color changed
+   */
+  emitFrame() {
+    const now = Date.now();
+    let active = 0;
+
+    for (const [address, light] of this.lights) {
+      if (!light.fade && !light.flash) continue;
+
+      const before = `${light.state.r},${light.state.g},${light.state.b}`;
+      this.updateLight(light, now);
+      if (light.fade || light.flash) active++;
+
+      if (`${light.state.r},${light.state.g},${light.state.b}` !== before) {
+        this.emit('light_updated', {
+          address,
+          light: { ...light, state: { ...light.state } },
+          change: { command: 'FRAME' },
+          frame: true,
+          simulated: true,
+          timestamp: new Date(now).toISOString()
+        });
+      }
+    }
+
+    if (active === 0) {
+      clearInterval(this.frameTimer);
+      this.frameTimer = null;
+    }
+  }
+
+  /**
+   * Read step count and intervals shared by FLASH and RGB_FLASH
+   */
+  parseFlashTiming(data) {
+    return {
+      steps: (data[0] << 8) | data[1],
+      intervalAMs: (((data[2] << 8) | data[3]) || 1) * 10,
+      intervalBMs: (((data[4] << 8) | data[5]) || 1) * 10
+    };
+  }
+
+  /**
+   * Put a light into flashing state, starting on color A
+   */
+  startFlash(light, flash) {
+    light.flash = { ...flash, indefinite: flash.steps === 65535, startedAt: Date.now() };
+    this.setColor(light, flash.colorA);
+    this.scheduleFrames();
+  }
+
+  /**
+   * Set a light's current color
+   */
+  setColor(light, color) {
+    light.state.r = color.r;
+    light.state.g = color.g;
+    light.state.b = color.b;
+    light.state.level = Math.max(color.r, color.g, color.b);
+    light.state.on = light.state.level > 0;
+  }
+
+  /**
+   * Advance a flashing light to the step it should show now
+   * Finite flashes hold the color of their last step once complete
+   */
+  updateFlash(light, now = Date.now()) {
+    const flash = light.flash;
+    if (!flash) return;
+
+    const cycleMs = flash.intervalAMs + flash.intervalBMs;
+    const elapsed = now - flash.startedAt;
+    let step = Math.floor(elapsed / cycleMs) * 2 + ((elapsed % cycleMs) >= flash.intervalAMs ? 1 : 0);
+
+    if (!flash.indefinite && step >= flash.steps) {
+      step = flash.steps - 1;
+      light.flash = null;
+    }
+
+    this.setColor(light, step % 2 === 0 ? flash.colorA : flash.colorB);
+  }
+
   /**
    * Execute broadcast command
    */
@@ -223,6 +431,7 @@ class LightSimulator extends EventEmitter {
    * Get current state of all lights
    */
   getAllStates() {
+    this.updateTransitions();
     const states = [];
     for (const [address, light] of this.lights) {
       states.push({
@@ -237,34 +446,43 @@ class LightSimulator extends EventEmitter {
    * Get state of a specific light
    */
   getState(address) {
-    return this.lights.get(address) || null;
+    const light = this.lights.get(address);
+    if (!light) return null;
+    this.updateLight(light);
+    return light;
   }
 
   /**
-   * Get lights by floor
+   * Get lights by floor, in unit position order
    */
   getLightsByFloor(floor) {
+    this.updateTransitions();
     const floorLights = [];
     for (const [address, light] of this.lights) {
       if (light.floor === floor) {
         floorLights.push({ address, ...light });
       }
     }
-    return floorLights;
+    return floorLights.sort((a, b) => (a.position ?? Infinity) - (b.position ?? Infinity));
   }
 
   /**
    * Get summary statistics
    */
   getStats() {
+    this.updateTransitions();
     let totalLights = 0;
     let lightsOn = 0;
+    let lightsFlashing = 0;
+    let lightsFading = 0;
     let apartments = 0;
     let amenities = 0;
 
     for (const [address, light] of this.lights) {
       totalLights++;
       if (light.state.on) lightsOn++;
+      if (light.flash) lightsFlashing++;
+      if (light.fade) lightsFading++;
       if (light.type === 'apartment') apartments++;
       if (light.type === 'amenity') amenities++;
     }
@@ -273,6 +491,8 @@ class LightSimulator extends EventEmitter {
       totalLights,
       lightsOn,
       lightsOff: totalLights - lightsOn,
+      lightsFlashing,
+      lightsFading,
       apartments,
       amenities,
       enabled: this.enabled
@@ -291,6 +511,8 @@ class LightSimulator extends EventEmitter {
         g: 0,
         b: 0
       };
+      light.flash = null;
+      light.fade = null;
       light.lastUpdated = new Date().toISOString();
     }
     this.emit('reset', { count: this.lights.size });
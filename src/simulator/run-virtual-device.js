@@ -0,0 +1,62 @@
+/**
+ * Virtual Device Script
+ * Run with: npm run virtual-device -- [--link /tmp/ttyLSVIRT0] [--latency 0] [--drop 0] [--corrupt 0]
+ *
+ * Point com_port at the link path and start the middleware with simulation mode
+ * off to drive the real serial code path. Lights and ping responders come from
+ * the database mapping.
+ */
+
+const { database } = require('../config');
+const LightSimulator = require('./index');
+const VirtualDevice = require('./virtual-device');
+
+function parseArgs(argv) {
+  const args = { link: '/tmp/ttyLSVIRT0', latencyMs: 0, dropRate: 0, corruptRate: 0 };
+  for (let i = 0; i < argv.length; i++) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--link': args.link = value; i++; break;
+      case '--latency': args.latencyMs = parseInt(value, 10); i++; break;
+      case '--drop': args.dropRate = parseFloat(value); i++; break;
+      case '--corrupt': args.corruptRate = parseFloat(value); i++; break;
+      default:
+        console.error(`Unknown option: ${argv[i]}`);
+        process.exit(1);
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  await database.initialize();
+  const simulator = new LightSimulator();
+  simulator.initializeFromDatabase(database);
+  simulator.setEnabled(true);
+  database.close();
+
+  const device = new VirtualDevice({ ...args, simulator });
+  const path = await device.start();
+
+  console.log(`Virtual LS-USB-IF listening on ${path} (${device.ttyPath})`);
+  console.log(`  ${simulator.getStats().totalLights} lights, latency ${args.latencyMs} ms, drop ${args.dropRate}, corrupt ${args.corruptRate}`);
+  console.log(`  Set com_port to ${path}; Ctrl+C to stop`);
+
+  simulator.on('light_updated', (change) => {
+    if (change.error) return;
+    console.log(`  ${change.address}: ${JSON.stringify(change)}`);
+  });
+
+  process.on('SIGINT', async () => {
+    console.log('\nStats:', device.getStats());
+    await device.stop();
+    process.exit(0);
+  });
+}
+
+main().catch(err => {
+  console.error('Failed to start virtual device:', err.message);
+  process.exit(1);
+});
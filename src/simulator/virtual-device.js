@@ -0,0 +1,294 @@
+/**
+ * Virtual LS-USB-IF Device
+ * Pseudo-terminal backed controller for exercising the real serial code path
+ * without hardware (Linux only). Frames written to the terminal are decoded,
+ * applied to a LightSimulator and pings are answered, with optional latency,
+ * dropped frames and corrupted checksums.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const { spawn } = require('child_process');
+const LightSimulator = require('./index');
+const { FrameDecoder, MDP_COMMANDS, BROADCAST_ADDRESS, calculateChecksum, slip } = require('../mdp');
+
+// Opens a pty pair, prints the terminal path and relays the master side over
+// stdin/stdout. The slave fd is held open so the terminal survives the port
+// being closed and reopened by the middleware.
+const PTY_HELPER = `
+import os, pty, select, sys, tty
+master, slave = pty.openpty()
+tty.setraw(slave)
+sys.stdout.write(os.ttyname(slave) + "\\n")
+sys.stdout.flush()
+while True:
+    ready, _, _ = select.select([master, 0], [], [])
+    if master in ready:
+        try:
+            data = os.read(master, 4096)
+        except OSError:
+            data = b""
+        if data:
+            os.write(1, data)
+    if 0 in ready:
+        data = os.read(0, 4096)
+        if not data:
+            break
+        os.write(master, data)
+`;
+
+class VirtualDevice extends EventEmitter {
+  /**
+   * @param {Object} options
+   * @param {string} options.link - Stable symlink to the terminal (survives restarts)
+   * @param {Object} options.simulator - LightSimulator to apply commands to (a new one by default)
+   * @param {number[]} options.devices - Addresses that answer pings (default: every simulator light)
+   * @param {number} options.latencyMs - Delay before each frame is handled
+   * @param {number} options.dropRate - Fraction of received frames ignored (0-1)
+   * @param {number} options.corruptRate - Fraction of replies sent with a bad checksum (0-1)
+   * @param {Function} options.random - Random source for drop/corrupt decisions
+   */
+  constructor(options = {}) {
+    super();
+    this.link = options.link || null;
+    this.simulator = options.simulator || new LightSimulator();
+    this.devices = options.devices ? new Set(options.devices) : null;
+    this.latencyMs = options.latencyMs || 0;
+    this.dropRate = options.dropRate || 0;
+    this.corruptRate = options.corruptRate || 0;
+    this.random = options.random || Math.random;
+
+    this.process = null;
+    this.ttyPath = null;
+    this.groups = new Map();
+    this.decoder = new FrameDecoder();
+    this.decoder.on('packet', (packet) => this.receive(packet));
+    this.stats = { framesReceived: 0, framesDropped: 0, checksumErrors: 0, pingsAnswered: 0, repliesCorrupted: 0 };
+
+    if (!options.simulator) {
+      this.simulator.setEnabled(true);
+    }
+  }
+
+  /**
+   * Path the middleware should open (the symlink if one was requested)
+   */
+  get path() {
+    return this.link || this.ttyPath;
+  }
+
+  /**
+   * Check if the terminal is up
+   */
+  isRunning() {
+    return this.process !== null;
+  }
+
+  /**
+   * Create the pseudo terminal
+   * @returns {Promise<string>} Path to open
+   */
+  start() {
+    if (this.process) {
+      return Promise.resolve(this.path);
+    }
+
+    return new Promise((resolve, reject) => {
+      const child = spawn('python3', ['-c', PTY_HELPER], { stdio: ['pipe', 'pipe', 'inherit'] });
+      let header = '';
+
+      const onData = (chunk) => {
+        if (this.ttyPath) {
+          this.decoder.push(chunk);
+          return;
+        }
+
+        header += chunk.toString('latin1');
+        const newline = header.indexOf('\n');
+        if (newline === -1) return;
+
+        this.ttyPath = header.slice(0, newline);
+        const rest = Buffer.from(header.slice(newline + 1), 'latin1');
+        if (rest.length > 0) {
+          this.decoder.push(rest);
+        }
+
+        if (this.link) {
+          fs.rmSync(this.link, { force: true });
+          fs.symlinkSync(this.ttyPath, this.link);
+        }
+
+        this.emit('started', { path: this.path, tty: this.ttyPath });
+        resolve(this.path);
+      };
+
+      child.stdout.on('data', onData);
+      child.once('error', reject);
+      child.once('exit', (code) => {
+        const wasRunning = this.process === child;
+        this.process = null;
+        this.ttyPath = null;
+        this.decoder.reset();
+        if (wasRunning && this.link) {
+          fs.rmSync(this.link, { force: true });
+        }
+        if (wasRunning) {
+          this.emit('stopped', { code });
+        }
+        reject(new Error(`PTY helper exited with code ${code}`));
+      });
+
+      this.process = child;
+    });
+  }
+
+  /**
+   * Tear down the terminal; the port on the other side sees the device disappear
+   */
+  stop() {
+    if (!this.process) {
+      return Promise.resolve();
+    }
+
+    const child = this.process;
+    return new Promise((resolve) => {
+      child.once('exit', () => resolve());
+      child.kill();
+    });
+  }
+
+  /**
+   * Stop and start again, e.g. to test reconnection
+   * @param {number} downtimeMs - Time the device stays away
+   */
+  async restart(downtimeMs = 0) {
+    await this.stop();
+    if (downtimeMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, downtimeMs));
+    }
+    return this.start();
+  }
+
+  /**
+   * Handle one decoded frame from the middleware
+   */
+  async receive(packet) {
+    this.stats.framesReceived++;
+
+    if (!packet.checksumValid) {
+      this.stats.checksumErrors++;
+      return;
+    }
+
+    if (this.dropRate > 0 && this.random() < this.dropRate) {
+      this.stats.framesDropped++;
+      this.emit('dropped', packet);
+      return;
+    }
+
+    if (this.latencyMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latencyMs));
+    }
+
+    this.emit('frame', packet);
+    this.apply(packet);
+  }
+
+  /**
+   * Apply a frame the way the LightSwarm bus would
+   */
+  apply({ address, command, data }) {
+    switch (command) {
+      case MDP_COMMANDS.PING_REQ:
+        this.answerPing(address);
+        return;
+
+      case MDP_COMMANDS.PADDSET:
+        this.setPseudoAddress(address, (data[0] << 8) | data[1]);
+        return;
+
+      case MDP_COMMANDS.PADDERASE:
+        for (const members of this.groups.values()) {
+          members.delete(address);
+        }
+        return;
+
+      default:
+        break;
+    }
+
+    const targets = this.groups.has(address) ? [...this.groups.get(address)] : [address];
+    for (const target of targets) {
+      const result = this.simulator.executeCommand(target, command, data);
+      if (result) {
+        this.simulator.emit('light_updated', result);
+      }
+    }
+  }
+
+  /**
+   * Assign a light to a pseudo address (one group per light)
+   */
+  setPseudoAddress(address, pseudoAddress) {
+    for (const members of this.groups.values()) {
+      members.delete(address);
+    }
+    if (!this.groups.has(pseudoAddress)) {
+      this.groups.set(pseudoAddress, new Set());
+    }
+    this.groups.get(pseudoAddress).add(address);
+  }
+
+  /**
+   * Check if a physical address is present on the virtual bus
+   */
+  hasDevice(address) {
+    return this.devices ? this.devices.has(address) : this.simulator.lights.has(address);
+  }
+
+  /**
+   * Reply to a ping from every addressed device that exists
+   */
+  answerPing(address) {
+    const responders = address === BROADCAST_ADDRESS
+      ? (this.devices ? [...this.devices] : [...this.simulator.lights.keys()])
+      : [address].filter(a => this.hasDevice(a));
+
+    for (const responder of responders) {
+      this.reply([(responder >> 8) & 0xFF, responder & 0xFF, MDP_COMMANDS.PING_RESP]);
+      this.stats.pingsAnswered++;
+    }
+  }
+
+  /**
+   * Send a frame back to the middleware, corrupting it if configured
+   * @param {number[]} commandBytes - Address, command and data bytes
+   */
+  reply(commandBytes) {
+    if (!this.process) return;
+
+    let checksum = calculateChecksum(commandBytes);
+    if (this.corruptRate > 0 && this.random() < this.corruptRate) {
+      checksum ^= 0xFF;
+      this.stats.repliesCorrupted++;
+    }
+
+    const frame = slip.encode([...commandBytes, checksum]);
+    this.process.stdin.write(frame);
+  }
+
+  /**
+   * Get virtual device statistics
+   */
+  getStats() {
+    return {
+      running: this.isRunning(),
+      path: this.path,
+      tty: this.ttyPath,
+      groups: this.groups.size,
+      ...this.stats
+    };
+  }
+}
+
+module.exports = VirtualDevice;
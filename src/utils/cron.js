@@ -0,0 +1,222 @@
+/**
+ * Cron Expressions
+ * Five-field cron rules (minute hour day-of-month month day-of-week) in
+ * server local time, with lists, ranges, steps, month/day names and the
+ * @hourly, @daily, @midnight, @weekly, @monthly shortcuts
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'dayOfWeek', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+// Search limit for the next or previous run (rules like "30 2 31 2 *" never match)
+const MAX_SEARCH_DAYS = 366 * 4;
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Parse one value of a field (number or name)
+ */
+function parseValue(text, field) {
+  const lower = text.toLowerCase();
+  if (field.names) {
+    const index = field.names.indexOf(lower);
+    if (index !== -1) {
+      return field.min === 0 ? index : index + 1;
+    }
+  }
+
+  if (!/^\d+$/.test(text)) {
+    throw new Error(`Invalid ${field.name} value: ${text}`);
+  }
+  const value = parseInt(text, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} must be ${field.min}-${field.max}: ${text}`);
+  }
+  return value;
+}
+
+/**
+ * Parse a field into the set of values it matches
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw new Error(`Invalid ${field.name} step: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range: ${range}`);
+      }
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max;
+    }
+
+    for (let v = start; v <= end; v += step) {
+      values.add(v);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - e.g. "0 22 * * mon-fri" or "@daily"
+ * @returns {Object} {minute, hour, dayOfMonth, month, dayOfWeek: Set, anyDayOfMonth, anyDayOfWeek}
+ * @throws {Error} If the expression is invalid
+ */
+function parse(expression) {
+  if (typeof expression !== 'string') {
+    throw new Error('Cron expression must be a string');
+  }
+
+  const text = SHORTCUTS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields: ${expression}`);
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, i) => {
+    parsed[field.name] = parseField(parts[i], field);
+  });
+
+  // Sunday may be written as 0 or 7
+  if (parsed.dayOfWeek.has(7)) {
+    parsed.dayOfWeek.add(0);
+    parsed.dayOfWeek.delete(7);
+  }
+
+  parsed.anyDayOfMonth = parts[2] === '*';
+  parsed.anyDayOfWeek = parts[4] === '*';
+  return parsed;
+}
+
+/**
+ * Check an expression without throwing
+ * @returns {string|null} Error message
+ */
+function validate(expression) {
+  try {
+    parse(expression);
+    return null;
+  } catch (err) {
+    return err.message;
+  }
+}
+
+/**
+ * Check if a day matches; like cron, a restricted day-of-month and
+ * day-of-week match if either does
+ */
+function matchesDay(parsed, date) {
+  if (!parsed.month.has(date.getMonth() + 1)) return false;
+
+  const dom = parsed.dayOfMonth.has(date.getDate());
+  const dow = parsed.dayOfWeek.has(date.getDay());
+  if (parsed.anyDayOfMonth) return dow;
+  if (parsed.anyDayOfWeek) return dom;
+  return dom || dow;
+}
+
+/**
+ * Check if a rule fires in the minute containing a date
+ * @param {Object|string} rule - Parsed or text expression
+ * @param {Date} date - Local time
+ */
+function matches(rule, date) {
+  const parsed = typeof rule === 'string' ? parse(rule) : rule;
+  return matchesDay(parsed, date) &&
+    parsed.hour.has(date.getHours()) &&
+    parsed.minute.has(date.getMinutes());
+}
+
+/**
+ * Find the first minute after a date when a rule fires
+ * @param {Object|string} rule - Parsed or text expression
+ * @param {Date} after - Start (exclusive)
+ * @returns {Date|null} Run time, or null if the rule never fires
+ */
+function next(rule, after = new Date()) {
+  const parsed = typeof rule === 'string' ? parse(rule) : rule;
+  const date = new Date(Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS);
+  const limit = after.getTime() + MAX_SEARCH_DAYS * 24 * 60 * MINUTE_MS;
+
+  while (date.getTime() <= limit) {
+    if (!matchesDay(parsed, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!parsed.hour.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!parsed.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the last minute at or before a date when a rule fired
+ * @param {Object|string} rule - Parsed or text expression
+ * @param {Date} before - End (inclusive)
+ * @returns {Date|null} Run time, or null if the rule never fired in the search window
+ */
+function previous(rule, before = new Date()) {
+  const parsed = typeof rule === 'string' ? parse(rule) : rule;
+  const date = new Date(Math.floor(before.getTime() / MINUTE_MS) * MINUTE_MS);
+  const limit = before.getTime() - MAX_SEARCH_DAYS * 24 * 60 * MINUTE_MS;
+
+  while (date.getTime() >= limit) {
+    if (!matchesDay(parsed, date)) {
+      date.setHours(0, 0, 0, 0);
+      date.setMinutes(-1);
+    } else if (!parsed.hour.has(date.getHours())) {
+      date.setMinutes(0, 0, 0);
+      date.setMinutes(-1);
+    } else if (!parsed.minute.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() - 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parse,
+  validate,
+  matches,
+  next,
+  previous
+};
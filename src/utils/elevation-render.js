@@ -0,0 +1,199 @@
+/**
+ * Elevation Renderer
+ * Draws a building elevation (floors by unit position) in the lights' current
+ * colors as SVG or PNG, for bug reports, sign-off documents and docs pages
+ */
+
+const zlib = require('zlib');
+
+const CELL_WIDTH = 24;
+const CELL_HEIGHT = 12;
+const GAP = 2;
+const LABEL_WIDTH = 32;
+const PADDING = 8;
+const BACKGROUND = { r: 17, g: 24, b: 39 };
+const UNASSIGNED = { r: 55, g: 65, b: 81 };
+
+/**
+ * Place every unit of a floor in a column: its unit_position where set,
+ * otherwise the next free column
+ * @returns {Object[]} [{unit, column}]
+ */
+function placeUnits(units) {
+  const taken = new Set(units.filter(u => u.position > 0).map(u => u.position - 1));
+  let next = 0;
+
+  return units.map(unit => {
+    if (unit.position > 0) {
+      return { unit, column: unit.position - 1 };
+    }
+    while (taken.has(next)) next++;
+    taken.add(next);
+    return { unit, column: next };
+  });
+}
+
+/**
+ * Work out cell rectangles and colors for a layout
+ * @param {Object} layout - {floors: [{floor, units}]} as built by ElevationStream.getLayout()
+ * @param {Function} colorOf - (address) => {r, g, b}
+ * @param {Object} options - {scale, labels}
+ * @returns {Object} {width, height, rows: [{floor, y}], cells: [{x, y, w, h, color, unit}]}
+ */
+function buildGeometry(layout, colorOf, options = {}) {
+  const scale = options.scale || 1;
+  const left = (options.labels ? LABEL_WIDTH : 0) + PADDING;
+  const rows = [];
+  const cells = [];
+  let columns = 1;
+
+  layout.floors.forEach((row, i) => {
+    const y = PADDING + i * (CELL_HEIGHT + GAP);
+    rows.push({ floor: row.floor, y });
+
+    for (const { unit, column } of placeUnits(row.units)) {
+      columns = Math.max(columns, column + 1);
+      cells.push({
+        x: left + column * (CELL_WIDTH + GAP),
+        y,
+        w: CELL_WIDTH,
+        h: CELL_HEIGHT,
+        color: unit.addresses.length > 0 ? colorOf(unit.addresses[0]) : UNASSIGNED,
+        unit
+      });
+    }
+  });
+
+  const width = left + columns * (CELL_WIDTH + GAP) - GAP + PADDING;
+  const height = PADDING * 2 + Math.max(1, rows.length) * (CELL_HEIGHT + GAP) - GAP;
+
+  const scaled = (v) => Math.round(v * scale);
+  return {
+    width: scaled(width),
+    height: scaled(height),
+    rows: rows.map(r => ({ ...r, y: scaled(r.y) })),
+    cells: cells.map(c => ({ ...c, x: scaled(c.x), y: scaled(c.y), w: scaled(c.w), h: scaled(c.h) }))
+  };
+}
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"']/g, (c) => ({
+    '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', '\'': '&apos;'
+  })[c]);
+}
+
+function rgb({ r, g, b }) {
+  return `rgb(${r},${g},${b})`;
+}
+
+/**
+ * Render a layout as an SVG document with floor labels and unit tooltips
+ * @param {Object} layout - Elevation layout
+ * @param {Function} colorOf - (address) => {r, g, b}
+ * @param {Object} options - {scale, title}
+ * @returns {string} SVG markup
+ */
+function renderSvg(layout, colorOf, options = {}) {
+  const scale = options.scale || 1;
+  const { width, height, rows, cells } = buildGeometry(layout, colorOf, { scale, labels: true });
+  const fontSize = Math.round(9 * scale);
+
+  const lines = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<title>${escapeXml(options.title || 'Elevation')}</title>`,
+    `<rect width="${width}" height="${height}" fill="${rgb(BACKGROUND)}"/>`
+  ];
+
+  for (const row of rows) {
+    const y = row.y + Math.round(CELL_HEIGHT * scale / 2);
+    lines.push(`<text x="${Math.round((PADDING + LABEL_WIDTH - 6) * scale)}" y="${y}" fill="#9ca3af" font-family="sans-serif" font-size="${fontSize}" text-anchor="end" dominant-baseline="middle">${row.floor}</text>`);
+  }
+
+  for (const { x, y, w, h, color, unit } of cells) {
+    const rx = unit.type === 'amenity' ? Math.round(h / 2) : Math.round(2 * scale);
+    const label = unit.addresses.length > 0
+      ? `${unit.name} (${unit.addresses.join(', ')})`
+      : `${unit.name} (unassigned)`;
+    lines.push(`<rect x="${x}" y="${y}" width="${w}" height="${h}" rx="${rx}" fill="${rgb(color)}"><title>${escapeXml(label)}</title></rect>`);
+  }
+
+  lines.push('</svg>');
+  return lines.join('\n');
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Render a layout as an 8-bit RGB PNG (cells only, no text)
+ * @param {Object} layout - Elevation layout
+ * @param {Function} colorOf - (address) => {r, g, b}
+ * @param {Object} options - {scale}
+ * @returns {Buffer} PNG image
+ */
+function renderPng(layout, colorOf, options = {}) {
+  const { width, height, cells } = buildGeometry(layout, colorOf, { scale: options.scale || 1 });
+  const stride = width * 3 + 1;
+  const pixels = Buffer.alloc(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * stride + 1 + x * 3;
+      pixels[i] = BACKGROUND.r;
+      pixels[i + 1] = BACKGROUND.g;
+      pixels[i + 2] = BACKGROUND.b;
+    }
+  }
+
+  for (const { x, y, w, h, color } of cells) {
+    for (let py = y; py < y + h; py++) {
+      for (let px = x; px < x + w; px++) {
+        const i = py * stride + 1 + px * 3;
+        pixels[i] = color.r;
+        pixels[i + 1] = color.g;
+        pixels[i + 2] = color.b;
+      }
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;  // bit depth
+  header[9] = 2;  // truecolor RGB
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', zlib.deflateSync(pixels)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+module.exports = {
+  buildGeometry,
+  renderSvg,
+  renderPng
+};
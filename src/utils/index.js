@@ -3,7 +3,13 @@
  */
 
 const excelImport = require('./excel-import');
+const elevationRender = require('./elevation-render');
+const cron = require('./cron');
+const jsonSchema = require('./json-schema');
 
 module.exports = {
-  excelImport
+  excelImport,
+  elevationRender,
+  cron,
+  jsonSchema
 };
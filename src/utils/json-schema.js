@@ -0,0 +1,118 @@
+/**
+ * JSON Schema Validation
+ * Checks values against the subset of JSON Schema the API schemas use:
+ * type, enum, minimum, maximum, exclusiveMinimum, minItems, items,
+ * properties, required, additionalProperties (false or a schema) and
+ * OpenAPI-style discriminator mappings. Errors carry the JSON path of the bad value.
+ */
+
+/**
+ * Check a value against a JSON Schema type name
+ */
+function isType(value, type) {
+  switch (type) {
+    case 'object':
+      return typeof value === 'object' && value !== null && !Array.isArray(value);
+    case 'array':
+      return Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'null':
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * Path of a property below a path, e.g. $.steps[0].color
+ */
+function childPath(path, key) {
+  return typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema
+ * @param {string} path - JSON path of the value
+ * @returns {Object[]} Errors [{path, message}], empty if valid
+ */
+function validate(value, schema, path = '$') {
+  const errors = [];
+  const fail = (message, at = path) => errors.push({ path: at, message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => isType(value, type))) {
+      fail(`must be ${types.map(type => (type === 'integer' || type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`)).join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(item, schema.items, childPath(path, i))));
+    }
+  }
+
+  if (isType(value, 'object')) {
+    if (schema.discriminator) {
+      const { propertyName, mapping } = schema.discriminator;
+      const key = value[propertyName];
+      if (key === undefined) {
+        fail('is required', childPath(path, propertyName));
+        return errors;
+      }
+      if (!mapping[key]) {
+        fail(`must be one of: ${Object.keys(mapping).join(', ')}`, childPath(path, propertyName));
+        return errors;
+      }
+      errors.push(...validate(value, mapping[key], path));
+    }
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        fail('is required', childPath(path, name));
+      }
+    }
+
+    const properties = schema.properties || {};
+    for (const [name, child] of Object.entries(value)) {
+      if (properties[name]) {
+        errors.push(...validate(child, properties[name], childPath(path, name)));
+      } else if (schema.additionalProperties === false) {
+        fail('is not allowed', childPath(path, name));
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validate(child, schema.additionalProperties, childPath(path, name)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validate
+};
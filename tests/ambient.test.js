@@ -0,0 +1,71 @@
+/**
+ * Animation Engine Tests
+ */
+
+const mdp = require('../src/mdp');
+const { AnimationEngine } = require('../src/animation');
+
+describe('Crossfade', () => {
+  let sent;
+  let serial;
+  let settings;
+  let engine;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    sent = [];
+    settings = { animation_crossfade_ms: '1000' };
+    serial = {
+      lightState: new mdp.LightStateStore(),
+      send: async (packet) => {
+        serial.lightState.applyPacket(packet);
+        sent.push(packet);
+      }
+    };
+    engine = new AnimationEngine(serial, {
+      apartments: { getAll: () => [{ id: 'A1', floor: 1, lightswarm_address: 1 }] },
+      settings: { get: (key) => settings[key] || null }
+    });
+  });
+
+  afterEach(() => {
+    engine.stop();
+    jest.useRealTimers();
+  });
+
+  test('blends frames from the colors the last sequence left', async () => {
+    const breathe = (color) => ({ type: 'breathe', color, minIntensity: 255, maxIntensity: 255 });
+
+    await engine.runSequence(breathe({ r: 255, g: 0, b: 0 }));
+    await jest.advanceTimersByTimeAsync(1000);
+    await engine.stopAmbient();
+    sent = [];
+
+    await engine.runSequence(breathe({ r: 0, g: 0, b: 255 }));
+    expect(sent).toEqual([mdp.packetRgbLevel(1, 255, 0, 0)]);
+
+    await jest.advanceTimersByTimeAsync(500);
+    expect(serial.lightState.get(1)).toEqual({ r: 128, g: 0, b: 128 });
+
+    await jest.advanceTimersByTimeAsync(500);
+    expect(serial.lightState.get(1)).toEqual({ r: 0, g: 0, b: 255 });
+  });
+
+  test('steps fade over the rest of the crossfade, or cut when it is off', async () => {
+    await serial.send(mdp.packetRgbLevel(5, 255, 0, 0));
+    const expected = mdp.packetRgbFadeToColor(5, 0, 0, 255, 1000, { r: 255, g: 0, b: 0 });
+
+    await engine.runSequence({ type: 'static', steps: [{ command: 'address', address: 5, color: { r: 0, g: 0, b: 255 }, intensity: 255 }] });
+    expect(sent[sent.length - 1]).toEqual(expected);
+
+    await engine.stopAmbient();
+    await engine.runDefaultAmbient();
+    const fade = mdp.calculateFadeParams(255, 100, 1000);
+    expect(sent[sent.length - 1]).toEqual(mdp.packetFade(mdp.BROADCAST_ADDRESS, 100, fade.interval, fade.step));
+
+    settings.animation_crossfade_ms = '0';
+    await engine.stopAmbient();
+    await engine.runDefaultAmbient();
+    expect(sent[sent.length - 1]).toEqual(mdp.packetBroadcast('level', 100));
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Apartment Query Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const mdp = require('../src/mdp');
+const { database } = require('../src/config');
+const apartmentsRouter = require('../src/api/routes/apartments');
+
+describe('Apartment Query', () => {
+  const units = [
+    { id: 'T1-101', towerId: 'T1', floor: 1, plotNumber: 10, unitType: '1BR', unitPosition: 1, currentState: 'AVAILABLE', lightswarmAddress: 11 },
+    { id: 'T1-102', towerId: 'T1', floor: 1, plotNumber: 11, unitType: '2BR', unitPosition: 2, currentState: 'SOLD', lightswarmAddress: 12 },
+    { id: 'T1-201', towerId: 'T1', floor: 2, plotNumber: 20, unitType: '1BR', unitPosition: 1, currentState: 'AVAILABLE', lightswarmAddress: 21 },
+    { id: 'T1-301', towerId: 'T1', floor: 3, plotNumber: 30, unitType: '3BR', unitPosition: 1, currentState: 'RESERVED', lightswarmAddress: 31 },
+    { id: 'T2-101', towerId: 'T2', floor: 1, plotNumber: 40, unitType: '1BR', unitPosition: 1, currentState: 'AVAILABLE', lightswarmAddress: 41 }
+  ];
+  const ids = (rows) => rows.map(row => row.id);
+
+  let directory;
+  let server;
+  let baseUrl;
+  let serial;
+
+  beforeAll(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mdp-query-'));
+    await database.initialize(path.join(directory, 'query.db'));
+    for (const unit of units) {
+      database.apartments.create({ ...unit, name: `Unit ${unit.id}`, unitNumber: unit.id });
+    }
+
+    const app = express();
+    app.use(express.json());
+    app.use('/apartments', apartmentsRouter);
+    app.use((err, req, res, next) => res.status(500).json({ error: err.message }));
+    app.locals.io = { emit: jest.fn() };
+    app.locals.compositor = null;
+    app.locals.serial = serial = {
+      lightState: new mdp.LightStateStore(),
+      send: jest.fn().mockResolvedValue(true)
+    };
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/apartments`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    database.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    serial.send.mockClear();
+    for (const unit of units) {
+      database.apartments.updateState(unit.id, unit.currentState);
+    }
+  });
+
+  const query = async (body) => {
+    const res = await fetch(`${baseUrl}/query`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  describe('database.apartments.query', () => {
+    test('matches a list of values for each attribute', () => {
+      expect(ids(database.apartments.query({ unitTypes: ['1BR'] }))).toEqual(['T1-101', 'T1-201', 'T2-101']);
+      expect(ids(database.apartments.query({ unitTypes: ['2BR', '3BR'] }))).toEqual(['T1-102', 'T1-301']);
+      expect(ids(database.apartments.query({ states: ['SOLD', 'RESERVED'], unitPositions: [1, 2] }))).toEqual(['T1-102', 'T1-301']);
+    });
+
+    test('combines criteria with AND', () => {
+      expect(ids(database.apartments.query({ tower: 'T1', unitTypes: ['1BR'], states: ['AVAILABLE'] })))
+        .toEqual(['T1-101', 'T1-201']);
+    });
+
+    test('filters on floor and plot number ranges', () => {
+      expect(ids(database.apartments.query({ floor: { min: 2 } }))).toEqual(['T1-201', 'T1-301']);
+      expect(ids(database.apartments.query({ floor: { min: 1, max: 2 }, tower: 'T1' }))).toEqual(['T1-101', 'T1-102', 'T1-201']);
+      expect(ids(database.apartments.query({ plotNumber: { max: 11 } }))).toEqual(['T1-101', 'T1-102']);
+    });
+
+    test('returns an empty list when nothing matches', () => {
+      expect(database.apartments.query({ tower: 'T3' })).toEqual([]);
+    });
+  });
+
+  describe('PUT /apartments/query', () => {
+    test('accepts a single value or a list for each filter', async () => {
+      const single = await query({ filter: { unitType: '1BR', floor: 1 }, fadeTime: 0 });
+      expect(single.status).toBe(200);
+      expect(ids(single.body.matched)).toEqual(['T1-101', 'T2-101']);
+
+      const list = await query({ filter: { unitType: ['2BR', '3BR'], state: ['SOLD'] }, fadeTime: 0 });
+      expect(list.status).toBe(200);
+      expect(ids(list.body.matched)).toEqual(['T1-102']);
+    });
+
+    test('filters on floor and plot number ranges', async () => {
+      const floors = await query({ filter: { floor: { min: 2, max: 3 } }, fadeTime: 0 });
+      expect(ids(floors.body.matched)).toEqual(['T1-201', 'T1-301']);
+
+      const plots = await query({ filter: { plotNumber: { min: 11, max: 20 } }, fadeTime: 0 });
+      expect(ids(plots.body.matched)).toEqual(['T1-102', 'T1-201']);
+    });
+
+    test('lights every match and reports what it matched and updated', async () => {
+      const { status, body } = await query({ filter: { tower: 'T1', state: 'AVAILABLE' }, state: 'SELECTED', fadeTime: 0 });
+
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ success: true, count: 2 });
+      expect(body.matched[0]).toEqual({
+        id: 'T1-101',
+        name: 'Unit T1-101',
+        tower: 'T1',
+        floor: 1,
+        unitType: '1BR',
+        plotNumber: 10,
+        unitPosition: 1,
+        previousState: 'AVAILABLE'
+      });
+      expect(body.updated.map(result => [result.id, result.state, result.addresses]))
+        .toEqual([['T1-101', 'SELECTED', [11]], ['T1-201', 'SELECTED', [21]]]);
+      expect(body.errors).toBeUndefined();
+      expect(serial.send).toHaveBeenCalledTimes(2);
+      expect(database.apartments.get('T1-201').current_state).toBe('SELECTED');
+    });
+
+    test('reports a query with no matches without lighting anything', async () => {
+      const { status, body } = await query({ filter: { unitType: 'Penthouse' } });
+
+      expect(status).toBe(200);
+      expect(body).toEqual({ success: true, matched: [], updated: [], count: 0 });
+      expect(serial.send).not.toHaveBeenCalled();
+    });
+
+    test('rejects unknown filter keys', async () => {
+      const { status, body } = await query({ filter: { unitType: '1BR', bedrooms: 2 } });
+
+      expect(status).toBe(400);
+      expect(body.code).toBe('VALIDATION_ERROR');
+      expect(body.details[0].path).toBe('filter');
+    });
+
+    test('rejects a range whose min is above its max', async () => {
+      const { status, body } = await query({ filter: { floor: { min: 3, max: 1 } } });
+
+      expect(status).toBe(400);
+      expect(body.details.map(detail => detail.path)).toEqual(['filter.floor']);
+    });
+
+    test('rejects an empty filter', async () => {
+      const { status } = await query({ filter: {} });
+      expect(status).toBe(400);
+      expect(serial.send).not.toHaveBeenCalled();
+    });
+  });
+});
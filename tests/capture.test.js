@@ -0,0 +1,144 @@
+/**
+ * Packet Capture Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const mdp = require('../src/mdp');
+const adminRouter = require('../src/api/routes/admin');
+
+describe('Packet Capture', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'capture-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('records outgoing and incoming frames with timestamps', async () => {
+    const connection = new mdp.SerialConnection({ simulationMode: true, interPacketDelay: 0 });
+    await connection.connect();
+    const recorder = new mdp.capture.PacketCapture(connection, { directory });
+
+    recorder.start({ name: 'demo' });
+    await connection.send(mdp.packetLevel(5, 128));
+    connection.decoder.push(mdp.packetPing(9));
+    const summary = await recorder.stop();
+
+    expect(summary).toMatchObject({ file: 'demo.jsonl', frames: { tx: 1, rx: 1 } });
+
+    const { header, records } = mdp.capture.readCapture(path.join(directory, 'demo.jsonl'));
+    expect(header.version).toBe(mdp.capture.CAPTURE_VERSION);
+    expect(records.map(r => r.dir)).toEqual(['tx', 'rx']);
+    expect([...records[0].data]).toEqual([...mdp.packetLevel(5, 128)]);
+    expect([...records[1].data]).toEqual([...mdp.packetPing(9)]);
+    expect(records[1].t).toBeGreaterThanOrEqual(records[0].t);
+  });
+
+  test('fails to start when the capture file cannot be created', async () => {
+    const connection = new mdp.SerialConnection({ simulationMode: true });
+    const recorder = new mdp.capture.PacketCapture(connection, { directory });
+    fs.writeFileSync(path.join(directory, 'demo.jsonl'), '');
+
+    expect(() => recorder.start({ name: 'demo' })).toThrow(expect.objectContaining({ code: 'EEXIST' }));
+    expect(recorder.isRecording()).toBe(false);
+    expect(connection.listenerCount('sent')).toBe(0);
+  });
+
+  test('replays repeated packets to a connection without coalescing them', async () => {
+    const connection = new mdp.SerialConnection({ simulationMode: true, interPacketDelay: 0 });
+    await connection.connect();
+    const sent = [];
+    connection.on('sent', ({ data }) => sent.push(data));
+
+    const records = [1, 2, 3].map(level => ({ t: 0, dir: 'tx', data: mdp.packetLevel(5, level) }));
+    const sink = (data) => connection.send(data, { priority: 'interactive', coalesce: false });
+    await new mdp.capture.CaptureReplay(records, sink).start();
+    while (connection.commandQueue.length > 0 || connection.processing) {
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+
+    expect(sent).toEqual(records.map(r => r.data));
+    expect(connection.commandQueue.getStats().coalesced).toBe(0);
+    await connection.close();
+  });
+
+  test('replays outgoing frames with their original spacing', async () => {
+    const records = [
+      { t: 100, dir: 'tx', data: mdp.packetOn(1) },
+      { t: 120, dir: 'rx', data: mdp.packetPing(1) },
+      { t: 160, dir: 'tx', data: mdp.packetOff(1) }
+    ];
+    const played = [];
+    const start = Date.now();
+    const replay = new mdp.capture.CaptureReplay(records, (data) => {
+      played.push({ data, at: Date.now() - start });
+    });
+
+    const result = await replay.start();
+
+    expect(result).toEqual({ sent: 2, total: 2, stopped: false });
+    expect([...played[1].data]).toEqual([...mdp.packetOff(1)]);
+    expect(played[0].at).toBeLessThan(30);
+    expect(played[1].at).toBeGreaterThanOrEqual(55);
+  });
+
+  test('stops a replay early', async () => {
+    const records = [
+      { t: 0, dir: 'tx', data: mdp.packetOn(1) },
+      { t: 10000, dir: 'tx', data: mdp.packetOff(1) }
+    ];
+    const replay = new mdp.capture.CaptureReplay(records, () => {});
+    const done = replay.start();
+    replay.stop();
+
+    expect(await done).toEqual({ sent: 1, total: 2, stopped: true });
+  });
+
+  test('reports a replay whose target fails and lets another start', async () => {
+    const connection = new mdp.SerialConnection({ simulationMode: true, interPacketDelay: 0 });
+    await connection.connect();
+    const recorder = new mdp.capture.PacketCapture(connection, { directory });
+    recorder.start({ name: 'demo' });
+    await connection.send(mdp.packetLevel(5, 128));
+    await recorder.stop();
+    await connection.close();
+
+    const app = express();
+    app.use(express.json());
+    app.use('/admin', adminRouter);
+    app.locals.capture = recorder;
+    app.locals.simulator = {
+      isEnabled: () => true,
+      processPacket: () => { throw new Error('simulator broke'); }
+    };
+    let failed;
+    const reported = new Promise(resolve => { failed = resolve; });
+    app.locals.io = { emit: jest.fn((event, data) => event === 'capture_replay_failed' && failed(data)) };
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    try {
+      const res = await fetch(`http://127.0.0.1:${server.address().port}/admin/capture/replay`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ file: 'demo.jsonl' })
+      });
+      expect(res.status).toBe(202);
+
+      expect(await reported).toMatchObject({ file: 'demo.jsonl', target: 'simulator', error: 'simulator broke', running: false, sent: 0 });
+      expect(app.locals.replay.running).toBe(false);
+      expect(error).toHaveBeenCalledWith('Capture replay failed:', expect.any(Error));
+    } finally {
+      error.mockRestore();
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
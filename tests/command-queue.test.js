@@ -0,0 +1,82 @@
+/**
+ * Command Queue Tests
+ */
+
+const mdp = require('../src/mdp');
+
+describe('Command Queue', () => {
+  const entry = (data) => ({ data, resolve: jest.fn(), reject: jest.fn() });
+
+  test('sends higher priority packets first', () => {
+    const queue = new mdp.CommandQueue();
+    queue.enqueue(entry(mdp.packetLevel(1, 10)), 'ambient');
+    queue.enqueue(entry(mdp.packetPing(2)), 'diagnostic');
+    queue.enqueue(entry(mdp.packetLevel(3, 30)), 'interactive');
+
+    expect(queue.shift().priority).toBe('interactive');
+    expect(queue.shift().priority).toBe('ambient');
+    expect(queue.shift().priority).toBe('diagnostic');
+    expect(queue.shift()).toBeNull();
+  });
+
+  test('coalesces queued packets for the same address and command', () => {
+    const queue = new mdp.CommandQueue();
+    const stale = entry(mdp.packetLevel(5, 10));
+    queue.enqueue(stale, 'ambient');
+    queue.enqueue(entry(mdp.packetFade(5, 0, 1, 1)), 'ambient');
+    queue.enqueue(entry(mdp.packetLevel(5, 200)), 'interactive');
+
+    expect(stale.resolve).toHaveBeenCalledWith({ coalesced: true });
+    expect(queue.length).toBe(2);
+    expect(queue.getStats().coalesced).toBe(1);
+
+    const first = queue.shift();
+    expect(first.priority).toBe('interactive');
+    expect(mdp.decodeFrame(mdp.slip.decode(first.data)).data[0]).toBe(200);
+  });
+
+  test('keeps a coalesced packet at the higher of the two priorities', () => {
+    const queue = new mdp.CommandQueue();
+    const agent = entry(mdp.packetRgbLevel(5, 255, 0, 0));
+    queue.enqueue(entry(mdp.packetRgbLevel(1, 0, 0, 0)), 'interactive');
+    queue.enqueue(agent, 'interactive');
+    queue.enqueue(entry(mdp.packetRgbLevel(2, 0, 0, 0)), 'ambient');
+    queue.enqueue(entry(mdp.packetRgbLevel(5, 0, 0, 255)), 'ambient');
+
+    expect(agent.resolve).toHaveBeenCalledWith({ coalesced: true });
+    expect(queue.getStats().classes).toMatchObject({
+      interactive: { depth: 2 },
+      ambient: { depth: 1 }
+    });
+
+    queue.shift();
+    const merged = queue.shift();
+    expect(merged.priority).toBe('interactive');
+    expect(mdp.decodeFrame(mdp.slip.decode(merged.data)).address).toBe(5);
+  });
+
+  test('never coalesces configuration packets', () => {
+    const queue = new mdp.CommandQueue();
+    queue.enqueue(entry(mdp.packetPseudoAddressSet(5, 900)), 'diagnostic');
+    queue.enqueue(entry(mdp.packetPseudoAddressSet(5, 901)), 'diagnostic');
+
+    expect(queue.length).toBe(2);
+  });
+
+  test('reports depth and latency per priority class', () => {
+    const queue = new mdp.CommandQueue();
+    queue.enqueue(entry(mdp.packetLevel(1, 10)), 'session');
+    queue.enqueue(entry(mdp.packetLevel(2, 10)), 'bogus');
+
+    let stats = queue.getStats();
+    expect(stats.depth).toBe(2);
+    expect(stats.classes.session.depth).toBe(1);
+    expect(stats.classes.interactive.depth).toBe(1);
+
+    queue.markSent(queue.shift());
+    stats = queue.getStats();
+    expect(stats.sent).toBe(1);
+    expect(stats.classes.interactive.avgLatencyMs).toBeGreaterThanOrEqual(0);
+    expect(stats.classes.session.avgLatencyMs).toBeNull();
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Layer Compositor Tests
+ */
+
+const mdp = require('../src/mdp');
+const { AnimationEngine, Compositor, effects } = require('../src/animation');
+
+describe('Layer Compositor', () => {
+  let sent;
+  let serial;
+  let compositor;
+
+  beforeEach(() => {
+    sent = [];
+    serial = {
+      lightState: new mdp.LightStateStore(),
+      send: async (packet, options) => {
+        serial.lightState.applyPacket(packet);
+        sent.push({ packet, options });
+      }
+    };
+    compositor = new Compositor(serial);
+  });
+
+  test('blends layers in priority order', () => {
+    compositor.set('base', [{ address: 1, color: { r: 100, g: 100, b: 100 } }]);
+    compositor.set('effect', [{ address: 1, color: { r: 200, g: 0, b: 50 } }]);
+    expect(compositor.composite(1)).toEqual({ r: 200, g: 0, b: 50 });
+
+    compositor.configure('effect', { blend: 'add' });
+    expect(compositor.composite(1)).toEqual({ r: 255, g: 100, b: 150 });
+
+    compositor.configure('effect', { blend: 'multiply' });
+    expect(compositor.composite(1)).toEqual({ r: 78, g: 0, b: 20 });
+
+    compositor.configure('effect', { blend: 'normal', opacity: 0.5 });
+    expect(compositor.composite(1)).toEqual({ r: 150, g: 50, b: 75 });
+
+    expect(compositor.composite(2)).toBeNull();
+    expect(() => compositor.configure('effect', { blend: 'dodge' })).toThrow('Unknown blend mode');
+    expect(() => compositor.configure('glow', {})).toThrow('Unknown layer');
+  });
+
+  test('keeps held and highlighted states over effects', async () => {
+    compositor.setState([1], 'SOLD', { r: 200, g: 0, b: 0 });
+    compositor.setState([2], 'AVAILABLE', { r: 0, g: 200, b: 0 });
+    compositor.setState([3], 'SELECTED', { r: 255, g: 255, b: 255 });
+    const wave = new Map([1, 2, 3].map(address => [address, { r: 0, g: 0, b: 90 }]));
+    compositor.set('effect', wave);
+
+    await compositor.flush();
+    expect(sent.map(s => s.packet)).toEqual([
+      mdp.packetRgbLevel(1, 200, 0, 0),
+      mdp.packetRgbLevel(2, 0, 0, 90),
+      mdp.packetRgbLevel(3, 255, 255, 255)
+    ]);
+
+    sent = [];
+    compositor.set('effect', wave);
+    await compositor.flush();
+    expect(sent).toHaveLength(0);
+
+    compositor.setState([3], 'AVAILABLE', { r: 0, g: 200, b: 0 });
+    compositor.clear('effect');
+    await compositor.flush({ fadeTimeMs: 500 });
+    expect(sent.map(s => s.packet)).toEqual([
+      mdp.packetRgbFadeToColor(3, 0, 200, 0, 500, { r: 255, g: 255, b: 255 }),
+      mdp.packetRgbFadeToColor(2, 0, 200, 0, 500, { r: 0, g: 0, b: 90 })
+    ]);
+    expect(compositor.inspect(1)).toEqual({ address: 1, layers: { base: { r: 200, g: 0, b: 0, hold: true } }, composite: { r: 200, g: 0, b: 0 } });
+  });
+
+  test('animations breathe on unsold units only', async () => {
+    jest.useFakeTimers();
+    const database = {
+      apartments: { getAll: () => [{ id: 'A', floor: 1, lightswarm_address: 1 }, { id: 'B', floor: 1, lightswarm_address: 2 }] },
+      settings: { get: (key) => (key === 'animation_crossfade_ms' ? '0' : null) }
+    };
+    const engine = new AnimationEngine(serial, database);
+    engine.setCompositor(compositor);
+    compositor.setState([1], 'SOLD', { r: 200, g: 0, b: 0 });
+    await compositor.flush();
+    sent = [];
+
+    await engine.runSequence({ type: 'breathe', color: { r: 0, g: 0, b: 255 }, minIntensity: 0, maxIntensity: 200, breatheDuration: 1000 });
+    await jest.advanceTimersByTimeAsync(250);
+    expect(sent.every(s => s.packet.equals(mdp.packetRgbLevel(2, 0, 0, s.packet[6])))).toBe(true);
+    expect(sent[0].options.priority).toBe('ambient');
+    expect(serial.lightState.get(1)).toEqual({ r: 200, g: 0, b: 0 });
+    expect(serial.lightState.get(2).b).toBe(100);
+
+    await engine.stopAmbient();
+    expect(serial.lightState.get(2)).toEqual({ r: 0, g: 0, b: 100 });
+    jest.useRealTimers();
+  });
+});
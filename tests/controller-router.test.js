@@ -0,0 +1,92 @@
+/**
+ * Controller Router Tests
+ */
+
+const mdp = require('../src/mdp');
+
+describe('Controller Router', () => {
+  async function createRouter(definitions) {
+    const router = new mdp.ControllerRouter({ simulationMode: true });
+    await router.load(definitions);
+    await router.connect();
+    const sent = [];
+    router.on('sent', ({ data, controllerId }) => {
+      sent.push({ controllerId, address: mdp.decodeFrame(mdp.slip.decode(data)).address });
+    });
+    return { router, sent };
+  }
+
+  const twoTowers = [
+    { id: 'north', addressRanges: [{ start: 1, end: 99 }] },
+    { id: 'south', addressRanges: [{ start: 100, end: 199 }] }
+  ];
+
+  test('routes packets to the controller owning the address', async () => {
+    const { router, sent } = await createRouter(twoTowers);
+    await router.send(mdp.packetLevel(42, 100));
+    await router.send(mdp.packetLevel(150, 100));
+
+    expect(sent).toEqual([
+      { controllerId: 'north', address: 42 },
+      { controllerId: 'south', address: 150 }
+    ]);
+  });
+
+  test('splits broadcasts across every controller', async () => {
+    const { router, sent } = await createRouter(twoTowers);
+    await router.send(mdp.packetBroadcast('off'));
+
+    expect(sent.map(s => s.controllerId).sort()).toEqual(['north', 'south']);
+  });
+
+  test('sends group addresses to every controller driving a member', async () => {
+    const { router, sent } = await createRouter(twoTowers);
+    router.lightState.setGroupResolver(address => (address === 900 ? [10, 110] : []));
+    await router.send(mdp.packetLevel(900, 50));
+
+    expect(sent.map(s => s.controllerId).sort()).toEqual(['north', 'south']);
+  });
+
+  test('sends unowned addresses to the catch-all controller', async () => {
+    const { router, sent } = await createRouter([...twoTowers, { id: 'spare', addressRanges: [] }]);
+    await router.send(mdp.packetOn(500));
+
+    expect(sent).toEqual([{ controllerId: 'spare', address: 500 }]);
+  });
+
+  test('reports health per controller', async () => {
+    const { router } = await createRouter(twoTowers);
+    const status = router.getStatus();
+
+    expect(status.isOpen).toBe(true);
+    expect(status.controllers.map(c => [c.id, c.health])).toEqual([['north', 'ok'], ['south', 'ok']]);
+  });
+
+  test('rejects sends still queued when controllers are reloaded or closed', async () => {
+    const { router } = await createRouter(twoTowers);
+    const queued = () => {
+      const entry = { data: mdp.packetLevel(42, 100), resolve: jest.fn(), reject: jest.fn() };
+      router.controllers.get('north').connection.commandQueue.enqueue(entry, 'ambient');
+      return entry;
+    };
+
+    const reloaded = queued();
+    await router.load(twoTowers);
+    expect(reloaded.reject).toHaveBeenCalledWith(expect.objectContaining({ message: 'controller reloaded' }));
+
+    const closed = queued();
+    await router.close();
+    expect(closed.reject).toHaveBeenCalledWith(expect.objectContaining({ message: 'controller closed' }));
+    expect(closed.resolve).not.toHaveBeenCalled();
+  });
+
+  test('rejects overlapping address ranges', () => {
+    const errors = mdp.ControllerRouter.validateDefinitions([
+      ...twoTowers,
+      { id: 'east', addressRanges: [{ start: 190, end: 250 }] }
+    ]);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/overlaps south/);
+  });
+});
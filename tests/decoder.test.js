@@ -0,0 +1,73 @@
+/**
+ * Frame Decoder Tests
+ */
+
+const mdp = require('../src/mdp');
+
+describe('Frame Decoder', () => {
+  test('decodes a packet split across chunks', () => {
+    const decoder = new mdp.FrameDecoder();
+    const packets = [];
+    decoder.on('packet', p => packets.push(p));
+
+    const packet = mdp.packetRgbLevel(0x1234, 255, 128, 0);
+    decoder.push(packet.subarray(0, 3));
+    decoder.push(packet.subarray(3));
+
+    expect(packets).toHaveLength(1);
+    expect(packets[0]).toMatchObject({
+      address: 0x1234,
+      command: 0x2C,
+      commandName: 'RGB_LEVEL',
+      data: [255, 128, 0],
+      checksumValid: true
+    });
+  });
+
+  test('unescapes END and ESC bytes in payload', () => {
+    const decoder = new mdp.FrameDecoder();
+    const packets = [];
+    decoder.on('packet', p => packets.push(p));
+
+    decoder.push(mdp.packetLevel(0x00C0, 0xDB));
+
+    expect(packets[0].address).toBe(0xC0);
+    expect(packets[0].data).toEqual([0xDB]);
+  });
+
+  test('decodes consecutive packets in one chunk', () => {
+    const decoder = new mdp.FrameDecoder();
+    const packets = [];
+    decoder.on('packet', p => packets.push(p));
+
+    decoder.push(Buffer.concat([mdp.packetOn(1), mdp.packetOff(2)]));
+
+    expect(packets.map(p => p.commandName)).toEqual(['ON', 'OFF']);
+    expect(decoder.getStats().packetsDecoded).toBe(2);
+  });
+
+  test('flags checksum errors', () => {
+    const decoder = new mdp.FrameDecoder();
+    const packets = [];
+    decoder.on('packet', p => packets.push(p));
+
+    decoder.push(Buffer.from([0xC0, 0x00, 0x05, 0x20, 0x00, 0xC0]));
+
+    expect(packets[0].checksumValid).toBe(false);
+    expect(decoder.getStats().checksumErrors).toBe(1);
+  });
+
+  test('counts framing errors and resynchronises', () => {
+    const decoder = new mdp.FrameDecoder();
+    const packets = [];
+    decoder.on('packet', p => packets.push(p));
+
+    decoder.push(Buffer.from([0xC0, 0x00, 0xDB, 0x01, 0x20, 0xC0]));
+    decoder.push(Buffer.from([0xC0, 0x01, 0xC0]));
+    decoder.push(mdp.packetOn(5));
+
+    expect(decoder.getStats().framingErrors).toBe(2);
+    expect(packets).toHaveLength(1);
+    expect(packets[0].address).toBe(5);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Device Discovery Tests
+ */
+
+const EventEmitter = require('events');
+const express = require('express');
+const mdp = require('../src/mdp');
+const adminRouter = require('../src/api/routes/admin');
+
+describe('Device Discovery', () => {
+  let serial;
+  let database;
+  let seen;
+  let discovery;
+
+  // Answers pings from the given addresses; 40 replies through the master address
+  function createSerial(responders) {
+    const fake = new EventEmitter();
+    fake.pinged = [];
+    fake.send = jest.fn(async (packet, options) => {
+      const frame = mdp.decodeFrame(mdp.slip.decode(packet));
+      fake.pinged.push({ address: frame.address, options });
+      if (!responders.includes(frame.address)) return;
+      setImmediate(() => fake.emit('packet', frame.address === 40
+        ? { address: mdp.MASTER_ADDRESS, command: mdp.MDP_COMMANDS.PING_RESP, data: [0, 40], checksumValid: true }
+        : { address: frame.address, command: mdp.MDP_COMMANDS.PING_RESP, data: [], checksumValid: true }));
+    });
+    return fake;
+  }
+
+  beforeEach(() => {
+    seen = new Map();
+    database = {
+      settings: { get: (key) => ({ discovery_start_address: '1', discovery_end_address: '50', discovery_timeout_ms: '5' })[key] },
+      devices: {
+        markSeen: jest.fn((address) => seen.set(address, { address, last_seen: '2026-10-19 12:00:00' })),
+        getInRange: (start, end) => [...seen.values()]
+          .filter(device => device.address >= start && device.address <= end)
+          .sort((a, b) => a.address - b.address)
+      },
+      apartmentLights: { getAll: () => [{ apartment_id: 'A1', light_index: 0, lightswarm_address: 10 }] },
+      apartments: {
+        getAll: () => [
+          { id: 'A1', lightswarm_address: 10 },
+          { id: 'A2', lightswarm_address: 11 },
+          { id: 'A3', lightswarm_address: 99 }
+        ]
+      },
+      amenities: { getAll: () => [{ id: 'POOL', name: 'Pool', lightswarm_address: 12 }] }
+    };
+    serial = createSerial([10, 12, 30, 40]);
+    discovery = new mdp.DeviceDiscovery(serial, database);
+  });
+
+  test('pings every address in the range at diagnostic priority', async () => {
+    await discovery.sweep({ startAddress: 5, endAddress: 8, timeoutMs: 1 });
+
+    expect(serial.pinged.map(p => p.address)).toEqual([5, 6, 7, 8]);
+    expect(serial.pinged.every(p => p.options.priority === 'diagnostic')).toBe(true);
+  });
+
+  test('reports mapped lights that stayed silent and responders nobody mapped', async () => {
+    const completed = jest.fn();
+    discovery.on('completed', completed);
+
+    const report = await discovery.sweep();
+
+    expect(report).toMatchObject({
+      startAddress: 1,
+      endAddress: 50,
+      pinged: 50,
+      responded: [10, 12, 30, 40],
+      respondedCount: 4,
+      mappedSilent: [{ address: 11, type: 'apartment', id: 'A2', lastSeen: null }],
+      unmapped: [{ address: 30 }, { address: 40 }]
+    });
+    expect([...seen.keys()].sort((a, b) => a - b)).toEqual([10, 12, 30, 40]);
+    expect(completed).toHaveBeenCalledWith(report);
+    expect(discovery.getStatus()).toMatchObject({ running: false, progress: null, lastReport: report });
+  });
+
+  test('reports when a silent light was last seen', async () => {
+    seen.set(11, { address: 11, last_seen: '2026-10-18 09:30:00' });
+
+    const report = await discovery.sweep({ startAddress: 10, endAddress: 12, timeoutMs: 1 });
+
+    expect(report.mappedSilent).toEqual([{ address: 11, type: 'apartment', id: 'A2', lastSeen: '2026-10-18 09:30:00' }]);
+  });
+
+  test('ignores responses outside the range and after the sweep', async () => {
+    await discovery.sweep({ startAddress: 10, endAddress: 12, timeoutMs: 1 });
+    serial.emit('packet', { address: 30, command: mdp.MDP_COMMANDS.PING_RESP, data: [], checksumValid: true });
+
+    expect(discovery.lastReport.responded).toEqual([10, 12]);
+    expect(database.devices.markSeen).toHaveBeenCalledTimes(2);
+  });
+
+  test('rejects invalid ranges and timeouts', () => {
+    expect(() => discovery.resolveOptions({ startAddress: 20, endAddress: 10 })).toThrow('Invalid discovery range');
+    expect(() => discovery.resolveOptions({ timeoutMs: 0 })).toThrow('Invalid discovery timeout');
+    expect(() => discovery.resolveOptions({ timeoutMs: -5 })).toThrow('Invalid discovery timeout');
+    expect(() => discovery.resolveOptions({ timeoutMs: NaN })).toThrow('Invalid discovery timeout');
+    expect(() => discovery.resolveOptions({ timeoutMs: 3600000 })).toThrow('Invalid discovery timeout');
+    expect(discovery.resolveOptions({ timeoutMs: 2000 })).toEqual({ startAddress: 1, endAddress: 50, timeoutMs: 2000 });
+  });
+
+  test('refuses a sweep with a bad timeout before pinging', async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/admin', adminRouter);
+    app.locals.discovery = discovery;
+    app.locals.io = { emit: jest.fn() };
+
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const sweep = (body) => fetch(`http://127.0.0.1:${server.address().port}/admin/discovery/sweep`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    try {
+      for (const timeoutMs of [0, -100, 'soon', 86400000]) {
+        const res = await sweep({ timeoutMs });
+        expect(res.status).toBe(400);
+        expect((await res.json()).code).toBe('VALIDATION_ERROR');
+      }
+      expect(serial.send).not.toHaveBeenCalled();
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Spatial Effects Tests
+ */
+
+const { effects, dryRun } = require('../src/animation');
+
+describe('Spatial Effects', () => {
+  // Floors 1-3, positions 1-5
+  const apartments = [];
+  for (let floor = 1; floor <= 3; floor++) {
+    for (let position = 1; position <= 5; position++) {
+      apartments.push({ id: `F${floor}-${position}`, floor, unit_position: position, lightswarm_address: floor * 10 + position });
+    }
+  }
+  const layout = effects.facadeLayout(apartments);
+  const white = { r: 255, g: 255, b: 255 };
+
+  test('lays units out by floor and position', () => {
+    expect(layout[7]).toEqual({ address: 23, floor: 2, position: 3 });
+    expect(effects.facadeLayout([
+      { floor: 4, lightswarm_address: 1 }, { floor: 4, lightswarm_address: 2 }, { floor: 4, lightswarm_address: null }
+    ])).toEqual([{ address: 1, floor: 4, position: 1 }, { address: 2, floor: 4, position: 2 }]);
+  });
+
+  test('spotlight sweeps a band across positions and back', () => {
+    const render = effects.spotlight(layout, { color: white, width: 1, sweepDuration: 1000 });
+    // The band runs from position 0 to 6, so it is over position 3 halfway through
+    const { colors } = render(500);
+    expect(colors.get(13)).toEqual(white);
+    expect(colors.get(23)).toEqual(white);
+    expect(colors.get(12).r).toBe(0);
+
+    expect(render(1000 + 1000 / 6).colors.get(35)).toEqual(white);
+    expect(effects.spotlight(layout, { width: 1, sweepDuration: 1000, direction: 'vertical' })(500).colors.get(21)).toEqual(white);
+  });
+
+  test('ripple rings spread from the origin and a single ring ends', () => {
+    const render = effects.ripple(layout, { floor: 2, position: 3 }, { color: white, velocity: 2, width: 1, loop: false });
+    expect(render(0).colors.get(23)).toEqual(white);
+    expect(render(0).colors.get(24).r).toBe(0);
+    // One unit away after 500 ms, two after 1000 ms
+    expect(render(500).colors.get(24)).toEqual(white);
+    expect(render(500).colors.get(13)).toEqual(white);
+    expect(render(1000).colors.get(25)).toEqual(white);
+    expect(render(1000).colors.get(23).r).toBe(0);
+    expect(render(1000).done).toBe(false);
+    expect(render(2000).done).toBe(true);
+  });
+
+  test('sparkle twinkles a share of units repeatably', async () => {
+    const render = effects.sparkle(layout, { color: white, density: 0.3, twinkleDuration: 1000, seed: 7 });
+    const frame = render(2400).colors;
+    expect(render(2400).colors).toEqual(frame);
+
+    let lit = 0;
+    for (let t = 0; t < 20000; t += 250) {
+      lit += [...render(t).colors.values()].filter(color => color.r > 0).length;
+    }
+    expect(lit / (80 * layout.length)).toBeGreaterThan(0.15);
+    expect(lit / (80 * layout.length)).toBeLessThan(0.35);
+
+    const result = await dryRun({ type: 'sparkle', density: 0.3 }, {
+      apartments: { getAll: () => apartments },
+      settings: { get: () => null }
+    }, { durationMs: 1000 });
+    expect(result.load.frames).toBe(20);
+    expect(result.packets.every(p => p.command === 'RGB_LEVEL')).toBe(true);
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * Elevation Stream Tests
+ */
+
+const EventEmitter = require('events');
+const mdp = require('../src/mdp');
+const ElevationStream = require('../src/api/elevation');
+const { elevationRender } = require('../src/utils');
+const LightSimulator = require('../src/simulator');
+
+describe('Elevation Stream', () => {
+  let namespace;
+  let serial;
+  let simulator;
+  let stream;
+
+  const database = {
+    apartments: {
+      getAll: () => [
+        { id: 'A1', name: 'Unit 1', floor: 7, unit_position: 2, lightswarm_address: 5, current_state: 'AVAILABLE' },
+        { id: 'A2', name: 'Unit 2', floor: 7, unit_position: 1, lightswarm_address: null, current_state: 'SOLD' },
+        { id: 'P1', name: 'Penthouse', floor: 55, unit_position: 1, lightswarm_address: null, current_state: 'AVAILABLE' }
+      ]
+    },
+    apartmentLights: {
+      getAddressesForApartment: (id) => ({ A2: [6, 7] })[id] || []
+    },
+    amenities: { getAll: () => [] }
+  };
+
+  function send(packet) {
+    serial.lightState.applyPacket(packet);
+    serial.emit('sent', { data: packet });
+  }
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    namespace = new EventEmitter();
+    namespace.emitted = [];
+    namespace.emit = (event, payload) => namespace.emitted.push({ event, payload });
+    serial = new EventEmitter();
+    serial.lightState = new mdp.LightStateStore();
+    simulator = new LightSimulator();
+    stream = new ElevationStream({ of: () => namespace }, { serial, simulator, database, intervalMs: 50 });
+  });
+
+  afterEach(() => {
+    stream.close();
+    jest.useRealTimers();
+  });
+
+  test('lays out floors top down with units in position order', () => {
+    const { floors, source } = stream.getLayout();
+    expect(source).toBe('commanded');
+    expect(floors.map(f => f.floor)).toEqual([55, 7]);
+    expect(floors[1].units.map(u => [u.id, u.addresses])).toEqual([['A2', [6, 7]], ['A1', [5]]]);
+    expect(floors[0].units[0].addresses).toEqual([]);
+  });
+
+  test('filters the layout by floor range', () => {
+    expect(stream.getLayout({ fromFloor: 10 }).floors.map(f => f.floor)).toEqual([55]);
+    expect(stream.getLayout({ toFloor: 10 }).floors.map(f => f.floor)).toEqual([7]);
+  });
+
+  test('renders the elevation as SVG and PNG', () => {
+    send(mdp.packetRgbLevel(5, 255, 0, 0));
+    const layout = stream.getLayout();
+    const colorOf = (address) => stream.colorOf(address);
+
+    const svg = elevationRender.renderSvg(layout, colorOf, { title: 'Test & check' });
+    expect(svg).toContain('<title>Test &amp; check</title>');
+    expect(svg).toContain('fill="rgb(255,0,0)"><title>Unit 1 (5)</title>');
+    expect(svg).toContain('<title>Penthouse (unassigned)</title>');
+
+    const { width, height, cells } = elevationRender.buildGeometry(layout, colorOf, { scale: 2 });
+    const png = elevationRender.renderPng(layout, colorOf, { scale: 2 });
+    expect(png.subarray(1, 4).toString()).toBe('PNG');
+    expect(png.readUInt32BE(16)).toBe(width);
+    expect(png.readUInt32BE(20)).toBe(height);
+    expect(cells.find(c => c.unit.id === 'A1').x).toBeGreaterThan(cells.find(c => c.unit.id === 'A2').x);
+  });
+
+  test('sends one throttled diff of commanded colors', () => {
+    send(mdp.packetRgbLevel(6, 255, 0, 0));
+    send(mdp.packetRgbLevel(6, 0, 0, 255));
+    send(mdp.packetLevel(5, 0));
+    expect(namespace.emitted).toHaveLength(0);
+
+    jest.advanceTimersByTime(50);
+    expect(namespace.emitted).toEqual([{
+      event: 'lights',
+      payload: expect.objectContaining({ source: 'commanded', lights: [{ address: 6, r: 0, g: 0, b: 255 }, { address: 5, r: 0, g: 0, b: 0 }] })
+    }]);
+
+    send(mdp.packetLevel(5, 0));
+    jest.advanceTimersByTime(50);
+    expect(namespace.emitted).toHaveLength(1);
+  });
+
+  test('streams simulated fades until they settle', () => {
+    simulator.setEnabled(true);
+    simulator.lights.set(5, { id: 'A1', address: 5, state: { on: false, level: 0, r: 0, g: 0, b: 0 }, flash: null, fade: null });
+    simulator.processPacket(mdp.packetFade(5, 100, 5, 50));
+
+    jest.advanceTimersByTime(200);
+    const levels = namespace.emitted.map(e => e.payload.lights[0].r);
+    expect(namespace.emitted.every(e => e.payload.source === 'simulator')).toBe(true);
+    expect(levels).toEqual([50, 100]);
+    expect(stream.timer).toBeNull();
+  });
+});
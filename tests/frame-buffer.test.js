@@ -0,0 +1,57 @@
+/**
+ * Frame Buffer Tests
+ */
+
+const mdp = require('../src/mdp');
+const { AnimationEngine, FrameBuffer } = require('../src/animation');
+
+describe('Frame Buffer', () => {
+  const red = { r: 255, g: 0, b: 0 };
+  const off = { r: 0, g: 0, b: 0 };
+
+  test('builds packets only for lights that changed', () => {
+    const buffer = new FrameBuffer();
+    expect(buffer.render(new Map([[1, red], [2, off]]))).toEqual([mdp.packetRgbLevel(1, 255, 0, 0), mdp.packetRgbLevel(2, 0, 0, 0)]);
+    expect(buffer.render(new Map([[1, red], [2, red]]))).toEqual([mdp.packetRgbLevel(2, 255, 0, 0)]);
+    expect(buffer.getStats()).toMatchObject({ frames: 2, packets: 3, unchanged: 1, lights: 2 });
+  });
+
+  test('stretches the frame interval over budget and recovers gradually', () => {
+    const buffer = new FrameBuffer({ bytesPerSecond: 1000 });
+    const frame = new Map(Array.from({ length: 20 }, (_, i) => [i + 1, { r: i, g: 0, b: 0 }]));
+    const bytes = buffer.render(frame).reduce((sum, p) => sum + p.length, 0);
+
+    expect(buffer.nextInterval(50)).toBe(Math.ceil(bytes));
+    buffer.render(frame);
+    expect(buffer.nextInterval(50)).toBe(Math.floor(bytes - (bytes - 50) * 0.1));
+    for (let i = 0; i < 60; i++) {
+      buffer.nextInterval(50);
+    }
+    expect(buffer.getStats()).toMatchObject({ intervalMs: 50, frameRate: 20 });
+  });
+
+  test('chase sends only the lights entering and leaving the tail', async () => {
+    jest.useFakeTimers();
+    const apartments = Array.from({ length: 10 }, (_, i) => ({ id: `A${i}`, lightswarm_address: i + 1 }));
+    const sent = [];
+    const engine = new AnimationEngine(
+      { send: async (packet) => sent.push(packet) },
+      { apartments: { getAll: () => apartments }, settings: { get: () => null } }
+    );
+
+    await engine.runSequence({ type: 'chase', color: { r: 255, g: 255, b: 255 }, intensity: 255, chaseDelay: 100, tailLength: 2 });
+    expect(sent).toHaveLength(10);
+
+    sent.length = 0;
+    await jest.advanceTimersByTimeAsync(100);
+    engine.stop();
+    jest.useRealTimers();
+
+    expect(sent).toEqual([
+      mdp.packetRgbLevel(1, 0, 0, 0),
+      mdp.packetRgbLevel(2, 255, 255, 255),
+      mdp.packetRgbLevel(3, 128, 128, 128)
+    ]);
+    expect(engine.getFrameStats().frames).toBe(2);
+  });
+});
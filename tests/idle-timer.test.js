@@ -0,0 +1,51 @@
+/**
+ * Session Idle Timer Tests
+ */
+
+const IdleTimer = require('../src/api/idle-timer');
+
+describe('Session Idle Timer', () => {
+  let timer;
+  let events;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    const settings = { session_idle_timeout_ms: '10000', session_idle_warning_ms: '2000' };
+    timer = new IdleTimer({ settings: { get: (key) => settings[key] || null } });
+    events = [];
+    timer.on('warning', (event) => events.push(['warning', event]));
+    timer.on('timeout', (event) => events.push(['timeout', event]));
+  });
+
+  afterEach(() => {
+    timer.stop();
+    jest.useRealTimers();
+  });
+
+  test('warns before timing out and restarts on activity', () => {
+    timer.start('agent-1');
+    jest.advanceTimersByTime(7000);
+    timer.touch();
+    jest.advanceTimersByTime(7999);
+    expect(events).toEqual([]);
+
+    jest.advanceTimersByTime(1);
+    expect(events).toEqual([['warning', { agentId: 'agent-1', remainingMs: 2000 }]]);
+    expect(timer.getStatus()).toMatchObject({ active: true, idleMs: 8000, remainingMs: 2000, warned: true });
+
+    jest.advanceTimersByTime(2000);
+    expect(events[1]).toEqual(['timeout', { agentId: 'agent-1', idleMs: 10000 }]);
+    expect(timer.getStatus()).toEqual({ active: false });
+  });
+
+  test('ignores activity outside a session and stops on logout', () => {
+    timer.touch();
+    jest.advanceTimersByTime(20000);
+    expect(events).toEqual([]);
+
+    timer.start('agent-1');
+    timer.stop();
+    jest.advanceTimersByTime(20000);
+    expect(events).toEqual([]);
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * Light State Store Tests
+ */
+
+const mdp = require('../src/mdp');
+
+describe('Light State Store', () => {
+  test('records the target color of outgoing packets', () => {
+    const store = new mdp.LightStateStore();
+    store.applyPacket(mdp.packetRgbLevel(5, 10, 20, 30));
+    store.applyPacket(mdp.packetRgbFadeToColor(6, 200, 100, 0, 500));
+
+    expect(store.get(5)).toEqual({ r: 10, g: 20, b: 30 });
+    expect(store.get(6)).toEqual({ r: 200, g: 100, b: 0 });
+    expect(store.get(7)).toEqual({ r: 0, g: 0, b: 0 });
+  });
+
+  test('broadcast sets the baseline for every address', () => {
+    const store = new mdp.LightStateStore();
+    store.applyPacket(mdp.packetRgbLevel(5, 10, 20, 30));
+    store.applyPacket(mdp.packetBroadcast('level', 100));
+
+    expect(store.get(5)).toEqual({ r: 100, g: 100, b: 100 });
+    expect(store.getLevel(99)).toBe(100);
+  });
+
+  test('expands pseudo addresses to their members', () => {
+    const store = new mdp.LightStateStore();
+    store.setGroupResolver(address => (address === 1000 ? [1, 2] : []));
+    store.applyPacket(mdp.packetRgbLevel(1000, 0, 255, 0));
+
+    expect(store.get(1)).toEqual({ r: 0, g: 255, b: 0 });
+    expect(store.get(2)).toEqual({ r: 0, g: 255, b: 0 });
+  });
+
+  test('caches group membership until it is invalidated', () => {
+    const store = new mdp.LightStateStore();
+    let members = [1, 2];
+    const resolver = jest.fn(address => (address === 1000 ? members : []));
+    store.setGroupResolver(resolver);
+
+    store.applyPacket(mdp.packetRgbLevel(1000, 0, 255, 0));
+    store.applyPacket(mdp.packetRgbLevel(1000, 0, 0, 255));
+    store.applyPacket(mdp.packetRgbLevel(5, 255, 0, 0));
+    store.applyPacket(mdp.packetRgbLevel(5, 0, 0, 0));
+    expect(resolver).toHaveBeenCalledTimes(2);
+
+    members = [3];
+    expect(store.resolve(1000)).toEqual([1, 2]);
+    store.invalidateGroups();
+    expect(store.resolve(1000)).toEqual([3]);
+  });
+
+  test('finite flashes settle on their high color', () => {
+    const store = new mdp.LightStateStore();
+    store.applyPacket(mdp.packetRgbFlashColors(5, { r: 255, g: 0, b: 0 }, { r: 0, g: 0, b: 0 }, 1000, 3));
+
+    expect(store.get(5)).toEqual({ r: 255, g: 0, b: 0 });
+  });
+});
@@ -67,6 +67,22 @@ describe('MDP Protocol', () => {
       expect(cmd).toEqual([0x00, 0x64, 0x2C, 0xFF, 0x80, 0x40]);
     });
 
+    test('builds RGB_FLASH command', () => {
+      const cmd = mdp.commands.buildRgbFlashCommand(
+        100, { r: 0, g: 0, b: 0 }, { r: 255, g: 128, b: 64 }, 6, 50, 25
+      );
+      expect(cmd).toEqual([
+        0x00, 0x64, 0x2F,
+        0x00, 0x06, 0x00, 0x32, 0x00, 0x19,
+        0x00, 0x00, 0x00, 0xFF, 0x80, 0x40
+      ]);
+    });
+
+    test('builds PING_REQ command', () => {
+      const cmd = mdp.commands.buildPingRequestCommand(5);
+      expect(cmd).toEqual([0x00, 0x05, 0x02]);
+    });
+
     test('builds FADE command', () => {
       const cmd = mdp.commands.buildFadeCommand(100, 255, 10, 5);
       expect(cmd).toEqual([0x00, 0x64, 0x23, 0xFF, 0x0A, 0x05]);
@@ -128,6 +144,45 @@ describe('MDP Protocol', () => {
     });
   });
 
+  describe('Fade Timing', () => {
+    test('channels of an RGB fade finish together', () => {
+      const from = { r: 200, g: 0, b: 50 };
+      const to = { r: 0, g: 255, b: 60 };
+      const durations = ['r', 'g', 'b'].map(c => {
+        const params = mdp.calculateFadeParams(from[c], to[c], 1000);
+        return mdp.estimateFadeMs(from[c], to[c], params);
+      });
+
+      durations.forEach(ms => expect(Math.abs(ms - 1000)).toBeLessThanOrEqual(50));
+    });
+
+    test('short fades over large changes still hit the target time', () => {
+      const params = mdp.calculateFadeParams(0, 255, 100);
+      expect(mdp.estimateFadeMs(0, 255, params)).toBe(100);
+    });
+  });
+
+  describe('Flash Parameter Calculation', () => {
+    test('splits period evenly between both levels', () => {
+      const params = mdp.calculateFlashParams(1000, 3);
+      expect(params).toEqual({ steps: 6, intervalA: 50, intervalB: 50 });
+    });
+
+    test('uses indefinite step count for zero repeats', () => {
+      expect(mdp.calculateFlashParams(500, 0).steps).toBe(65535);
+    });
+
+    test('builds flash effect packets between two intensities of a color', () => {
+      const color = { r: 255, g: 128, b: 0 };
+      expect(mdp.packetFlashEffect(5, color, 200)).toEqual(
+        mdp.packetRgbFlashColors(5, { r: 200, g: 100, b: 0 }, { r: 0, g: 0, b: 0 }, 1000, 3)
+      );
+      expect(mdp.packetFlashEffect(5, color, 200, { period: 500, repeat: 0, levels: { high: 255, low: 51 } })).toEqual(
+        mdp.packetRgbFlashColors(5, { r: 255, g: 128, b: 0 }, { r: 51, g: 26, b: 0 }, 500, 0)
+      );
+    });
+  });
+
   describe('Packet Hex Conversion', () => {
     test('converts packet to hex string', () => {
       const packet = Buffer.from([0xC0, 0x00, 0x05, 0x20, 0x25, 0xC0]);
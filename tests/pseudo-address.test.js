@@ -0,0 +1,240 @@
+/**
+ * Pseudo Address Provisioning Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const mdp = require('../src/mdp');
+const { Compositor } = require('../src/animation');
+const { database } = require('../src/config');
+const floorplatesRouter = require('../src/api/routes/floorplates');
+const adminRouter = require('../src/api/routes/admin');
+
+describe('Pseudo Address Provisioning', () => {
+  const { PADDSET, PADDERASE } = mdp.commands.MDP_COMMANDS;
+
+  let directory;
+  let server;
+  let baseUrl;
+  let serial;
+  let app;
+
+  beforeAll(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mdp-pseudo-'));
+    await database.initialize(path.join(directory, 'pseudo.db'));
+
+    database.floorplates.create('FP1', 'Floor 1', 'T1', 1, 900);
+    database.floorplates.create('FP2', 'Floor 2', 'T1', 2, null);
+    database.apartments.create({ id: 'A1', name: 'A1', towerId: 'T1', floor: 1, floorplateId: 'FP1', unitNumber: '1', lightswarmAddress: 11 });
+    database.apartments.create({ id: 'A2', name: 'A2', towerId: 'T1', floor: 1, floorplateId: 'FP1', unitNumber: '2', lightswarmAddress: 13 });
+    database.apartments.create({ id: 'B1', name: 'B1', towerId: 'T1', floor: 2, floorplateId: 'FP2', unitNumber: '1', lightswarmAddress: 21 });
+    database.apartmentLights.setLights('A1', [11, 12]);
+
+    app = express();
+    app.use(express.json());
+    app.use('/floorplates', floorplatesRouter);
+    app.use('/admin', adminRouter);
+    app.use((err, req, res, next) => res.status(500).json({ error: err.message }));
+    app.locals.io = { emit: jest.fn() };
+    app.locals.serial = serial = {
+      lightState: new mdp.LightStateStore(),
+      send: jest.fn(async (packet) => {
+        serial.lightState.applyPacket(packet);
+        return true;
+      })
+    };
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    database.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    app.locals.compositor = null;
+    serial.lightState = new mdp.LightStateStore();
+    serial.send.mockClear();
+    for (const assignment of database.pseudoAddresses.getAll()) {
+      database.pseudoAddresses.remove(assignment.lightswarm_address);
+    }
+    database.floorplates.update('FP1', 'Floor 1', 900);
+  });
+
+  // [command, address] for every packet sent
+  const sentFrames = () => serial.send.mock.calls.map(([packet]) => {
+    const frame = mdp.decodeFrame(mdp.slip.decode(packet));
+    return [frame.command, frame.address];
+  });
+
+  const request = async (method, url, body = {}) => {
+    const res = await fetch(`${baseUrl}${url}`, {
+      method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  describe('provisioning', () => {
+    test('validates pseudo addresses', () => {
+      expect(mdp.pseudoAddress.isValidPseudoAddress(900)).toBe(true);
+      expect(mdp.pseudoAddress.isValidPseudoAddress(0)).toBe(false);
+      expect(mdp.pseudoAddress.isValidPseudoAddress(mdp.commands.MASTER_ADDRESS)).toBe(false);
+      expect(mdp.pseudoAddress.isValidPseudoAddress(null)).toBe(false);
+    });
+
+    test('collects assigned lights, falling back to the primary address', () => {
+      expect(mdp.pseudoAddress.getFloorplateAddresses(database, 'FP1')).toEqual([11, 12, 13]);
+    });
+
+    test('programs the pseudo address into every member light', async () => {
+      const floorplate = database.floorplates.get('FP1');
+      const result = await mdp.pseudoAddress.provisionFloorplate(serial, database, floorplate);
+
+      expect(result).toEqual({ floorplateId: 'FP1', pseudoAddress: 900, programmed: [11, 12, 13], erased: [], unchanged: 0 });
+      expect(sentFrames()).toEqual([[PADDSET, 11], [PADDSET, 12], [PADDSET, 13]]);
+      expect(serial.send.mock.calls[0][1]).toEqual({ priority: 'diagnostic' });
+      expect(database.pseudoAddresses.getMembers(900)).toEqual([11, 12, 13]);
+      expect(mdp.pseudoAddress.isFloorplateProvisioned(database, floorplate)).toBe(true);
+    });
+
+    test('skips lights that are already programmed unless forced', async () => {
+      const floorplate = database.floorplates.get('FP1');
+      await mdp.pseudoAddress.provisionFloorplate(serial, database, floorplate);
+      serial.send.mockClear();
+
+      const again = await mdp.pseudoAddress.provisionFloorplate(serial, database, floorplate);
+      expect(again).toMatchObject({ programmed: [], unchanged: 3 });
+      expect(serial.send).not.toHaveBeenCalled();
+
+      const forced = await mdp.pseudoAddress.provisionFloorplate(serial, database, floorplate, { force: true });
+      expect(forced).toMatchObject({ programmed: [11, 12, 13], erased: [11, 12, 13] });
+      expect(sentFrames().slice(0, 2)).toEqual([[PADDERASE, 11], [PADDSET, 11]]);
+    });
+
+    test('erases and reprograms lights when the pseudo address changes', async () => {
+      await mdp.pseudoAddress.provisionFloorplate(serial, database, database.floorplates.get('FP1'));
+      database.floorplates.update('FP1', 'Floor 1', 901);
+      serial.send.mockClear();
+
+      const floorplate = database.floorplates.get('FP1');
+      expect(mdp.pseudoAddress.getProvisioningStatus(database, floorplate)).toMatchObject({
+        provisioned: false,
+        pending: [11, 12, 13],
+        stale: [11, 12, 13]
+      });
+
+      const result = await mdp.pseudoAddress.provisionFloorplate(serial, database, floorplate);
+      expect(result.programmed).toEqual([11, 12, 13]);
+      expect(database.pseudoAddresses.getMembers(900)).toEqual([]);
+      expect(database.pseudoAddresses.getMembers(901)).toEqual([11, 12, 13]);
+    });
+
+    test('refreshes cached group membership when assignments change', async () => {
+      serial.lightState.setGroupResolver(address => database.pseudoAddresses.getMembers(address));
+      expect(serial.lightState.resolve(900)).toEqual([900]);
+
+      await mdp.pseudoAddress.provisionFloorplate(serial, database, database.floorplates.get('FP1'));
+      expect(serial.lightState.resolve(900)).toEqual([11, 12, 13]);
+
+      database.floorplates.update('FP1', 'Floor 1', null);
+      await mdp.pseudoAddress.eraseOrphanedAssignments(serial, database);
+      expect(serial.lightState.resolve(900)).toEqual([900]);
+      serial.lightState.setGroupResolver(null);
+    });
+
+    test('refuses a floorplate without a pseudo address', async () => {
+      await expect(mdp.pseudoAddress.provisionFloorplate(serial, database, database.floorplates.get('FP2')))
+        .rejects.toThrow('FP2 has no valid pseudo address');
+      expect(serial.send).not.toHaveBeenCalled();
+    });
+
+    test('erases assignments left by a floorplate that lost its pseudo address', async () => {
+      database.pseudoAddresses.set(21, 950, 'FP2');
+
+      expect(await mdp.pseudoAddress.eraseOrphanedAssignments(serial, database)).toEqual([21]);
+      expect(sentFrames()).toEqual([[PADDERASE, 21]]);
+      expect(database.pseudoAddresses.get(21)).toBeNull();
+    });
+  });
+
+  describe('routes', () => {
+    test('provisions a floorplate through the admin API', async () => {
+      const { status, body } = await request('POST', '/admin/floorplates/FP1/provision');
+
+      expect(status).toBe(200);
+      expect(body).toMatchObject({ success: true, pseudoAddress: 900, programmed: [11, 12, 13] });
+    });
+
+    test('rejects provisioning a floorplate without a pseudo address', async () => {
+      const { status, body } = await request('POST', '/admin/floorplates/FP2/provision');
+
+      expect(status).toBe(400);
+      expect(body.code).toBe('VALIDATION_ERROR');
+    });
+
+    test('provisions every floorplate and erases orphans', async () => {
+      database.pseudoAddresses.set(21, 950, 'FP2');
+      const { status, body } = await request('POST', '/admin/pseudo-addresses/provision');
+
+      expect(status).toBe(200);
+      expect(body.floorplates.map(result => result.floorplateId)).toEqual(['FP1']);
+      expect(body.orphansErased).toEqual([21]);
+    });
+
+    test('lights an unprovisioned floorplate one unit at a time', async () => {
+      const { body } = await request('PUT', '/floorplates/FP1', { fadeTime: 0 });
+
+      expect(body.pseudoAddressed).toBe(false);
+      expect(sentFrames().map(([, address]) => address)).toEqual([11, 13]);
+    });
+
+    test('lights a provisioned floorplate with one packet to its pseudo address', async () => {
+      await mdp.pseudoAddress.provisionFloorplate(serial, database, database.floorplates.get('FP1'));
+      serial.send.mockClear();
+
+      const { body } = await request('PUT', '/floorplates/FP1', { fadeTime: 0 });
+
+      expect(body.pseudoAddressed).toBe(true);
+      expect(sentFrames()).toEqual([[mdp.commands.MDP_COMMANDS.RGB_LEVEL, 900]]);
+    });
+
+    test('records a provisioned floorplate in the compositor and still sends one packet', async () => {
+      serial.lightState.setGroupResolver(address => database.pseudoAddresses.getMembers(address));
+      await mdp.pseudoAddress.provisionFloorplate(serial, database, database.floorplates.get('FP1'));
+      app.locals.compositor = new Compositor(serial);
+      serial.send.mockClear();
+
+      const { body } = await request('PUT', '/floorplates/FP1', { state: 'AVAILABLE', fadeTime: 0 });
+
+      expect(body.pseudoAddressed).toBe(true);
+      expect(sentFrames()).toEqual([[mdp.commands.MDP_COMMANDS.RGB_LEVEL, 900]]);
+      expect(app.locals.compositor.getLayer('base').lights.has(11)).toBe(true);
+      expect(app.locals.compositor.getLayer('base').lights.has(13)).toBe(true);
+    });
+
+    test('lights units one at a time while an effect overrides one of them', async () => {
+      serial.lightState.setGroupResolver(address => database.pseudoAddresses.getMembers(address));
+      await mdp.pseudoAddress.provisionFloorplate(serial, database, database.floorplates.get('FP1'));
+      const compositor = app.locals.compositor = new Compositor(serial);
+      compositor.set('effect', [{ address: 13, color: { r: 0, g: 0, b: 255 } }]);
+      await compositor.flush();
+      serial.send.mockClear();
+
+      const { body } = await request('PUT', '/floorplates/FP1', { state: 'AVAILABLE', fadeTime: 0 });
+
+      expect(body.pseudoAddressed).toBe(false);
+      expect(sentFrames().map(([, address]) => address)).toEqual([11]);
+      expect(compositor.composite(13)).toEqual({ r: 0, g: 0, b: 255 });
+      expect(compositor.getLayer('base').lights.has(13)).toBe(true);
+    });
+  });
+});
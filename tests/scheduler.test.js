@@ -0,0 +1,146 @@
+/**
+ * Schedule Tests
+ */
+
+const mdp = require('../src/mdp');
+const { cron } = require('../src/utils');
+const { Compositor, Scheduler } = require('../src/animation');
+
+describe('Schedule', () => {
+  // 2026-10-19 is a Monday
+  const at = (day, hour, minute) => new Date(2026, 9, day, hour, minute);
+
+  test('parses cron fields, names and shortcuts', () => {
+    const parsed = cron.parse('*/15 22-23 * oct mon-fri');
+    expect([...parsed.minute]).toEqual([0, 15, 30, 45]);
+    expect([...parsed.hour]).toEqual([22, 23]);
+    expect([...parsed.month]).toEqual([10]);
+    expect([...parsed.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    expect([...cron.parse('0 0 * * 7').dayOfWeek]).toEqual([0]);
+    expect(cron.parse('@daily')).toEqual(cron.parse('0 0 * * *'));
+
+    expect(cron.validate('0 24 * * *')).toMatch('hour must be 0-23');
+    expect(cron.validate('0 22 * *')).toMatch('5 fields');
+    expect(cron.validate('*/0 * * * *')).toMatch('step');
+  });
+
+  test('finds next and previous runs', () => {
+    expect(cron.next('0 22 * * mon-fri', at(19, 22, 0))).toEqual(at(20, 22, 0));
+    expect(cron.next('0 22 * * mon-fri', at(23, 23, 0))).toEqual(at(26, 22, 0));
+    expect(cron.next('30 7 1 * *', at(19, 12, 0))).toEqual(new Date(2026, 10, 1, 7, 30));
+    expect(cron.next('0 0 31 2 *', at(19, 12, 0))).toBeNull();
+
+    // Restricted day-of-month and day-of-week match if either does
+    expect(cron.matches('0 9 1 * sun', at(25, 9, 0))).toBe(true);
+
+    expect(cron.previous('0 22 * * *', at(20, 6, 30))).toEqual(at(19, 22, 0));
+    expect(cron.previous('0 22 * * *', at(19, 22, 0))).toEqual(at(19, 22, 0));
+  });
+
+  describe('Scheduler', () => {
+    let rules;
+    let sent;
+    let engine;
+    let compositor;
+    let settings;
+    let scheduler;
+
+    beforeEach(() => {
+      rules = [
+        { id: 'evening', name: 'Evening', cron: '0 19 * * *', action: 'dim', params: '{"intensity":64}', enabled: 1 },
+        { id: 'night', name: 'Night', cron: '0 23 * * *', action: 'blackout', params: '{}', enabled: 1 },
+        { id: 'morning', name: 'Morning', cron: '0 8 * * *', action: 'resume', params: '{}', enabled: 1 }
+      ];
+      const database = {
+        scheduleRules: { getEnabled: () => rules, markRun: jest.fn() },
+        settings: { get: (key) => settings[key] }
+      };
+      settings = { ambient_enabled: 'true', default_fade_time_ms: '0' };
+      sent = [];
+      const serial = {
+        lightState: new mdp.LightStateStore(),
+        send: async (packet) => {
+          serial.lightState.applyPacket(packet);
+          sent.push(packet);
+        }
+      };
+      let running = true;
+      engine = {
+        isRunning: () => running,
+        startAmbient: jest.fn(async () => { running = true; }),
+        stopAmbient: jest.fn(async () => { running = false; })
+      };
+      compositor = new Compositor(serial);
+      compositor.setState([1], 'SOLD', { r: 200, g: 0, b: 0 });
+      scheduler = new Scheduler({ engine, compositor, serial, database });
+    });
+
+    test('runs due rules once per minute', async () => {
+      const events = await scheduler.tick(at(19, 19, 0));
+      expect(events).toMatchObject([{ ruleId: 'evening', action: 'dim', trigger: 'schedule', mode: 'dimmed' }]);
+      expect(sent).toEqual([mdp.packetRgbLevel(1, 50, 0, 0)]);
+      expect(await scheduler.tick(new Date(at(19, 19, 0).getTime() + 30000))).toEqual([]);
+
+      await scheduler.tick(at(19, 23, 0));
+      expect(scheduler.mode).toBe('blackout');
+      expect(engine.stopAmbient).toHaveBeenCalled();
+      expect(sent.slice(-2)).toEqual([mdp.packetRgbLevel(1, 0, 0, 0), mdp.packetBroadcast('off')]);
+
+      await scheduler.tick(at(20, 8, 0));
+      expect(scheduler.mode).toBe('normal');
+      expect(engine.startAmbient).toHaveBeenCalled();
+      expect(compositor.composite(1)).toEqual({ r: 200, g: 0, b: 0 });
+    });
+
+    test('restarts ambient after a session only when allowed', async () => {
+      await engine.stopAmbient();
+      expect(await scheduler.resumeAmbient()).toBe(true);
+      expect(engine.startAmbient).toHaveBeenCalledTimes(1);
+
+      await scheduler.tick(at(19, 23, 0));
+      expect(await scheduler.resumeAmbient()).toBe(false);
+
+      scheduler.mode = 'normal';
+      settings.ambient_enabled = 'false';
+      expect(await scheduler.resumeAmbient()).toBe(false);
+      expect(engine.startAmbient).toHaveBeenCalledTimes(1);
+    });
+
+    test('holds animation rules until the agent session ends', async () => {
+      let active = { agentId: 'agent-1' };
+      const shows = { isActive: () => false, play: jest.fn().mockResolvedValue({}) };
+      scheduler.sessions = { getActive: () => active };
+      scheduler.shows = shows;
+      await engine.stopAmbient();
+
+      expect(await scheduler.run({ id: 'morning', action: 'resume', params: {} })).toMatchObject({ mode: 'normal', deferred: true });
+      expect(await scheduler.run({ id: 'noon', action: 'show', params: { showId: 'celebrate' } })).toMatchObject({ deferred: true });
+      expect(engine.startAmbient).not.toHaveBeenCalled();
+      expect(shows.play).not.toHaveBeenCalled();
+
+      active = null;
+      expect(await scheduler.resumeAmbient()).toBe(false);
+      expect(shows.play).toHaveBeenCalledWith('celebrate', {});
+      expect(await scheduler.resumeAmbient()).toBe(true);
+      expect(engine.startAmbient).toHaveBeenCalledTimes(1);
+
+      const event = await scheduler.run({ id: 'morning', action: 'resume', params: {} });
+      expect(event.deferred).toBeUndefined();
+    });
+
+    test('re-applies the latest mode rule on startup', async () => {
+      const event = await scheduler.catchUp(at(20, 2, 0));
+      expect(event).toMatchObject({ ruleId: 'night', trigger: 'startup', mode: 'blackout' });
+    });
+
+    test('previews upcoming events in time order', () => {
+      const events = Scheduler.upcoming(rules.map(r => ({ ...r, params: JSON.parse(r.params) })), at(19, 18, 0), 4);
+      expect(events.map(e => [e.ruleId, e.at])).toEqual([
+        ['evening', at(19, 19, 0).toISOString()],
+        ['night', at(19, 23, 0).toISOString()],
+        ['morning', at(20, 8, 0).toISOString()],
+        ['evening', at(20, 19, 0).toISOString()]
+      ]);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Sequence Schema Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const mdp = require('../src/mdp');
+const { timeline, sequenceSchema, dryRun, getAllSequences } = require('../src/animation');
+const config = require('../src/config');
+const adminRouter = require('../src/api/routes/admin');
+
+describe('Sequence Schema', () => {
+  const database = {
+    apartments: { getAll: () => [{ id: 'A1', floor: 1, lightswarm_address: 1 }, { id: 'A2', floor: 1, lightswarm_address: 2 }] },
+    settings: { get: (key) => ({ animation_bandwidth_bytes_per_sec: '100' })[key] || null }
+  };
+
+  test('accepts the predefined sequences and reports errors by path', () => {
+    getAllSequences().forEach(seq => expect(sequenceSchema.validateSequence(seq)).toEqual([]));
+
+    expect(sequenceSchema.validateSequence({
+      type: 'loop',
+      stepDuration: 0,
+      steps: [{ command: 'all_onn' }, { command: 'floor', floor: 3, intensty: 100, color: { r: 255, g: 0 } }]
+    })).toEqual([
+      { path: '$.stepDuration', message: 'must be >= 1' },
+      { path: '$.steps[0].command', message: 'must be one of: all_on, all_off, floor, apartment, address' },
+      { path: '$.steps[1].intensty', message: 'is not allowed' },
+      { path: '$.steps[1].color.b', message: 'is required' }
+    ]);
+    expect(sequenceSchema.validateSequence({ type: 'glitter' })[0]).toEqual({
+      path: '$.type', message: 'must be one of: static, loop, wave, chase, breathe, sparkle, ripple, spotlight, state_display, timeline'
+    });
+    expect(sequenceSchema.validateSequence({ type: 'timeline', duration: 1000, tracks: [{ keyframes: [{ time: 0, easing: 'bounce' }] }] }))
+      .toEqual([{ path: '$.tracks[0].keyframes[0].easing', message: 'must be one of: linear, step, easeIn, easeOut, easeInOut' }]);
+  });
+
+  test('dry run times step packets without sending them', async () => {
+    const result = await dryRun({
+      type: 'loop',
+      stepDuration: 500,
+      steps: [{ command: 'all_on', intensity: 255, color: { r: 255, g: 0, b: 0 } }, { command: 'all_off' }]
+    }, database, { durationMs: 1000 });
+
+    expect(result.packets.map(p => [p.atMs, p.address, p.command])).toEqual([
+      [0, 1, 'RGB_LEVEL'], [0, 2, 'RGB_LEVEL'], [500, 0xFFFF, 'OFF']
+    ]);
+    expect(result.packets[0].hex).toBe(mdp.packetRgbLevel(1, 255, 0, 0).toString('hex'));
+    expect(result.load).toMatchObject({ packets: 3, bytes: 24, peakBytesPerSecond: 24, busBytesPerSecond: 3840, frames: null });
+  });
+
+  test('dry run paces frames like the engine, throttling over budget', async () => {
+    const result = await dryRun({ type: 'breathe', breatheDuration: 1000 }, database, { durationMs: 2000 });
+
+    expect(result.load.throttled).toBe(true);
+    expect(result.load.frames).toBeLessThan(40);
+    expect(result.load.peakBytesPerSecond).toBeLessThan(200);
+    expect(result.durationMs).toBe(2000);
+  });
+
+  test('creates sequences without an id or name, rejecting invalid definitions', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mdp-animations-'));
+    await config.database.initialize(path.join(directory, 'animations.db'));
+    const app = express();
+    app.use(express.json());
+    app.use('/admin', adminRouter);
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const create = async (body) => {
+      const res = await fetch(`http://127.0.0.1:${server.address().port}/admin/animations`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      return { status: res.status, body: await res.json() };
+    };
+
+    const glow = { type: 'static', steps: [{ command: 'all_on', intensity: 100 }] };
+
+    try {
+      const named = await create({ id: 'glow', name: 'Glow', sequenceData: glow });
+      expect(named).toEqual({ status: 201, body: { success: true, id: 'glow' } });
+
+      const anonymous = await create({ sequenceData: glow });
+      expect(anonymous.status).toBe(201);
+      expect(config.database.animationSequences.get(anonymous.body.id)).toMatchObject({ name: anonymous.body.id });
+
+      const invalid = await create({ id: 'bad', sequenceData: { type: 'glitter' } });
+      expect(invalid.status).toBe(400);
+      expect(config.database.animationSequences.get('bad')).toBeNull();
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+      config.database.close();
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Session Route Tests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const { database } = require('../src/config');
+const IdleTimer = require('../src/api/idle-timer');
+const SessionManager = require('../src/api/sessions');
+const sessionRouter = require('../src/api/routes/session');
+
+describe('Session Routes', () => {
+  let directory;
+  let server;
+  let baseUrl;
+  let app;
+  let engine;
+
+  beforeAll(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'mdp-session-'));
+    await database.initialize(path.join(directory, 'session.db'));
+
+    app = express();
+    app.use(express.json());
+    app.use('/session', sessionRouter);
+    app.use((err, req, res, next) => res.status(500).json({ error: err.message }));
+    app.locals.io = { emit: jest.fn() };
+    app.locals.idleTimer = new IdleTimer(database);
+    app.locals.sessions = new SessionManager(database, app.locals.idleTimer);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}/session`;
+  });
+
+  afterAll(async () => {
+    sessionRouter.setAnimationEngine(null);
+    app.locals.idleTimer.stop();
+    await new Promise(resolve => server.close(resolve));
+    database.close();
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    engine = {
+      stopAmbient: jest.fn().mockResolvedValue(),
+      executeLoginFadeDown: jest.fn().mockResolvedValue(),
+      isRunning: () => false
+    };
+    sessionRouter.setAnimationEngine(engine);
+    app.locals.scheduler = { resumeAmbient: jest.fn().mockResolvedValue(true) };
+  });
+
+  const post = async (url, body = {}) => {
+    const res = await fetch(`${baseUrl}${url}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  test('login stops ambient and runs the engine fade-down', async () => {
+    const { status } = await post('/login', { agentId: 'agent-1' });
+
+    expect(status).toBe(200);
+    expect(engine.stopAmbient).toHaveBeenCalled();
+    expect(engine.executeLoginFadeDown).toHaveBeenCalled();
+    expect(engine.stopAmbient.mock.invocationCallOrder[0])
+      .toBeLessThan(engine.executeLoginFadeDown.mock.invocationCallOrder[0]);
+  });
+
+  test('logout resumes ambient through the scheduler', async () => {
+    await post('/login', { agentId: 'agent-1' });
+    const { status, body } = await post('/logout');
+
+    expect(status).toBe(200);
+    expect(app.locals.scheduler.resumeAmbient).toHaveBeenCalledTimes(1);
+    expect(body).toMatchObject({ success: true, ambientStarted: true, message: 'Logout successful, ambient animation started' });
+  });
+
+  test('logout reports when the scheduler keeps ambient off', async () => {
+    app.locals.scheduler.resumeAmbient.mockResolvedValue(false);
+    await post('/login', { agentId: 'agent-1' });
+    const { body } = await post('/logout');
+
+    expect(body).toMatchObject({ success: true, ambientStarted: false, message: 'Logout successful' });
+  });
+
+  test('logout still ends the session when ambient fails to start', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    app.locals.scheduler.resumeAmbient.mockRejectedValue(new Error('serial gone'));
+    await post('/login', { agentId: 'agent-1' });
+
+    const { status, body } = await post('/logout');
+
+    expect(status).toBe(200);
+    expect(body.ambientStarted).toBe(false);
+    expect(app.locals.sessions.getActive()).toBeNull();
+    expect(error).toHaveBeenCalledWith('Error starting ambient animation after logout:', expect.any(Error));
+    error.mockRestore();
+  });
+});
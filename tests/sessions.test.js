@@ -0,0 +1,89 @@
+/**
+ * Sessions Tests
+ */
+
+const IdleTimer = require('../src/api/idle-timer');
+const SessionManager = require('../src/api/sessions');
+
+describe('Sessions', () => {
+  let settings;
+  let rows;
+  let idleTimer;
+  let sessions;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    settings = { session_idle_timeout_ms: '600000', session_heartbeat_timeout_ms: '30000' };
+    rows = new Map([['old', { id: 'old', ended_at: null }]]);
+    const database = {
+      settings: { get: (key) => settings[key] || null },
+      sessions: {
+        create: ({ id, agentId }) => rows.set(id, { id, agent_id: agentId, ended_at: null, end_reason: null }),
+        end: (id, reason) => Object.assign(rows.get(id), { ended_at: 'now', end_reason: reason }),
+        endOpen: (reason) => rows.forEach(row => Object.assign(row, { ended_at: 'now', end_reason: reason }))
+      }
+    };
+    idleTimer = new IdleTimer(database);
+    sessions = new SessionManager(database, idleTimer);
+  });
+
+  afterEach(() => {
+    idleTimer.stop();
+    jest.useRealTimers();
+  });
+
+  test('issues a token that authenticates only the active session', () => {
+    expect(rows.get('old').end_reason).toBe('restart');
+
+    const { session, token } = sessions.login('agent-1');
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(session).toMatchObject({ agentId: 'agent-1', stale: false });
+    expect(session).not.toHaveProperty('tokenHash');
+    expect(sessions.authenticate(token).id).toBe(session.id);
+    expect(sessions.authenticate('guess')).toBeNull();
+    expect(idleTimer.getStatus()).toMatchObject({ active: true, agentId: 'agent-1' });
+
+    expect(sessions.end('logout')).toMatchObject({ id: session.id, endReason: 'logout' });
+    expect(rows.get(session.id).end_reason).toBe('logout');
+    expect(sessions.heartbeat(token)).toBeNull();
+    expect(idleTimer.getStatus()).toEqual({ active: false });
+  });
+
+  test('takes over or rejects a concurrent login', () => {
+    const first = sessions.login('agent-1');
+    const second = sessions.login('agent-2');
+    expect(second.replaced).toMatchObject({ id: first.session.id, endReason: 'taken_over' });
+    expect(sessions.authenticate(first.token)).toBeNull();
+
+    settings.session_concurrency = 'reject';
+    expect(() => sessions.login('agent-3')).toThrow(expect.objectContaining({ code: 'SESSION_ACTIVE' }));
+
+    // Heartbeats keep the owner in place; once they stop the model can be taken
+    jest.advanceTimersByTime(20000);
+    expect(sessions.heartbeat(second.token)).toMatchObject({ agentId: 'agent-2', stale: false });
+    jest.advanceTimersByTime(20000);
+    expect(() => sessions.login('agent-3')).toThrow('in use by agent-2');
+    jest.advanceTimersByTime(15000);
+    expect(sessions.login('agent-3').replaced).toMatchObject({ agentId: 'agent-2', endReason: 'abandoned' });
+  });
+
+  test('ends the session when the idle timer runs out', () => {
+    const { session } = sessions.login('agent-1');
+    jest.advanceTimersByTime(600000);
+    expect(sessions.getActive()).toBeNull();
+    expect(rows.get(session.id).end_reason).toBe('idle_timeout');
+  });
+
+  test('keeps a session that only sends heartbeats', () => {
+    const { session, token } = sessions.login('agent-1');
+    for (let i = 0; i < 4; i++) {
+      jest.advanceTimersByTime(300000);
+      expect(sessions.heartbeat(token)).toMatchObject({ id: session.id });
+    }
+    expect(sessions.getActive()).toMatchObject({ id: session.id });
+
+    jest.advanceTimersByTime(600000);
+    expect(sessions.getActive()).toBeNull();
+    expect(rows.get(session.id).end_reason).toBe('idle_timeout');
+  });
+});
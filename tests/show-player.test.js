@@ -0,0 +1,146 @@
+/**
+ * Show Player Tests
+ */
+
+const mdp = require('../src/mdp');
+const { AnimationEngine, ShowPlayer, timeline } = require('../src/animation');
+
+describe('Show Player', () => {
+  const celebration = {
+    type: 'timeline',
+    duration: 1000,
+    tracks: [{ target: { addresses: [9] }, keyframes: [
+      { time: 0, color: { r: 0, g: 0, b: 0 } },
+      { time: 1000, color: { r: 0, g: 200, b: 0 } }
+    ] }]
+  };
+  const database = {
+    apartments: { getAll: () => [{ id: 'A1', floor: 7, lightswarm_address: 1 }], getByFloor: () => [] },
+    apartmentLights: { getAddressesForApartment: () => [] },
+    animationSequences: {
+      get: (id) => (id === 'celebrate' ? { id, name: 'Celebrate', sequence_data: JSON.stringify(celebration) } : null)
+    },
+    settings: { get: (key) => ({ ambient_sequence_id: 'static_white' })[key] || null }
+  };
+
+  let sent;
+  let engine;
+  let player;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    sent = [];
+    engine = new AnimationEngine({ send: async (packet, options) => sent.push({ packet, options }) }, database);
+    player = new ShowPlayer(engine, database);
+  });
+
+  afterEach(() => {
+    engine.stop();
+    jest.useRealTimers();
+  });
+
+  test('applies color, speed and floor overrides to a copy', () => {
+    const data = ShowPlayer.applyOverrides(celebration, { color: { r: 255, g: 0, b: 255 }, speed: 2, floors: [7] });
+    expect(data.tracks[0].keyframes.every(k => k.color.r === 255 && k.color.b === 255)).toBe(true);
+    expect(data.tracks[0].target).toEqual({ floors: [7] });
+    expect(data.speed).toBe(2);
+    expect(celebration.tracks[0].target).toEqual({ addresses: [9] });
+
+    const loop = ShowPlayer.applyOverrides({ type: 'loop', stepDuration: 1000, steps: [{ command: 'all_off' }, { command: 'all_on', duration: 500 }] }, { speed: 2 });
+    expect(loop.stepDuration).toBe(500);
+    expect(loop.steps[1].duration).toBe(250);
+  });
+
+  test('pauses, seeks and reports progress of a show', async () => {
+    await player.play('celebrate', { speed: 2 });
+    expect(sent[0].options.priority).toBe('session');
+
+    await jest.advanceTimersByTimeAsync(200);
+    expect(player.getStatus().show).toMatchObject({ id: 'celebrate', state: 'playing', positionMs: 400, progress: 0.4 });
+
+    expect(player.pause()).toBe(true);
+    await jest.advanceTimersByTimeAsync(200);
+    expect(player.getStatus().show).toMatchObject({ state: 'paused', positionMs: 400 });
+
+    expect(player.seek(900)).toBe(true);
+    await jest.advanceTimersByTimeAsync(100);
+    expect(sent[sent.length - 1].packet).toEqual(mdp.packetRgbLevel(9, 0, 180, 0));
+
+    expect(player.resume()).toBe(true);
+    await jest.advanceTimersByTimeAsync(100);
+    expect(player.getStatus()).toMatchObject({ active: false, show: { state: 'completed', progress: 1 } });
+  });
+
+  test('resumes the ambient animation it interrupted', async () => {
+    await engine.startAmbient();
+    expect(engine.isRunning()).toBe(true);
+
+    await player.play('alert_flash', { floors: [7] });
+    expect(player.getStatus().show).toMatchObject({ id: 'alert_flash', seekable: false });
+    expect(player.pause()).toBe(false);
+
+    const started = jest.fn();
+    engine.on('started', started);
+    await player.stop();
+    expect(player.getStatus().show.state).toBe('stopped');
+    expect(started).toHaveBeenCalledTimes(1);
+    expect(engine.isRunning()).toBe(true);
+  });
+
+  test('ends the show when something else stops the engine, leaving ambient off', async () => {
+    await engine.startAmbient();
+    await player.play('celebrate');
+    await jest.advanceTimersByTimeAsync(300);
+
+    const started = jest.fn();
+    engine.on('started', started);
+    await engine.stopAmbient();
+
+    expect(player.isActive()).toBe(false);
+    expect(player.getStatus().show).toMatchObject({ state: 'stopped', positionMs: 300 });
+    await player.stop();
+    expect(started).not.toHaveBeenCalled();
+    expect(engine.isRunning()).toBe(false);
+  });
+
+  test('keeps playing when a new show replaces the current one', async () => {
+    await player.play('celebrate');
+    await player.play('alert_flash');
+
+    expect(player.getStatus()).toMatchObject({ active: true, show: { id: 'alert_flash', state: 'playing' } });
+  });
+
+  test('waits for ambient to stop before restarting it, and logs failures', async () => {
+    await engine.startAmbient();
+    await player.play('alert_flash');
+
+    const calls = [];
+    let flushed;
+    jest.spyOn(engine, 'stopAmbient').mockImplementation(() => new Promise(resolve => {
+      calls.push('stop');
+      flushed = () => {
+        calls.push('flushed');
+        resolve();
+      };
+    }));
+    jest.spyOn(engine, 'startAmbient').mockImplementation(async () => {
+      calls.push('start');
+      throw new Error('ambient sequence missing');
+    });
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const stopped = player.stop();
+    await Promise.resolve();
+    expect(calls).toEqual(['stop']);
+    flushed();
+
+    await expect(stopped).resolves.toMatchObject({ active: false, show: { state: 'stopped' } });
+    expect(calls).toEqual(['stop', 'flushed', 'start']);
+    expect(error).toHaveBeenCalledWith(expect.any(String), expect.objectContaining({ message: 'ambient sequence missing' }));
+    error.mockRestore();
+  });
+
+  test('rejects unknown shows', async () => {
+    await expect(player.play('nope')).rejects.toMatchObject({ code: 'NOT_FOUND' });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Light Simulator Tests
+ */
+
+const LightSimulator = require('../src/simulator');
+
+describe('Simulated Fades', () => {
+  let simulator;
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    simulator = new LightSimulator();
+    simulator.setEnabled(true);
+    simulator.lights.set(5, { id: 'A1', address: 5, state: { on: false, level: 0, r: 0, g: 0, b: 0 }, flash: null, fade: null });
+  });
+
+  afterEach(() => {
+    simulator.setFrameInterval(0);
+    jest.restoreAllMocks();
+  });
+
+  test('interpolates a fade and settles on the target', () => {
+    // 10 levels every 50 ms: 0 -> 200 takes 1 s
+    const result = simulator.executeCommand(5, 0x23, [200, 5, 10]);
+    expect(result.change.durationMs).toBe(1000);
+    expect(simulator.getState(5).state.level).toBe(0);
+
+    now += 275;
+    expect(simulator.getState(5).state).toMatchObject({ on: true, level: 50, r: 50, g: 50, b: 50 });
+    expect(simulator.getStats().lightsFading).toBe(1);
+
+    now += 1000;
+    expect(simulator.getState(5).state.level).toBe(200);
+    expect(simulator.getState(5).fade).toBeNull();
+  });
+
+  test('runs RGB fade channels independently', () => {
+    simulator.executeCommand(5, 0x2C, [100, 0, 0]);
+    simulator.executeCommand(5, 0x31, [0, 1, 10, 255, 1, 255, 50, 10, 5]);
+
+    now += 50;
+    expect(simulator.getState(5).state).toMatchObject({ r: 50, g: 255, b: 0 });
+
+    now += 1000;
+    expect(simulator.getState(5).state).toMatchObject({ r: 0, g: 255, b: 50 });
+  });
+
+  test('a new command starts from the mid-fade level', () => {
+    simulator.executeCommand(5, 0x23, [200, 1, 10]);
+    now += 100;
+    simulator.executeCommand(5, 0x23, [0, 1, 10]);
+    expect(simulator.getState(5).state.level).toBe(100);
+
+    now += 50;
+    expect(simulator.getState(5).state.level).toBe(50);
+
+    simulator.executeCommand(5, 0x22, [30]);
+    now += 1000;
+    expect(simulator.getState(5).state.level).toBe(30);
+  });
+
+  test('emits frame updates while fading when enabled', () => {
+    jest.useFakeTimers();
+    const frames = [];
+    simulator.on('light_updated', (update) => frames.push(update));
+    simulator.setFrameInterval(20);
+
+    simulator.executeCommand(5, 0x23, [100, 2, 50]);
+    for (let i = 0; i < 5; i++) {
+      now += 20;
+      jest.advanceTimersByTime(20);
+    }
+    jest.useRealTimers();
+
+    expect(frames.map(f => f.light.state.level)).toEqual([50, 100]);
+    expect(frames.every(f => f.frame)).toBe(true);
+    expect(simulator.frameTimer).toBeNull();
+  });
+});
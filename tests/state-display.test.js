@@ -0,0 +1,63 @@
+/**
+ * Availability Display Tests
+ */
+
+const mdp = require('../src/mdp');
+const { AnimationEngine, Compositor, StateDisplay } = require('../src/animation');
+
+describe('Availability Display', () => {
+  const apartments = [
+    { id: 'A1', floor: 1, lightswarm_address: 1, current_state: 'AVAILABLE' },
+    { id: 'A2', floor: 1, lightswarm_address: 2, current_state: 'SOLD' },
+    { id: 'A3', floor: 2, lightswarm_address: 3, current_state: null }
+  ];
+  const database = {
+    apartments: { getAll: () => apartments },
+    apartmentLights: { getAddressesForApartment: () => [] },
+    stateColors: {
+      getAll: () => [
+        { state_name: 'AVAILABLE', red: 0, green: 255, blue: 0, intensity: 200 },
+        { state_name: 'SOLD', red: 255, green: 0, blue: 0, intensity: 255 }
+      ]
+    },
+    settings: { get: (key) => ({ animation_crossfade_ms: '0' })[key] || null }
+  };
+
+  test('shows each unit in its state color and breathes the available ones', () => {
+    const display = new StateDisplay(database, { type: 'state_display', motionDepth: 0.5, motionPeriod: 1000 }, apartments);
+    const intensities = [0, 250, 500, 750].map(t => display.render(t).colors.get(1).g);
+
+    expect(Math.max(...intensities)).toBeLessThanOrEqual(200);
+    expect(Math.min(...intensities)).toBeLessThan(150);
+    expect(display.render(250).colors.get(2)).toEqual({ r: 255, g: 0, b: 0 });
+    expect(display.render(250).colors.get(3)).toEqual({ r: 0, g: 0, b: 0 });
+
+    const still = new StateDisplay(database, { type: 'state_display', motion: 'none', stateColors: { SOLD: { r: 0, g: 0, b: 255 } } }, apartments);
+    expect(still.render(250).colors.get(1)).toEqual({ r: 0, g: 200, b: 0 });
+    expect(still.render(250).colors.get(2)).toEqual({ r: 0, g: 0, b: 255 });
+  });
+
+  test('follows state changes made through the compositor at once', async () => {
+    const serial = {
+      lightState: new mdp.LightStateStore(),
+      send: async (packet) => serial.lightState.applyPacket(packet)
+    };
+    const compositor = new Compositor(serial);
+    const engine = new AnimationEngine(serial, database);
+    engine.setCompositor(compositor);
+
+    await engine.runSequence({ type: 'state_display', motion: 'none' });
+    expect(serial.lightState.get(1)).toMatchObject({ r: 0, g: 200, b: 0 });
+
+    compositor.setState([1], 'SOLD', { r: 255, g: 0, b: 0 });
+    compositor.setState([3], 'AVAILABLE', { r: 0, g: 200, b: 0 });
+    await compositor.flush();
+    expect(serial.lightState.get(1)).toMatchObject({ r: 255, g: 0, b: 0 });
+    expect(serial.lightState.get(3)).toMatchObject({ r: 0, g: 200, b: 0 });
+
+    await engine.stopAmbient();
+    expect(compositor.listenerCount('state')).toBe(1);
+    engine.setCompositor(null);
+    expect(compositor.listenerCount('state')).toBe(0);
+  });
+});
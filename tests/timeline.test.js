@@ -0,0 +1,96 @@
+/**
+ * Timeline Animation Tests
+ */
+
+const mdp = require('../src/mdp');
+const { AnimationEngine, timeline } = require('../src/animation');
+
+describe('Timeline Animation', () => {
+  const apartments = [
+    { id: 'A1', floor: 7, unit_type: '2BR', lightswarm_address: 1 },
+    { id: 'A2', floor: 7, unit_type: '3BR', lightswarm_address: 2 },
+    { id: 'A3', floor: 8, unit_type: '2BR', lightswarm_address: 3 }
+  ];
+  const database = {
+    apartments: {
+      get: (id) => apartments.find(a => a.id === id),
+      getAll: () => apartments,
+      getByFloor: (tower, floor) => apartments.filter(a => a.floor === floor),
+      getByFloorplate: () => []
+    },
+    apartmentLights: {
+      getAddressesForApartment: (id) => (id === 'A3' ? [30, 31] : [])
+    },
+    settings: { get: () => null }
+  };
+  const white = { r: 255, g: 255, b: 255 };
+  const black = { r: 0, g: 0, b: 0 };
+
+  test('resolves targets to unique addresses in order', () => {
+    expect(timeline.resolveTarget({ floors: [8, 7] }, database)).toEqual([30, 31, 1, 2]);
+    expect(timeline.resolveTarget({ unitTypes: ['2BR'], addresses: [1, 99] }, database)).toEqual([1, 30, 31, 99]);
+    expect(() => timeline.resolveTarget({ apartments: ['nope'] }, database)).toThrow('not found');
+  });
+
+  test('interpolates keyframes with easing and intensity', () => {
+    const { tracks } = timeline.compileTimeline({
+      duration: 1000,
+      tracks: [{ target: { addresses: [1] }, keyframes: [
+        { time: 1000, color: white, intensity: 200 },
+        { time: 0, color: black, easing: 'easeIn' }
+      ] }]
+    }, database);
+
+    const keyframes = tracks[0].keyframes;
+    expect(timeline.sampleKeyframes(keyframes, 500)).toEqual({ r: 25, g: 25, b: 25 });
+    expect(timeline.sampleKeyframes(keyframes, 2000)).toEqual({ r: 200, g: 200, b: 200 });
+    expect(timeline.EASINGS.step(0.99)).toBe(0);
+    expect(timeline.EASINGS.easeInOut(0.5)).toBeCloseTo(0.5);
+  });
+
+  test('maps time onto loop modes', () => {
+    const position = (loop, elapsed) => timeline.timelinePosition({ duration: 1000, loop }, elapsed);
+    expect(position('none', 1500)).toEqual({ t: 1000, done: true });
+    expect(position('repeat', 1250)).toEqual({ t: 250, done: false });
+    expect(position('pingpong', 1250)).toEqual({ t: 750, done: false });
+    expect(() => timeline.compileTimeline({ duration: 1000, loop: 'bounce', tracks: [{}] }, database)).toThrow('loop mode');
+  });
+
+  test('staggers lights and reports when the timeline is done', () => {
+    const compiled = timeline.compileTimeline({
+      duration: 100,
+      tracks: [
+        { target: { floors: [7] }, stagger: 100, keyframes: [{ time: 0, color: black, easing: 'step' }, { time: 100, color: white }] },
+        { target: { addresses: [2] }, keyframes: [{ time: 0, color: { r: 0, g: 0, b: 255 } }] }
+      ]
+    }, database);
+    const frame = (elapsed) => timeline.renderFrame(compiled, elapsed);
+
+    expect([...frame(0).colors]).toEqual([[1, black], [2, { r: 0, g: 0, b: 255 }]]);
+    expect(frame(100)).toEqual({ colors: new Map([[1, white], [2, { r: 0, g: 0, b: 255 }]]), done: false });
+    expect(frame(200).done).toBe(true);
+  });
+
+  test('engine plays a timeline sequence through the serial queue', async () => {
+    jest.useFakeTimers();
+    const sent = [];
+    const serial = { send: async (packet, options) => sent.push({ packet, options }) };
+    const engine = new AnimationEngine(serial, database);
+    const completed = jest.fn();
+    engine.on('completed', completed);
+
+    await engine.runSequence({
+      type: 'timeline',
+      duration: 100,
+      frameRate: 20,
+      tracks: [{ target: { addresses: [5] }, keyframes: [{ time: 0, color: black }, { time: 100, color: white }] }]
+    });
+    await jest.advanceTimersByTimeAsync(200);
+    jest.useRealTimers();
+
+    expect(sent[0].packet).toEqual(mdp.packetRgbLevel(5, 0, 0, 0));
+    expect(sent[sent.length - 1].packet).toEqual(mdp.packetRgbLevel(5, 255, 255, 255));
+    expect(sent.every(s => s.options.priority === 'ambient')).toBe(true);
+    expect(completed).toHaveBeenCalledTimes(1);
+  });
+});
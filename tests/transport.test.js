@@ -0,0 +1,91 @@
+/**
+ * Network Transports Tests
+ */
+
+const net = require('net');
+const dgram = require('dgram');
+const mdp = require('../src/mdp');
+
+describe('Network Transports', () => {
+  const once = (emitter, event) => new Promise(resolve => emitter.once(event, resolve));
+
+  test('sends packets to and decodes replies from a TCP bridge', async () => {
+    const server = net.createServer();
+    const accepted = once(server, 'connection');
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const connection = new mdp.SerialConnection({
+      transport: 'tcp',
+      host: '127.0.0.1',
+      port: server.address().port,
+      interPacketDelay: 0
+    });
+    await connection.connect();
+    const socket = await accepted;
+
+    const received = once(socket, 'data');
+    await connection.send(mdp.packetLevel(5, 128));
+    expect([...(await received)]).toEqual([...mdp.packetLevel(5, 128)]);
+
+    const packet = once(connection, 'packet');
+    socket.write(mdp.packetPing(7));
+    expect(await packet).toMatchObject({ address: 7, commandName: 'PING_REQ', checksumValid: true });
+
+    expect(connection.getStatus()).toMatchObject({ transport: 'tcp', isOpen: true, endpoint: `127.0.0.1:${server.address().port}` });
+
+    await connection.close();
+    await new Promise(resolve => server.close(resolve));
+    expect(connection.isOpen).toBe(false);
+  });
+
+  test('reconnects when the TCP bridge drops the connection', async () => {
+    const server = net.createServer();
+    const sockets = [];
+    server.on('connection', s => sockets.push(s));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const connection = new mdp.SerialConnection({ transport: 'tcp', host: '127.0.0.1', port: server.address().port });
+    connection.reconnectDelay = 10;
+    await connection.connect();
+    await new Promise(resolve => setImmediate(resolve));
+
+    const reopened = once(connection, 'open');
+    sockets[0].destroy();
+    await reopened;
+
+    expect(connection.isOpen).toBe(true);
+    expect(connection.getStatus().reconnectAttempts).toBe(0);
+
+    await connection.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('exchanges datagrams with a UDP bridge', async () => {
+    const bridge = dgram.createSocket('udp4');
+    await new Promise(resolve => bridge.bind(0, '127.0.0.1', resolve));
+
+    const connection = new mdp.SerialConnection({
+      transport: 'udp',
+      host: '127.0.0.1',
+      port: bridge.address().port,
+      interPacketDelay: 0
+    });
+    await connection.connect();
+
+    const received = new Promise(resolve => bridge.once('message', (msg, rinfo) => resolve({ msg, rinfo })));
+    await connection.send(mdp.packetOn(3));
+    const { msg, rinfo } = await received;
+    expect([...msg]).toEqual([...mdp.packetOn(3)]);
+
+    const packet = once(connection, 'packet');
+    bridge.send(mdp.packetOff(3), rinfo.port, rinfo.address);
+    expect(await packet).toMatchObject({ address: 3, commandName: 'OFF' });
+
+    await connection.close();
+    await new Promise(resolve => bridge.close(resolve));
+  });
+
+  test('rejects unknown transport types', () => {
+    expect(() => mdp.transport.createTransport({ transport: 'carrier-pigeon' })).toThrow('Unknown transport');
+  });
+});
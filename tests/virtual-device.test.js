@@ -0,0 +1,78 @@
+/**
+ * Virtual Device Tests
+ */
+
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const mdp = require('../src/mdp');
+const VirtualDevice = require('../src/simulator/virtual-device');
+
+const ptyAvailable = process.platform === 'linux' &&
+  spawnSync('python3', ['-c', 'import pty']).status === 0;
+
+(ptyAvailable ? describe : describe.skip)('Virtual Device', () => {
+  let device;
+  let connection;
+
+  afterEach(async () => {
+    if (connection) await connection.close();
+    if (device) await device.stop();
+    connection = null;
+    device = null;
+  });
+
+  async function connect(options = {}) {
+    device = new VirtualDevice({ devices: [5, 6], ...options });
+    await device.start();
+    connection = new mdp.SerialConnection({ path: device.path, interPacketDelay: 0 });
+    connection.reconnectDelay = 50;
+    await connection.connect();
+  }
+
+  const nextPacket = () => new Promise(resolve => connection.once('packet', resolve));
+
+  test('applies commands and answers pings over the real serial path', async () => {
+    await connect();
+    device.simulator.lights.set(5, { id: 'A1', address: 5, state: { on: false, level: 0, r: 0, g: 0, b: 0 } });
+
+    const reply = nextPacket();
+    await connection.send(mdp.packetPing(5));
+    expect(await reply).toMatchObject({ address: 5, commandName: 'PING_RESP', checksumValid: true });
+
+    const applied = new Promise(resolve => device.once('frame', resolve));
+    await connection.send(mdp.packetRgbLevel(5, 10, 20, 30));
+    await applied;
+    expect(device.simulator.lights.get(5).state).toMatchObject({ r: 10, g: 20, b: 30 });
+  });
+
+  test('corrupts reply checksums on request', async () => {
+    await connect({ corruptRate: 1 });
+
+    const reply = nextPacket();
+    await connection.send(mdp.packetPing(6));
+    expect((await reply).checksumValid).toBe(false);
+    expect(connection.getStatus().receive.checksumErrors).toBe(1);
+  });
+
+  test('drops frames on request', async () => {
+    await connect({ dropRate: 1 });
+
+    const dropped = new Promise(resolve => device.once('dropped', resolve));
+    await connection.send(mdp.packetPing(5));
+    await dropped;
+    expect(device.getStats()).toMatchObject({ framesDropped: 1, pingsAnswered: 0 });
+  });
+
+  test('reconnects after the device disappears', async () => {
+    await connect({ link: path.join(os.tmpdir(), `ttyLSVIRT-${process.pid}`) });
+
+    const reopened = new Promise(resolve => connection.once('open', resolve));
+    await device.restart(100);
+    await reopened;
+
+    const reply = nextPacket();
+    await connection.send(mdp.packetPing(5));
+    expect((await reply).address).toBe(5);
+  }, 10000);
+});